@@ -0,0 +1,299 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Archive Providers open archived copies of broken pages (Wayback Machine, archive.today, custom)
+const storageKeyCustomProviders = 'customArchiveProviders';
+const storageKeyDisabledProviders = 'disabledArchiveProviders';
+
+// Wayback Machine availability API - the endpoint can be changed to test against a local mock
+const DEFAULT_AVAILABILITY_ENDPOINT = 'https://archive.org/wayback/available';
+const AVAILABILITY_TIMEOUT_MS = 4000;
+const AVAILABILITY_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Custom providers beyond this many are ignored
+const MAX_CUSTOM_PROVIDERS = 20;
+
+/**
+ * Built-in archive providers
+ * Each provider has:
+ * - id: Unique identifier (custom providers use their own)
+ * - name: Display name
+ * - template: Snapshot URL with placeholders:
+ *   {url} - the archived page's URL, as is in the path ("/web/{timestamp}/{url}"),
+ *           percent-encoded in the query string ("?url={url}") so its own query isn't cut off
+ *   {encodedUrl} - the archived page's URL, always percent-encoded
+ *   {timestamp} - YYYYMMDDhhmmss of the wanted snapshot; the current time when
+ *                 no snapshot is known, which archives resolve to the newest copy
+ * - availability: 'wayback' if the availability lookup applies to it
+ */
+const BUILT_IN_ARCHIVE_PROVIDERS = [
+    {
+        id: 'wayback',
+        name: 'Wayback Machine',
+        template: 'https://web.archive.org/web/{timestamp}/{url}',
+        availability: 'wayback'
+    },
+    {
+        id: 'archive-today',
+        name: 'archive.today',
+        template: 'https://archive.ph/newest/{url}'
+    }
+];
+
+/**
+ * Educational: Wayback Machine Availability API
+ * GET https://archive.org/wayback/available?url=<url>&timestamp=<YYYYMMDD...>
+ * answers with the snapshot closest to the timestamp:
+ *   { "archived_snapshots": { "closest": { "available": true, "status": "200",
+ *     "url": "http://web.archive.org/web/20240101000000/https://example.com/", "timestamp": "20240101000000" } } }
+ * and with empty "archived_snapshots" when the page was never archived.
+ * The lookup is optional: it tells archive.org which broken pages you visit.
+ */
+
+// Lookups in this session ({ url: { snapshot, checkedAt } })
+const availabilityCache = new Map();
+
+// Format a date as a Wayback timestamp (YYYYMMDDhhmmss, UTC)
+function formatArchiveTimestamp(date = new Date()) {
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Build a snapshot URL from a provider template
+ *
+ * @param {string} template - Template with {url} (or {encodedUrl}) and optional {timestamp} placeholders
+ * @param {string} url - The archived page's URL
+ * @param {string} timestamp - Snapshot timestamp (defaults to now)
+ * @returns {string} Snapshot URL
+ */
+function buildArchiveUrl(template, url, timestamp = formatArchiveTimestamp()) {
+    const queryStart = template.indexOf('?');
+    return template
+        .replace(/\{url\}/g, (match, offset) => queryStart !== -1 && offset > queryStart ? encodeURIComponent(url) : url)
+        .replace(/\{encodedUrl\}/g, encodeURIComponent(url))
+        .replace(/\{timestamp\}/g, timestamp);
+}
+
+/**
+ * Validate a custom archive provider
+ *
+ * @param {Object} provider - { name, template }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateArchiveProvider(provider) {
+    const errors = [];
+
+    if (!provider || typeof provider.name !== 'string' || !provider.name.trim()) {
+        errors.push('name is required');
+    }
+
+    const template = provider && typeof provider.template === 'string' ? provider.template.trim() : '';
+    if (!template.includes('{url}') && !template.includes('{encodedUrl}')) {
+        errors.push('template must contain {url} or {encodedUrl}');
+    }
+    try {
+        const sample = new URL(buildArchiveUrl(template, 'https://example.com/'));
+        if (!['http:', 'https:'].includes(sample.protocol)) {
+            errors.push('template must be an http(s) URL');
+        }
+    } catch (error) {
+        errors.push('template must be an http(s) URL');
+    }
+
+    return errors;
+}
+
+// Get the user-defined archive providers
+function getCustomArchiveProviders() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyCustomProviders], (result) => {
+            resolve(result[storageKeyCustomProviders] || []);
+        });
+    });
+}
+
+// Get the ids of the disabled providers
+function getDisabledArchiveProviderIds() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyDisabledProviders], (result) => {
+            resolve(result[storageKeyDisabledProviders] || []);
+        });
+    });
+}
+
+/**
+ * Add a custom archive provider
+ *
+ * @param {Object} provider - { name, template }
+ * @returns {Promise<Array<string>>} Validation errors (empty if it was added)
+ */
+async function addArchiveProvider(provider) {
+    const errors = validateArchiveProvider(provider);
+    const providers = await getCustomArchiveProviders();
+    if (providers.length >= MAX_CUSTOM_PROVIDERS) {
+        errors.push(`at most ${MAX_CUSTOM_PROVIDERS} custom providers can be added`);
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    providers.push({
+        id: `custom-${Date.now()}`,
+        name: provider.name.trim(),
+        template: provider.template.trim()
+    });
+    await chrome.storage.local.set({ [storageKeyCustomProviders]: providers });
+    return [];
+}
+
+async function removeArchiveProvider(id) {
+    const providers = await getCustomArchiveProviders();
+    await chrome.storage.local.set({
+        [storageKeyCustomProviders]: providers.filter(provider => provider.id !== id)
+    });
+}
+
+async function setArchiveProviderEnabled(id, isEnabled) {
+    const disabled = await getDisabledArchiveProviderIds();
+    const updated = isEnabled ? disabled.filter(providerId => providerId !== id) : [...new Set([...disabled, id])];
+    await chrome.storage.local.set({ [storageKeyDisabledProviders]: updated });
+}
+
+/**
+ * Get every archive provider with its source and enabled state, in the order they're offered
+ *
+ * @returns {Promise<Array<Object>>} Providers with builtIn and enabled flags
+ */
+async function getAllArchiveProviders() {
+    const [customProviders, disabled] = await Promise.all([getCustomArchiveProviders(), getDisabledArchiveProviderIds()]);
+
+    return [
+        ...BUILT_IN_ARCHIVE_PROVIDERS.map(provider => ({ ...provider, builtIn: true })),
+        ...customProviders
+            .filter(provider => validateArchiveProvider(provider).length === 0)
+            .slice(0, MAX_CUSTOM_PROVIDERS)
+            .map(provider => ({ ...provider, builtIn: false }))
+    ].map(provider => ({ ...provider, enabled: !disabled.includes(provider.id) }));
+}
+
+/**
+ * Look up the newest Wayback Machine snapshot of a URL
+ *
+ * @param {string} url - The archived page's URL
+ * @param {string} endpoint - Availability API endpoint
+ * @returns {Promise<Object|null|undefined>} { url, timestamp } of the snapshot, null if
+ *   there is none, undefined if the lookup failed
+ */
+async function lookupWaybackSnapshot(url, endpoint = DEFAULT_AVAILABILITY_ENDPOINT) {
+    const cached = availabilityCache.get(url);
+    if (cached && Date.now() - cached.checkedAt < AVAILABILITY_CACHE_TTL_MS) {
+        return cached.snapshot;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), AVAILABILITY_TIMEOUT_MS);
+
+    try {
+        const lookupUrl = new URL(endpoint);
+        lookupUrl.searchParams.set('url', url);
+        lookupUrl.searchParams.set('timestamp', formatArchiveTimestamp());
+
+        const response = await fetch(lookupUrl.href, { credentials: 'omit', signal: controller.signal });
+        if (!response.ok) {
+            return undefined;
+        }
+
+        const data = await response.json();
+        const closest = data && data.archived_snapshots && data.archived_snapshots.closest;
+        const snapshot = closest && closest.available && /^\d{14}$/.test(closest.timestamp)
+            ? { url: String(closest.url).replace(/^http:/, 'https:'), timestamp: closest.timestamp }
+            : null;
+
+        availabilityCache.set(url, { snapshot, checkedAt: Date.now() });
+        return snapshot;
+    } catch (error) {
+        // Offline, timed out or not JSON - availability stays unknown
+        return undefined;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Get links to archived copies of a URL from the enabled providers
+ *
+ * When the availability lookup is enabled, the Wayback Machine link points at
+ * the newest snapshot and says whether one exists; other providers can't be
+ * checked and are marked as unknown.
+ *
+ * @param {string} url - The broken URL
+ * @returns {Promise<Array<Object>>} { id, name, url, available, timestamp } -
+ *   available is true/false when looked up, null when unknown
+ */
+async function getArchiveLinks(url) {
+    const [providers, settings] = await Promise.all([
+        getAllArchiveProviders(),
+        chrome.storage.local.get(['archiveAvailabilityLookup', 'archiveAvailabilityEndpoint'])
+    ]);
+
+    return Promise.all(providers
+        .filter(provider => provider.enabled)
+        .map(async (provider) => {
+            const link = { id: provider.id, name: provider.name, url: buildArchiveUrl(provider.template, url), available: null, timestamp: null };
+
+            if (provider.availability === 'wayback' && settings.archiveAvailabilityLookup === true) {
+                const snapshot = await lookupWaybackSnapshot(url, settings.archiveAvailabilityEndpoint || DEFAULT_AVAILABILITY_ENDPOINT);
+                if (snapshot) {
+                    return { ...link, url: buildArchiveUrl(provider.template, url, snapshot.timestamp), available: true, timestamp: snapshot.timestamp };
+                }
+                if (snapshot === null) {
+                    return { ...link, available: false };
+                }
+            }
+            return link;
+        }));
+}
+
+/**
+ * Get the best archived copy of a URL ("Open archived copy")
+ * A confirmed snapshot wins; otherwise the first provider that wasn't ruled out.
+ *
+ * @param {string} url - The broken URL
+ * @returns {Promise<Object|null>} Archive link (see getArchiveLinks) or null if none is available
+ */
+async function getArchivedCopy(url) {
+    const links = await getArchiveLinks(url);
+    return links.find(link => link.available === true) ||
+        links.find(link => link.available !== false) ||
+        null;
+}
+
+export {
+    BUILT_IN_ARCHIVE_PROVIDERS,
+    DEFAULT_AVAILABILITY_ENDPOINT,
+    formatArchiveTimestamp,
+    buildArchiveUrl,
+    validateArchiveProvider,
+    getCustomArchiveProviders,
+    addArchiveProvider,
+    removeArchiveProvider,
+    setArchiveProviderEnabled,
+    getAllArchiveProviders,
+    lookupWaybackSnapshot,
+    getArchiveLinks,
+    getArchivedCopy
+};
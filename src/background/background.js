@@ -19,7 +19,7 @@
  * Background Service Worker for 404 Finder: Auto-Search Redirector Extension
  * 
  * This service worker handles:
- * 1. HTTP 404 detection via webRequest API
+ * 1. HTTP error status detection via webRequest API (404, 410, 403, 451, 5xx)
  * 2. Message routing between content scripts and popup
  * 3. Storage management for errors and settings
  * 4. Search URL generation and auto-search eligibility
@@ -30,7 +30,48 @@
 
 // Import modules
 import { addDomain, removeDomain, isDomainListed } from './domainManager.js';
-import { generateSearchUrls as genSearchUrls, constructSearchUrl } from '../search/searchEngineConfig.js';
+import {
+    generateSearchUrls as genSearchUrls,
+    constructSearchUrl,
+    extractUrlInfo,
+    constructSiteSearchUrl,
+    getSearchEngineName,
+    getQueryTemplate,
+    SITE_SEARCH_ENGINE_KEY,
+    POST_SEARCH_PAGE
+} from '../search/searchEngineConfig.js';
+import { getCustomQueryTemplates } from './customQueryTemplates.js';
+import { getCustomSearchEngines } from './customSearchEngines.js';
+import { STATUS_POLICY_ACTIONS, STATUS_CLASSES, classifyStatus, getStatusPolicy } from './statusPolicy.js';
+import { getRulePacksForDomain } from './platformRules.js';
+import { MAX_REDIRECT_HOPS, isRedirectStatus, analyzeRedirectChain } from './redirectChain.js';
+import {
+    NETWORK_ERROR_CATEGORIES,
+    classifyNetworkError,
+    getOfflineQueue,
+    queueOfflineRetry,
+    removeOfflineRetry,
+    takeOfflineQueue
+} from './networkRecovery.js';
+import { addFalsePositive, getOverridesForUrl } from './detectionOverrides.js';
+import { OPEN_MODES, getOpenMode } from './recoveryOpenMode.js';
+import { checkRedirectAllowed, recordAutoRedirect, clearTabRedirects } from './redirectGuard.js';
+import { URL_REPAIR_MODES, DEFAULT_URL_REPAIR_MODE, findRepairedUrl } from './urlRepair.js';
+import { findRewrite } from './rewriteRules.js';
+import { getSiteSearch, saveSiteSearch, isSiteSearchResultsUrl, resolveSearchEngine, getSiteSearchStatus } from './siteSearch.js';
+import { getSitemapSuggestions } from './sitemapSuggestions.js';
+import { getArchiveLinks, getArchivedCopy } from './archiveProviders.js';
+import {
+    findFallbackRedirect,
+    forgetRedirectTarget,
+    syncRedirectRules,
+    recordMappedRedirect,
+    clearMappedRedirect,
+    startRedirectLearning,
+    copyRedirectLearning,
+    clearRedirectLearning,
+    learnRedirect
+} from './redirectMap.js';
 
 // Map to track errors by tab ID
 const tabErrors = new Map();
@@ -38,6 +79,22 @@ const tabErrors = new Map();
 // Map to track ongoing navigations
 const navigationStates = new Map();
 
+// Map to track the HTTP error status of each tab's current main frame document
+const mainFrameStatuses = new Map();
+
+// Map to track the redirects of each tab's in-flight main frame request
+const redirectChains = new Map();
+
+// Bundled recovery page that auto-search can open instead of search results
+const RECOVERY_PAGE_PATH = 'src/recovery/recovery.html';
+
+// Cache settings for per-origin 404 template fingerprints
+const TEMPLATE_FINGERPRINT_CACHE = {
+    storageKey: 'templateFingerprints',
+    maxAgeMs: 7 * 24 * 60 * 60 * 1000, // Re-probe an origin after a week
+    maxOrigins: 200
+};
+
 /**
  * Educational: Chrome's webNavigation API
  * 
@@ -56,6 +113,9 @@ chrome.webNavigation.onErrorOccurred.addListener((details) => {
     // - net::ERR_ABORTED: Navigation was aborted
     // - HTTP errors (404, 500, etc.) don't trigger onErrorOccurred!
     
+    // DNS, connection and offline errors can be recovered from (see networkRecovery.js)
+    const category = classifyNetworkError(details.error);
+    
     // Store error information
     if (!tabErrors.has(details.tabId)) {
         tabErrors.set(details.tabId, []);
@@ -65,8 +125,52 @@ chrome.webNavigation.onErrorOccurred.addListener((details) => {
         url: details.url,
         error: details.error,
         timestamp: details.timeStamp,
-        type: 'navigation_error'
+        type: 'navigation_error',
+        frameId: details.frameId,
+        category
     });
+    
+    // Offline pages are retried once the connection returns
+    if (details.frameId === 0 && category === 'offline') {
+        queueOfflineRetry(details.url, details.tabId);
+    }
+});
+
+// Redirect known dead URLs that the redirect map's dynamic rules can't match (see redirectMap.js),
+// and remember which entry redirected the tab so the popup can show it
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+    if (details.frameId !== 0) return;
+    
+    const { isExtensionActive } = await chrome.storage.local.get(['isExtensionActive']);
+    if (isExtensionActive === false) return;
+    
+    await recordMappedRedirect(details.tabId, details.url);
+    const redirect = await findFallbackRedirect(details.url);
+    if (redirect) {
+        chrome.tabs.update(details.tabId, { url: redirect.to });
+    }
+});
+
+// Learn where broken pages moved when the user clicks through from their search results
+chrome.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId !== 0) return;
+    
+    learnRedirect(details.tabId, details.url, !!getMainFrameStatus(details.tabId, details.url))
+        .catch(error => console.error('Error learning redirect:', error));
+});
+
+// Results opened in a new tab from followed search results are followed too
+chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
+    copyRedirectLearning(details.sourceTabId, details.tabId);
+});
+
+// Keep the redirect map's dynamic rules in sync with the map and the extension's state
+chrome.runtime.onInstalled.addListener(() => syncRedirectRules());
+chrome.runtime.onStartup.addListener(() => syncRedirectRules());
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.redirectMap || changes.isExtensionActive)) {
+        syncRedirectRules();
+    }
 });
 
 // Listen for completed navigations - content script will handle soft 404 detection
@@ -75,43 +179,231 @@ chrome.webNavigation.onCompleted.addListener(async (details) => {
     if (details.frameId !== 0) return;
     
     // Content script will detect soft 404s and notify us via pageDetected404 message
+    
+    // A page loaded, so we're online again - the 'online' event is missed
+    // while the service worker is asleep
+    processOfflineQueue();
 });
 
-// Listen for HTTP response headers to catch actual 404 status codes
+// Retry queued pages as soon as the browser reports the connection is back
+self.addEventListener('online', () => processOfflineQueue());
+
+// Guard against overlapping queue runs ('online' and onCompleted often fire together)
+let isProcessingOfflineQueue = false;
+
+/**
+ * Retry or announce the pages that failed while offline
+ * 
+ * With the 'retry' mode, tabs still showing the failed page are reloaded.
+ * Pages whose tab was closed or navigated elsewhere (and all pages with the
+ * 'notify' mode) get a notification that opens the page when clicked.
+ */
+async function processOfflineQueue() {
+    if (isProcessingOfflineQueue || !navigator.onLine) {
+        return;
+    }
+    
+    isProcessingOfflineQueue = true;
+    try {
+        const queue = await takeOfflineQueue();
+        if (queue.length === 0) {
+            return;
+        }
+        
+        const settings = await chrome.storage.local.get(['offlineRetryMode']);
+        const shouldReload = settings.offlineRetryMode !== 'notify';
+        
+        for (const entry of queue) {
+            const tab = await chrome.tabs.get(entry.tabId).catch(() => null);
+            
+            if (shouldReload && tab && tab.url === entry.url) {
+                chrome.tabs.reload(entry.tabId);
+            } else {
+                createBackOnlineNotification(entry.url);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing offline queue:', error);
+    } finally {
+        isProcessingOfflineQueue = false;
+    }
+}
+
+/**
+ * Relay client-side route changes to the content script
+ * 
+ * Single-page apps navigate with history.pushState/replaceState or hash changes,
+ * which don't load a new document. The content script can't observe pushState
+ * from its isolated world, so it re-runs detection when it receives this message.
+ */
+function notifyRouteChange(details) {
+    // Only process main frame navigations
+    if (details.frameId !== 0) return;
+    
+    chrome.tabs.sendMessage(details.tabId, { action: 'routeChanged', url: details.url })
+        .catch(() => {
+            // Content script not available on this page (e.g. chrome:// URLs)
+        });
+}
+
+chrome.webNavigation.onHistoryStateUpdated.addListener(notifyRouteChange);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(notifyRouteChange);
+
+// Collect main frame redirects - the page only ever sees the final URL
+chrome.webRequest.onBeforeRedirect.addListener(
+    (details) => {
+        // Only process main frame requests
+        if (details.type !== 'main_frame') return;
+        
+        // Every hop of a redirect chain shares the same requestId
+        const chain = redirectChains.get(details.tabId);
+        const hops = chain && chain.requestId === details.requestId ? chain.hops : [];
+        
+        if (hops.length < MAX_REDIRECT_HOPS) {
+            hops.push({ url: details.url, statusCode: details.statusCode, redirectUrl: details.redirectUrl });
+        }
+        redirectChains.set(details.tabId, { requestId: details.requestId, hops });
+    },
+    { urls: ["<all_urls>"] }
+);
+
+// Listen for HTTP response headers to catch actual error status codes
 chrome.webRequest.onHeadersReceived.addListener(
     (details) => {
         // Only process main frame requests
         if (details.type !== 'main_frame') return;
         
-        // Check for 404 status code
-        if (details.statusCode === 404) {
-            // Store the actual HTTP 404
-            if (!tabErrors.has(details.tabId)) {
-                tabErrors.set(details.tabId, []);
-            }
-            
-            tabErrors.get(details.tabId).push({
-                url: details.url,
-                timestamp: details.timeStamp,
-                type: 'http_404',
-                statusCode: details.statusCode
-            });
-            
-            // Badge feature removed for cleaner UI
-            
-            // Store in persistent storage
-            store404Error(details.url, details.tabId, 100, ['HTTP 404 Status']);
+        // Redirect responses are collected by onBeforeRedirect; wait for the final response
+        if (isRedirectStatus(details.statusCode)) return;
+        
+        // A dead link redirected to the homepage or an error page takes precedence
+        // over the final status, since it carries the URL the user actually requested
+        const redirect = takeRedirectChain(details);
+        
+        // Classify the status code (404, 410, 403, 451, 5xx...)
+        const statusClass = redirect ? redirect.statusClass : classifyStatus(details.statusCode);
+        if (!statusClass) {
+            mainFrameStatuses.delete(details.tabId);
+            return;
         }
+        
+        // Remember the status so the content script and auto-search can act on it
+        const status = {
+            url: details.url,
+            statusCode: details.statusCode,
+            statusClass,
+            originalUrl: redirect ? redirect.originalUrl : null,
+            redirectChain: redirect ? redirect.hops : null
+        };
+        mainFrameStatuses.set(details.tabId, status);
+        
+        recordHttpError(details, status, redirect);
     },
     { urls: ["<all_urls>"] },
     ["responseHeaders"]
 );
 
+/**
+ * Take the collected redirect chain for a final main frame response and analyze it
+ * 
+ * @param {Object} details - webRequest.onHeadersReceived details
+ * @returns {Object|null} Redirect analysis from redirectChain.js, or null if the
+ *   request wasn't redirected to the homepage or an error page
+ */
+function takeRedirectChain(details) {
+    const chain = redirectChains.get(details.tabId);
+    redirectChains.delete(details.tabId);
+    
+    if (!chain || chain.requestId !== details.requestId) {
+        return null;
+    }
+    
+    return analyzeRedirectChain(chain.hops, details.url);
+}
+
+/**
+ * Record an HTTP error status unless its status class policy is 'ignore'
+ * 
+ * @param {Object} details - webRequest.onHeadersReceived details
+ * @param {Object} status - The tab's main frame status (see mainFrameStatuses)
+ * @param {Object|null} redirect - Redirect analysis when a dead link was redirected
+ */
+async function recordHttpError(details, status, redirect) {
+    const policy = await getStatusPolicy(status.statusClass);
+    if (policy === STATUS_POLICY_ACTIONS.IGNORE) {
+        return;
+    }
+    
+    // Redirected dead links are recorded under the URL that was requested
+    const url = status.originalUrl || details.url;
+    
+    // Store the actual HTTP error
+    if (!tabErrors.has(details.tabId)) {
+        tabErrors.set(details.tabId, []);
+    }
+    
+    tabErrors.get(details.tabId).push({
+        url,
+        finalUrl: details.url,
+        timestamp: details.timeStamp,
+        type: redirect ? 'redirect' : 'http_error',
+        statusCode: details.statusCode,
+        statusClass: status.statusClass,
+        redirectChain: status.redirectChain
+    });
+    
+    // Badge feature removed for cleaner UI
+    
+    const confidence = redirect ? redirect.confidence : 100;
+    const indicators = redirect
+        ? [{ label: `${STATUS_CLASSES[status.statusClass].label}: ${details.url}`, weight: confidence }]
+        : [{ label: `HTTP ${details.statusCode} Status`, weight: 100 }];
+    
+    // Store in persistent storage
+    store404Error(url, details.tabId, confidence, indicators, {
+        statusCode: details.statusCode,
+        statusClass: status.statusClass,
+        finalUrl: redirect ? details.url : null,
+        redirectChain: status.redirectChain
+    });
+}
+
+/**
+ * Get the recorded HTTP error status for a tab's current document
+ * 
+ * @param {number} tabId - The tab to look up
+ * @param {string} url - The document URL (fragments are ignored when comparing)
+ * @returns {Object|null} { url, statusCode, statusClass, originalUrl, redirectChain } or null
+ *   if the page loaded normally
+ */
+function getMainFrameStatus(tabId, url) {
+    const status = mainFrameStatuses.get(tabId);
+    if (!status || !url) {
+        return null;
+    }
+    
+    const stripHash = (href) => href.split('#')[0];
+    return stripHash(status.url) === stripHash(url) ? status : null;
+}
+
 // Soft 404 detection is now handled entirely by the content script
 // This eliminates code duplication and simplifies the architecture
 
-// Store 404 error in persistent storage
-async function store404Error(url, tabId, confidence, indicators) {
+/**
+ * Store 404 error in persistent storage
+ * 
+ * @param {string} url - The URL that was detected as a 404
+ * @param {number} tabId - The tab the error occurred in
+ * @param {number} confidence - Detection confidence score
+ * @param {Array<{label: string, weight: number}>} indicators - Matched indicators
+ * @param {Object} details - Extra fields to persist with the error
+ * @param {Object} [details.verdict] - Full content script verdict for soft 404s
+ * @param {number} [details.statusCode] - HTTP status code for hard errors
+ * @param {string} [details.statusClass] - Status class key from statusPolicy.js
+ * @param {string} [details.finalUrl] - Page the URL redirected to, for redirected dead links
+ * @param {Array<Object>} [details.redirectChain] - Redirect hops, for redirected dead links
+ */
+async function store404Error(url, tabId, confidence, indicators, details = {}) {
     try {
         // Get existing errors
         const result = await chrome.storage.local.get(['errors']);
@@ -123,6 +415,11 @@ async function store404Error(url, tabId, confidence, indicators) {
             tabId,
             confidence,
             indicators,
+            verdict: details.verdict || null,
+            statusCode: details.statusCode || null,
+            statusClass: details.statusClass || 'soft_404',
+            finalUrl: details.finalUrl || null,
+            redirectChain: details.redirectChain || null,
             timestamp: new Date().toISOString(),
             id: `error_${Date.now()}_${tabId}`
         });
@@ -134,15 +431,68 @@ async function store404Error(url, tabId, confidence, indicators) {
         
         // Save back to storage
         await chrome.storage.local.set({ errors });
+        
+        // A learned redirect that leads to a broken page is wrong
+        await forgetRedirectTarget(url);
     } catch (error) {
         console.error('Error storing 404:', error);
     }
 }
 
+/**
+ * Validate a detection verdict received from a content script
+ * Only known fields with the expected types are kept, since message data
+ * originates from a page context and ends up in persistent storage.
+ * 
+ * @param {Object} verdict - Verdict object from the pageDetected404 message
+ * @returns {Object|null} Sanitized verdict, or null if it is unusable
+ */
+function sanitizeVerdict(verdict) {
+    if (!verdict || typeof verdict !== 'object' || typeof verdict.confidence !== 'number') {
+        return null;
+    }
+    
+    const indicators = Array.isArray(verdict.indicators) ? verdict.indicators : [];
+    const thresholds = verdict.thresholds || {};
+    
+    return {
+        is404: verdict.is404 === true,
+        confidence: verdict.confidence,
+        indicators: indicators
+            .filter(indicator => indicator && typeof indicator.label === 'string')
+            .slice(0, 100)
+            .map(indicator => ({
+                label: indicator.label.slice(0, 300),
+                weight: Number(indicator.weight) || 0
+            })),
+        strongIndicators: Number(verdict.strongIndicators) || 0,
+        weakIndicators: Number(verdict.weakIndicators) || 0,
+        wordCount: Number(verdict.wordCount) || 0,
+        languages: Array.isArray(verdict.languages)
+            ? verdict.languages.filter(code => typeof code === 'string').slice(0, 20)
+            : [],
+        thresholds: {
+            confidence: Number(thresholds.confidence) || 0,
+            strongIndicators: Number(thresholds.strongIndicators) || 0,
+            platform: typeof thresholds.platform === 'number' ? thresholds.platform : null,
+            userBoost: Number(thresholds.userBoost) || 0
+        },
+        decisionBranch: typeof verdict.decisionBranch === 'string' ? verdict.decisionBranch : null,
+        probe: verdict.probe
+            ? { structure: Number(verdict.probe.structure) || 0, text: Number(verdict.probe.text) || 0 }
+            : null
+    };
+}
+
 // Clean up tab data when tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
     tabErrors.delete(tabId);
     navigationStates.delete(tabId);
+    mainFrameStatuses.delete(tabId);
+    redirectChains.delete(tabId);
+    clearTabRedirects(tabId);
+    clearRedirectLearning(tabId);
+    clearMappedRedirect(tabId);
 });
 
 // Store notification ID to search URL mapping
@@ -201,35 +551,74 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // Store the 404 error detected by content script
         const tabId = sender.tab?.id;
         if (tabId) {
-            // Store in memory for popup display
-            if (!tabErrors.has(tabId)) {
-                tabErrors.set(tabId, []);
-            }
-            
-            tabErrors.get(tabId).push({
-                url: request.url,
-                timestamp: Date.now(),
-                type: 'soft_404',
-                title: request.title
-            });
-            
-            // Store in persistent storage
-            store404Error(request.url, tabId, 90, ['Content script detection']);
+            handlePageDetected404(tabId, request);
         }
         
         sendResponse({ success: true });
         return true;
     }
 
+    if (request.action === 'getDetectionSettings') {
+        getDetectionSettings(sender.tab?.id, sender.tab?.url)
+            .then(detectionSettings => sendResponse(detectionSettings))
+            .catch(error => {
+                sendResponse({});
+            });
+        return true;
+    }
+
+    if (request.action === 'getTemplateFingerprint') {
+        getTemplateFingerprint(request.origin)
+            .then(entry => sendResponse(entry))
+            .catch(error => {
+                sendResponse({ found: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'storeTemplateFingerprint') {
+        // Only accept fingerprints for the sender's own origin
+        const senderOrigin = sender.origin || (sender.tab?.url ? new URL(sender.tab.url).origin : null);
+        if (request.origin !== senderOrigin) {
+            sendResponse({ success: false });
+            return true;
+        }
+        storeTemplateFingerprint(request.origin, request.fingerprint)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
     if (request.action === 'checkAutoSearchEligibility') {
-        checkAutoSearchEligibility(request.domain, request.url)
-            .then(response => sendResponse(response))
+        // Site searches discovered on the page are stored under the tab's own hostname
+        const tabHostname = sender.tab?.url ? new URL(sender.tab.url).hostname : null;
+        (request.siteSearch && tabHostname ? saveSiteSearch(tabHostname, request.siteSearch) : Promise.resolve())
+            .then(() => checkAutoSearchEligibility(request.domain, request.url, sender.tab?.id))
+            .then(async response => {
+                // Whether the content script should still look for the site's own search
+                const { defaultSearchEngine } = await chrome.storage.local.get(['defaultSearchEngine']);
+                const siteSearchStatus = await getSiteSearchStatus(request.domain, defaultSearchEngine || 'google');
+                sendResponse({ ...response, siteSearchStatus });
+            })
             .catch(error => {
                 sendResponse({ shouldAutoSearch: false, reason: 'internal_error' });
             });
         return true; // Maintain the message channel open
     }
 
+    if (request.action === 'saveSiteSearch') {
+        // Discovered after the eligibility check, stored under the tab's own hostname
+        const tabHostname = sender.tab?.url ? new URL(sender.tab.url).hostname : null;
+        (tabHostname && request.siteSearch ? saveSiteSearch(tabHostname, request.siteSearch) : Promise.resolve())
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
     if (request.action === 'generateSearchUrl') {
         generateSearchUrl(request.url, request.title, request.searchEngine, request.queryTemplate)
             .then(searchUrl => {
@@ -241,6 +630,120 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    if (request.action === 'openSearchResults') {
+        // Sent by the content script when its countdown finishes or "Search now" is clicked
+        if (!sender.tab) {
+            sendResponse({ success: false });
+            return true;
+        }
+        openSearchResults(sender.tab, request.searchUrl, sender.url || sender.tab.url, {
+            clicked: !!request.clicked,
+            automatic: !!request.automatic
+        })
+            .then(openMode => sendResponse({ success: true, openMode }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'openArchivedCopy') {
+        // Sent by the in-page notifications ("Archived copy")
+        if (!sender.tab || !canLookUpPageUrl(sender, request.url)) {
+            sendResponse({ success: false });
+            return true;
+        }
+        getArchivedCopy(request.url)
+            .then(archive => archive
+                ? openSearchResults(sender.tab, archive.url, sender.url || sender.tab.url)
+                    .then(openMode => sendResponse({ success: true, openMode, archive }))
+                : sendResponse({ success: false, reason: 'no_snapshot' }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'findSiteRepair') {
+        // Sent by the content script before falling back to web search, and by the recovery page
+        if (!canLookUpPageUrl(sender, request.url)) {
+            sendResponse({ success: false });
+            return true;
+        }
+        findSiteRepair(request.url)
+            .then(repair => sendResponse({ success: true, ...repair }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'getSitemapSuggestions') {
+        // Sent by the content script's toast, the popup and the recovery page ("Did you mean...")
+        if (!canLookUpPageUrl(sender, request.url)) {
+            sendResponse({ suggestions: [] });
+            return true;
+        }
+        chrome.storage.local.get(['enableSitemapSuggestions'])
+            .then(settings => settings.enableSitemapSuggestions === false ? [] : getSitemapSuggestions(request.url))
+            .then(suggestions => sendResponse({ suggestions }))
+            .catch(error => {
+                sendResponse({ suggestions: [] });
+            });
+        return true;
+    }
+
+    if (request.action === 'blacklistDomain') {
+        // "Never on this site" from the in-page countdown - only the sender's own domain
+        const domain = sender.tab?.url ? new URL(sender.tab.url).hostname : null;
+        if (!domain || domain !== request.domain) {
+            sendResponse({ success: false });
+            return true;
+        }
+        addDomain(domain, false);
+        sendResponse({ success: true });
+        return true;
+    }
+
+    if (request.action === 'reportFalsePositive') {
+        // Sent from the in-page notification (sender tab) or the popup (request.tabId)
+        const tabId = sender.tab?.id ?? request.tabId;
+        reportFalsePositive(tabId, request.url, request.scope)
+            .then(override => sendResponse({ success: true, ...override }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'getNetworkRecovery') {
+        getNetworkRecovery(request.tabId, request.url)
+            .then(recovery => sendResponse(recovery))
+            .catch(error => {
+                sendResponse({ category: null });
+            });
+        return true;
+    }
+
+    if (request.action === 'retryNetworkError') {
+        removeOfflineRetry(request.url, request.tabId)
+            .then(() => chrome.tabs.reload(request.tabId))
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'cancelOfflineRetry') {
+        removeOfflineRetry(request.url, request.tabId)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                sendResponse({ success: false });
+            });
+        return true;
+    }
+
     if (request.action === 'createAutoSearchNotification') {
         createAutoSearchNotification(request.url, request.searchEngine, request.searchUrl)
             .then(notificationId => sendResponse({ success: true, notificationId }))
@@ -251,10 +754,383 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
-// Check if auto-search should be enabled for a given domain
-async function checkAutoSearchEligibility(domain, url) {
+/**
+ * Record a soft 404 reported by the content script
+ * 
+ * @param {number} tabId - The tab the page is loaded in
+ * @param {Object} request - The pageDetected404 message
+ */
+async function handlePageDetected404(tabId, request) {
+    const policy = await getStatusPolicy('soft_404');
+    if (policy === STATUS_POLICY_ACTIONS.IGNORE) {
+        return;
+    }
+    
+    // Store in memory for popup display
+    if (!tabErrors.has(tabId)) {
+        tabErrors.set(tabId, []);
+    }
+    
+    const verdict = sanitizeVerdict(request.verdict);
+    
+    tabErrors.get(tabId).push({
+        url: request.url,
+        timestamp: Date.now(),
+        type: 'soft_404',
+        title: request.title,
+        verdict
+    });
+    
+    // Store in persistent storage
+    if (verdict) {
+        store404Error(request.url, tabId, verdict.confidence, verdict.indicators, { verdict });
+    } else {
+        store404Error(request.url, tabId, 90, [{ label: 'Content script detection', weight: 90 }]);
+    }
+}
+
+/**
+ * Open search results for a broken page using its recovery open mode
+ * 
+ * @param {chrome.tabs.Tab} tab - The tab showing the broken page
+ * @param {string} searchUrl - The search results URL
+ * @param {string} pageUrl - The broken page's URL
+ * @param {Object} options - { clicked, automatic } - clicked: the user clicked a link on the page,
+ *   automatic: the countdown ran out (only these count toward the rate limit)
+ * @returns {Promise<string>} The open mode that was used
+ */
+async function openSearchResults(tab, searchUrl, pageUrl, { clicked = false, automatic = false } = {}) {
+    // Only web URLs, the recovery page and the POST search page may be opened on behalf of a page
+    const extensionPages = [RECOVERY_PAGE_PATH, POST_SEARCH_PAGE].map(path => chrome.runtime.getURL(path));
+    if (!/^https?:\/\//i.test(searchUrl || '') && !extensionPages.some(page => (searchUrl || '').startsWith(`${page}?`))) {
+        throw new Error('Invalid search URL');
+    }
+    
+    let openMode = await getOpenMode(tab.url ? new URL(tab.url).hostname : '');
+    // A link the user clicked opens even where results are only suggested
+    if (clicked && openMode === OPEN_MODES.SUGGEST) {
+        openMode = OPEN_MODES.REPLACE;
+    }
+    
+    if (openMode !== OPEN_MODES.SUGGEST) {
+        // Remembered so Back (or a reload) doesn't redirect from this page again
+        const { autoRedirectWindowMinutes } = await chrome.storage.local.get(['autoRedirectWindowMinutes']);
+        await recordAutoRedirect(tab.id, pageUrl, autoRedirectWindowMinutes, { automatic });
+    }
+    
+    let resultsTabId = null;
+    if (openMode === OPEN_MODES.FOREGROUND_TAB || openMode === OPEN_MODES.BACKGROUND_TAB) {
+        // Keep the broken page open (e.g. for bug reports) and open results next to it
+        const resultsTab = await chrome.tabs.create({
+            url: searchUrl,
+            index: tab.index + 1,
+            openerTabId: tab.id,
+            active: openMode === OPEN_MODES.FOREGROUND_TAB
+        });
+        resultsTabId = resultsTab.id;
+    } else if (openMode === OPEN_MODES.REPLACE) {
+        // Replacing keeps the broken page in the tab's history for the Back button
+        await chrome.tabs.update(tab.id, { url: searchUrl });
+        resultsTabId = tab.id;
+    }
+    
+    // Clicking through the results to the broken page's site teaches the redirect map
+    // (pages on the same site, such as repaired URLs, aren't searches and are skipped)
+    if (resultsTabId !== null) {
+        const brokenUrl = getMainFrameStatus(tab.id, pageUrl)?.originalUrl || pageUrl;
+        await startRedirectLearning(resultsTabId, brokenUrl, searchUrl);
+    }
+    
+    return openMode;
+}
+
+/**
+ * Check if a URL belongs to the page shown in a tab
+ * Accepts the tab's own origin, or the originally requested URL when the tab
+ * was redirected away from a dead link.
+ * 
+ * @param {Object} tab - The tab
+ * @param {string} url - URL sent by the tab's content script
+ * @returns {boolean} True if the URL may be looked up for this tab
+ */
+function isTabPageUrl(tab, url) {
+    try {
+        return new URL(url).origin === new URL(tab.url).origin ||
+            getMainFrameStatus(tab.id, tab.url)?.originalUrl === url;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check if a message sender may have a page URL looked up (probed, sitemaps fetched)
+ * Extension pages (popup, recovery page) may look up any URL; content scripts
+ * only their own page (see isTabPageUrl).
+ * 
+ * @param {Object} sender - The message sender
+ * @param {string} url - The URL to look up
+ * @returns {boolean} True if the lookup is allowed
+ */
+function canLookUpPageUrl(sender, url) {
+    if (sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) {
+        return true;
+    }
+    return !!sender.tab && isTabPageUrl(sender.tab, url);
+}
+
+/**
+ * Build the URL of the recovery page for a broken page
+ * 
+ * @param {string} url - The broken URL
+ * @param {number} tabId - The tab the broken page was shown in
+ * @returns {string} Recovery page URL
+ */
+function getRecoveryPageUrl(url, tabId) {
+    const params = new URLSearchParams({ url, tabId: String(tabId) });
+    return `${chrome.runtime.getURL(RECOVERY_PAGE_PATH)}?${params}`;
+}
+
+/**
+ * Get the page auto-search opens instead of search results ("Auto-Search Opens" setting)
+ * 
+ * - search: Search results (no target)
+ * - recovery_page: The bundled recovery page
+ * - archive: The best archived copy, or search results when no copy is available
+ * 
+ * @param {string} autoSearchTarget - The setting
+ * @param {string} url - The broken URL
+ * @param {number} tabId - The tab the broken page is shown in
+ * @returns {Promise<Object|null>} { url, destination, linkText } or null for search results
+ */
+async function getAutoSearchTarget(autoSearchTarget, url, tabId) {
+    if (autoSearchTarget === 'recovery_page') {
+        return { url: getRecoveryPageUrl(url, tabId), destination: 'the recovery page', linkText: 'See recovery options' };
+    }
+    
+    if (autoSearchTarget === 'archive') {
+        const archive = await getArchivedCopy(url);
+        if (archive) {
+            return { url: archive.url, destination: `the ${archive.name} copy`, linkText: `Open archived copy (${archive.name})` };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Look for a broken page's new address
+ * 
+ * The user's rewrite rules are tried first - they were written for exactly
+ * this and are followed like a redirect. Otherwise the page is looked for
+ * elsewhere on its own site, as the URL repair mode allows.
+ * 
+ * @param {string} url - The broken URL
+ * @returns {Promise<Object>} { repairedUrl, autoNavigate, isParent, source } - repairedUrl is null when nothing was found
+ */
+async function findSiteRepair(url) {
+    if (!url) {
+        return { repairedUrl: null };
+    }
+    
+    const rewrite = await findRewrite(url);
+    if (rewrite) {
+        return { repairedUrl: rewrite.url, autoNavigate: true, source: 'rewrite' };
+    }
+    
+    const { urlRepairMode = DEFAULT_URL_REPAIR_MODE } = await chrome.storage.local.get(['urlRepairMode']);
+    if (urlRepairMode === URL_REPAIR_MODES.OFF) {
+        return { repairedUrl: null };
+    }
+    
+    // A parent section is only a lead, never worth navigating to on its own
+    const repair = await findRepairedUrl(url);
+    return {
+        repairedUrl: repair ? repair.url : null,
+        autoNavigate: urlRepairMode === URL_REPAIR_MODES.AUTO && !repair?.isParent,
+        isParent: !!repair?.isParent,
+        source: 'repair'
+    };
+}
+
+/**
+ * Handle "Not a 404" feedback for a page
+ * Records the override, flags the page's errors as false positives so they
+ * can be told apart in the history, and cancels any pending auto-search.
+ * 
+ * @param {number} tabId - The tab showing the page
+ * @param {string} url - The page URL
+ * @param {string} scope - The page only (default) or its section, see OVERRIDE_SCOPES
+ * @returns {Promise<Object>} The recorded override ({ pattern, hostname, boost })
+ */
+async function reportFalsePositive(tabId, url, scope) {
+    // Redirected dead links were detected by the URL that was requested
+    const status = getMainFrameStatus(tabId, url);
+    const reportedUrl = status?.originalUrl || url;
+    
+    const override = await addFalsePositive(reportedUrl, scope);
+    
+    (tabErrors.get(tabId) || [])
+        .filter(error => error.url === reportedUrl)
+        .forEach(error => {
+            error.falsePositive = true;
+        });
+    
+    const result = await chrome.storage.local.get(['errors']);
+    const errors = result.errors || [];
+    const storedError = errors.filter(error => error.url === reportedUrl).pop();
+    if (storedError) {
+        storedError.falsePositive = true;
+        await chrome.storage.local.set({ errors });
+    }
+    
+    chrome.tabs.sendMessage(tabId, { action: 'cancelAutoSearch' })
+        .catch(() => {
+            // Content script not available on this page
+        });
+    
+    return override;
+}
+
+/**
+ * Get recovery options for a tab whose page failed to load
+ * 
+ * @param {number} tabId - The tab to look up
+ * @param {string} url - The tab's current URL (errors for other URLs are ignored)
+ * @returns {Promise<Object>} { category, label, hint, error, url, archiveLinks, searchUrl, queued }
+ *   or { category: null } if the page didn't fail with a recoverable network error
+ */
+async function getNetworkRecovery(tabId, url) {
+    const networkError = (tabErrors.get(tabId) || [])
+        .filter(error => error.type === 'navigation_error' && error.frameId === 0 && error.category && error.url === url)
+        .pop();
+    
+    if (!networkError) {
+        return { category: null };
+    }
+    
+    const settings = await chrome.storage.local.get(['defaultSearchEngine', 'defaultQueryTemplate']);
+    const searchUrl = await generateSearchUrl(
+        url,
+        '',
+        settings.defaultSearchEngine || 'google',
+        settings.defaultQueryTemplate || 'domainAndKeywords'
+    ).catch(() => null);
+    const queue = await getOfflineQueue();
+    
+    return {
+        category: networkError.category,
+        label: NETWORK_ERROR_CATEGORIES[networkError.category].label,
+        hint: NETWORK_ERROR_CATEGORIES[networkError.category].hint,
+        error: networkError.error,
+        url,
+        archiveLinks: await getArchiveLinks(url),
+        searchUrl,
+        queued: queue.some(entry => entry.url === url && entry.tabId === tabId)
+    };
+}
+
+/**
+ * Get the cached 404 template fingerprint for an origin
+ * 
+ * @param {string} origin - The origin (e.g. https://example.com)
+ * @returns {Promise<Object>} { found, fingerprint } - fingerprint is null for origins that can't be probed
+ */
+async function getTemplateFingerprint(origin) {
+    const result = await chrome.storage.local.get([TEMPLATE_FINGERPRINT_CACHE.storageKey]);
+    const entry = (result[TEMPLATE_FINGERPRINT_CACHE.storageKey] || {})[origin];
+    
+    if (!entry || Date.now() - entry.timestamp > TEMPLATE_FINGERPRINT_CACHE.maxAgeMs) {
+        return { found: false };
+    }
+    
+    return { found: true, fingerprint: entry.fingerprint };
+}
+
+/**
+ * Cache the 404 template fingerprint for an origin
+ * 
+ * @param {string} origin - The origin the fingerprint belongs to
+ * @param {Object|null} fingerprint - { structure, words } or null if the origin can't be probed
+ */
+async function storeTemplateFingerprint(origin, fingerprint) {
+    const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const validFingerprint = fingerprint && isStringArray(fingerprint.structure) && isStringArray(fingerprint.words)
+        ? { structure: fingerprint.structure.slice(0, 2000), words: fingerprint.words.slice(0, 1000) }
+        : null;
+    
+    const result = await chrome.storage.local.get([TEMPLATE_FINGERPRINT_CACHE.storageKey]);
+    const cache = result[TEMPLATE_FINGERPRINT_CACHE.storageKey] || {};
+    
+    cache[origin] = { fingerprint: validFingerprint, timestamp: Date.now() };
+    
+    // Keep only the most recently probed origins
+    const origins = Object.keys(cache);
+    if (origins.length > TEMPLATE_FINGERPRINT_CACHE.maxOrigins) {
+        origins
+            .sort((a, b) => cache[a].timestamp - cache[b].timestamp)
+            .slice(0, origins.length - TEMPLATE_FINGERPRINT_CACHE.maxOrigins)
+            .forEach(key => delete cache[key]);
+    }
+    
+    await chrome.storage.local.set({ [TEMPLATE_FINGERPRINT_CACHE.storageKey]: cache });
+}
+
+/**
+ * Get the settings the content script needs to run soft 404 detection
+ * 
+ * @param {number} tabId - The requesting tab
+ * @param {string} url - The requesting document's URL
+ * @returns {Promise<Object>} Detection settings
+ */
+async function getDetectionSettings(tabId, url) {
+    const settings = await chrome.storage.local.get(['detectionLanguages', 'enableTemplateProbe']);
+    const httpStatus = getMainFrameStatus(tabId, url);
+    
+    // "Not a 404" feedback for this page or site (see detectionOverrides.js)
+    const overrides = await getOverridesForUrl(httpStatus?.originalUrl || url);
+    
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        // Unknown sender URL - no platform rules apply
+    }
+    
+    return {
+        // Only the rule packs for this domain are sent to the page
+        platformRules: await getRulePacksForDomain(hostname),
+        // null means every bundled phrase pack is enabled
+        detectionLanguages: Array.isArray(settings.detectionLanguages) ? settings.detectionLanguages : null,
+        suppressed: overrides.suppressed,
+        thresholdBoost: overrides.thresholdBoost,
+        // Opt-in: probing sends an extra request to the site
+        enableTemplateProbe: settings.enableTemplateProbe === true,
+        // HTTP error status of the page (null if it loaded normally or its class is ignored)
+        httpStatus: httpStatus && (await getStatusPolicy(httpStatus.statusClass)) !== STATUS_POLICY_ACTIONS.IGNORE
+            ? { statusCode: httpStatus.statusCode, statusClass: httpStatus.statusClass }
+            : null
+    };
+}
+
+/**
+ * Check if auto-search should be enabled for a given domain
+ * 
+ * The status class of the page (HTTP status, or soft 404 for pages that loaded
+ * normally) selects the configured policy: 'ignore' and 'log' never act,
+ * 'suggest' shows a search link without redirecting, and 'auto_search' redirects
+ * when the domain settings allow it.
+ * 
+ * The search engine is the domain's own choice when one is set (see
+ * siteSearch.js), otherwise the default search engine.
+ * 
+ * @param {string} domain - The page's hostname
+ * @param {string} url - The page URL
+ * @param {number} tabId - The tab the page is loaded in
+ * @returns {Promise<Object>} Eligibility result
+ */
+async function checkAutoSearchEligibility(domain, url, tabId) {
     try {
-        const settings = await chrome.storage.local.get(['isExtensionActive', 'enableAutoSearch', 'defaultSearchEngine', 'defaultQueryTemplate', 'whitelistDomains', 'blacklistDomains']);
+        const settings = await chrome.storage.local.get(['isExtensionActive', 'enableAutoSearch', 'autoSearchDelayMs', 'autoSearchTarget', 'autoRedirectWindowMinutes', 'maxAutoRedirectsPerMinute', 'defaultSearchEngine', 'defaultQueryTemplate', 'whitelistDomains', 'blacklistDomains']);
         
         // Check if extension is globally disabled first
         if (settings.isExtensionActive === false) {
@@ -268,6 +1144,45 @@ async function checkAutoSearchEligibility(domain, url) {
         if (isBlacklisted) {
             return { shouldAutoSearch: false, reason: 'domain_blacklisted' };
         }
+        
+        // A site search with no results isn't a broken page - don't search again from it
+        if (isSiteSearchResultsUrl(url, await getSiteSearch(domain))) {
+            return { shouldAutoSearch: false, reason: 'site_search_results' };
+        }
+        
+        const searchEngine = await resolveSearchEngine(domain, settings.defaultSearchEngine || 'google');
+        
+        // Apply the policy configured for this page's status class
+        const httpStatus = getMainFrameStatus(tabId, url);
+        const statusClass = httpStatus ? httpStatus.statusClass : 'soft_404';
+        const policy = await getStatusPolicy(statusClass);
+        const statusInfo = {
+            statusCode: httpStatus ? httpStatus.statusCode : null,
+            statusClass,
+            statusHint: STATUS_CLASSES[statusClass].hint,
+            // Queries for redirected dead links are built from the requested URL
+            originalUrl: httpStatus ? httpStatus.originalUrl : null
+        };
+        
+        // The recovery page or an archived copy is opened (or suggested) instead of search results when enabled.
+        // Only resolved on the branches that act: the archive lookup sends the URL to archive.org
+        const getTarget = () => getAutoSearchTarget(settings.autoSearchTarget, statusInfo.originalUrl || url, tabId);
+        
+        if (policy === STATUS_POLICY_ACTIONS.IGNORE || policy === STATUS_POLICY_ACTIONS.LOG) {
+            return { shouldAutoSearch: false, reason: `status_policy_${policy}`, ...statusInfo };
+        }
+        
+        if (policy === STATUS_POLICY_ACTIONS.SUGGEST) {
+            return {
+                shouldAutoSearch: false,
+                suggestOnly: true,
+                reason: 'status_policy_suggest',
+                searchEngine,
+                queryTemplate: settings.defaultQueryTemplate || 'domainAndKeywords',
+                target: await getTarget(),
+                ...statusInfo
+            };
+        }
 
         // Determine if auto-search should be enabled
         let shouldAutoSearch = false;
@@ -282,11 +1197,48 @@ async function checkAutoSearchEligibility(domain, url) {
             return { shouldAutoSearch, reason: 'auto_search_disabled' };
         }
 
-        // Return default search engine and query template
+        // Where the results open (global setting or per-domain override)
+        const openMode = await getOpenMode(domain);
+        if (openMode === OPEN_MODES.SUGGEST) {
+            return {
+                shouldAutoSearch: false,
+                suggestOnly: true,
+                reason: 'open_mode_suggest',
+                searchEngine,
+                queryTemplate: settings.defaultQueryTemplate || 'domainAndKeywords',
+                target: await getTarget(),
+                ...statusInfo
+            };
+        }
+
+        // Don't redirect again from a page already redirected in this tab (Back button),
+        // or when redirects are piling up too fast - offer a search link instead
+        const redirectCheck = await checkRedirectAllowed(tabId, url, settings);
+        if (!redirectCheck.allowed) {
+            return {
+                shouldAutoSearch: false,
+                suggestOnly: true,
+                reason: redirectCheck.reason,
+                searchEngine,
+                queryTemplate: settings.defaultQueryTemplate || 'domainAndKeywords',
+                target: await getTarget(),
+                ...statusInfo,
+                statusHint: redirectCheck.reason === 'recently_redirected'
+                    ? 'You were already redirected from this page.'
+                    : 'Auto-search paused: too many redirects in the last minute.'
+            };
+        }
+
+        // Return default search engine, query template, countdown delay and open mode,
+        // and the page opened instead of search results
         return {
             shouldAutoSearch,
-            searchEngine: settings.defaultSearchEngine || 'google',
-            queryTemplate: settings.defaultQueryTemplate || 'domainAndKeywords'
+            searchEngine,
+            queryTemplate: settings.defaultQueryTemplate || 'domainAndKeywords',
+            delayMs: settings.autoSearchDelayMs,
+            openMode,
+            target: await getTarget(),
+            ...statusInfo
         };
     } catch (error) {
         return { shouldAutoSearch: false, reason: 'error_retrieving_settings' };
@@ -296,29 +1248,29 @@ async function checkAutoSearchEligibility(domain, url) {
 // Generate search URL based on configured templates
 async function generateSearchUrl(url, title, searchEngine = 'google', queryTemplate = 'domainAndKeywords') {
     try {
-        // Check if using custom search engine
-        if (searchEngine === 'custom') {
-            const settings = await chrome.storage.local.get(['customSearchUrl']);
-            const customUrl = settings.customSearchUrl;
-            
-            if (!customUrl) {
+        // The site's own search only needs the page keywords, not the domain or operators
+        if (searchEngine === SITE_SEARCH_ENGINE_KEY) {
+            const siteSearch = await getSiteSearch(new URL(url).hostname);
+            if (!siteSearch) {
                 return null;
             }
             
-            // Extract URL info for query construction
-            const urlInfo = genSearchUrls(url, queryTemplate, title)[0];
-            if (!urlInfo || !urlInfo.query) {
-                return null;
-            }
-            
-            // Replace {query} placeholder with actual query
-            const searchUrl = customUrl.replace('{query}', encodeURIComponent(urlInfo.query));
-            return searchUrl;
+            const { domainName, keywords } = extractUrlInfo(url, title);
+            const query = keywords.filter(keyword => keyword !== domainName).join(' ') || domainName;
+            return constructSiteSearchUrl(siteSearch.template, query);
+        }
+        
+        // A user-defined template that was removed falls back to the default one
+        const customTemplates = await getCustomQueryTemplates();
+        const { searchEngineParams } = await chrome.storage.local.get(['searchEngineParams']);
+        if (!getQueryTemplate(queryTemplate, customTemplates)) {
+            queryTemplate = 'domainAndKeywords';
         }
         
-        // Use predefined search engines
-        const searchUrls = genSearchUrls(url, queryTemplate, title);
-        const matchingEngine = searchUrls.find(su => su.engine.name.toLowerCase() === searchEngine.toLowerCase());
+        // Built-in and custom engines alike (a removed custom engine finds nothing)
+        const customEngines = await getCustomSearchEngines();
+        const searchUrls = genSearchUrls(url, queryTemplate, title, customTemplates, searchEngineParams, customEngines);
+        const matchingEngine = searchUrls.find(su => su.engineKey === searchEngine);
         return matchingEngine ? matchingEngine.url : null;
     } catch (error) {
         throw error;
@@ -360,7 +1312,7 @@ async function createAutoSearchNotification(url, searchEngine, searchUrl) {
             type: 'basic',
             iconUrl: chrome.runtime.getURL('assets/icon-128.png'),
             title: '404 Page Auto-Search',
-            message: `Searching for "${domain}" content on ${searchEngine}`,
+            message: `Searching for "${domain}" content on ${getSearchEngineName(searchEngine, await getCustomSearchEngines())}`,
             contextMessage: 'Click to open search results',
             priority: 1,
             // Chrome notification API limitations:
@@ -382,6 +1334,34 @@ async function createAutoSearchNotification(url, searchEngine, searchUrl) {
     }
 }
 
+/**
+ * Create a notification for a page that failed while offline
+ * Clicking the notification opens the page.
+ * 
+ * @param {string} url - The page that failed to load
+ * @returns {Promise<string>} The notification ID
+ */
+async function createBackOnlineNotification(url) {
+    const notificationId = `back-online-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    
+    // Reuse the click mapping - the notification opens the page itself
+    notificationSearchUrls.set(notificationId, {
+        url,
+        timestamp: Date.now()
+    });
+    
+    await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('assets/icon-128.png'),
+        title: 'Back Online',
+        message: `${new URL(url).hostname} couldn't load while you were offline`,
+        contextMessage: 'Click to open the page',
+        priority: 1
+    });
+    
+    return notificationId;
+}
+
 /**
  * Educational: Chrome Notifications API Limitations
  * 
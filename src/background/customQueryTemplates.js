@@ -0,0 +1,113 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { validateQueryTemplate } from '../search/searchEngineConfig.js';
+
+// Custom Query Templates are user-defined templates with placeholders
+// (see QUERY_PLACEHOLDERS in searchEngineConfig.js), usable like the built-in ones
+const storageKeyCustomTemplates = 'customQueryTemplates';
+
+// Templates beyond this many are ignored
+const MAX_CUSTOM_TEMPLATES = 50;
+
+function getCustomQueryTemplates() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyCustomTemplates], (result) => {
+            resolve((result[storageKeyCustomTemplates] || []).slice(0, MAX_CUSTOM_TEMPLATES));
+        });
+    });
+}
+
+/**
+ * Add a custom query template
+ *
+ * @param {Object} queryTemplate - { name, template }
+ * @returns {Promise<Array<string>>} Validation errors (empty if it was added)
+ */
+async function addCustomQueryTemplate(queryTemplate) {
+    const errors = validateQueryTemplate(queryTemplate);
+    const templates = await getCustomQueryTemplates();
+    if (templates.length >= MAX_CUSTOM_TEMPLATES) {
+        errors.push(`at most ${MAX_CUSTOM_TEMPLATES} templates can be added`);
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    templates.push({
+        id: `custom-${Date.now()}`,
+        name: queryTemplate.name.trim(),
+        template: queryTemplate.template.trim()
+    });
+    await chrome.storage.local.set({ [storageKeyCustomTemplates]: templates });
+    return [];
+}
+
+async function removeCustomQueryTemplate(id) {
+    const templates = await getCustomQueryTemplates();
+    await chrome.storage.local.set({
+        [storageKeyCustomTemplates]: templates.filter(template => template.id !== id)
+    });
+}
+
+/**
+ * Import custom query templates (an exported list of { name, template })
+ * A template with the same name as an existing one replaces it, keeping its id
+ * so a default template that points at it keeps working.
+ *
+ * @param {Array<Object>} imported - Templates to import
+ * @returns {Promise<Object>} { added, errors } - errors has one message per skipped template
+ */
+async function importCustomQueryTemplates(imported) {
+    if (!Array.isArray(imported)) {
+        return { added: 0, errors: ['Expected a list of templates'] };
+    }
+
+    const templates = await getCustomQueryTemplates();
+    const errors = [];
+    let added = 0;
+
+    imported.forEach((queryTemplate, index) => {
+        const templateErrors = validateQueryTemplate(queryTemplate);
+        if (templateErrors.length > 0) {
+            errors.push(`Template ${index + 1}: ${templateErrors.join(', ')}`);
+            return;
+        }
+
+        const name = queryTemplate.name.trim();
+        const existing = templates.find(template => template.name === name);
+        if (existing) {
+            existing.template = queryTemplate.template.trim();
+        } else if (templates.length < MAX_CUSTOM_TEMPLATES) {
+            templates.push({ id: `custom-${Date.now()}-${index}`, name, template: queryTemplate.template.trim() });
+        } else {
+            errors.push(`Template ${index + 1}: at most ${MAX_CUSTOM_TEMPLATES} templates can be added`);
+            return;
+        }
+        added++;
+    });
+
+    await chrome.storage.local.set({ [storageKeyCustomTemplates]: templates });
+    return { added, errors };
+}
+
+export {
+    getCustomQueryTemplates,
+    addCustomQueryTemplate,
+    removeCustomQueryTemplate,
+    importCustomQueryTemplates
+};
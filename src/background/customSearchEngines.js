@@ -0,0 +1,111 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { validateCustomSearchEngine } from '../search/searchEngineConfig.js';
+
+// Custom Search Engines are named, user-defined engines (see validateCustomSearchEngine
+// in searchEngineConfig.js), merged with the built-in ones by getSearchEngineRegistry()
+const storageKeyCustomEngines = 'customSearchEngines';
+
+// The single custom search URL of older versions, shown as the engine "custom"
+const storageKeyLegacySearchUrl = 'customSearchUrl';
+const LEGACY_ENGINE_ID = 'custom';
+
+// Engines beyond this many are ignored
+const MAX_CUSTOM_ENGINES = 20;
+
+/**
+ * Get the custom search engines
+ * A custom search URL saved by an older version is included as "Custom"
+ * (id "custom"), so settings that point at it keep working.
+ *
+ * @returns {Promise<Array<Object>>} { id, name, template, method, postParams, iconUrl }
+ */
+function getCustomSearchEngines() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyCustomEngines, storageKeyLegacySearchUrl], (result) => {
+            const engines = result[storageKeyCustomEngines] || [];
+            const legacyUrl = result[storageKeyLegacySearchUrl];
+            if (legacyUrl && !engines.some(engine => engine.id === LEGACY_ENGINE_ID)) {
+                engines.unshift({ id: LEGACY_ENGINE_ID, name: 'Custom', template: legacyUrl, method: 'GET', postParams: [], iconUrl: '' });
+            }
+            resolve(engines.slice(0, MAX_CUSTOM_ENGINES));
+        });
+    });
+}
+
+function getStoredEngines() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyCustomEngines], (result) => {
+            resolve(result[storageKeyCustomEngines] || []);
+        });
+    });
+}
+
+// Keep only the fields an engine is made of
+function toStoredEngine(id, engine) {
+    const method = engine.method || 'GET';
+    return {
+        id,
+        name: engine.name.trim(),
+        template: engine.template.trim(),
+        method,
+        postParams: method === 'POST' ? (engine.postParams || []).map(({ name, value }) => ({ name, value })) : [],
+        iconUrl: engine.iconUrl || ''
+    };
+}
+
+/**
+ * Add a custom search engine
+ *
+ * @param {Object} engine - { name, template, method, postParams, iconUrl }
+ * @returns {Promise<Array<string>>} Validation errors (empty if it was added)
+ */
+async function addCustomSearchEngine(engine) {
+    const errors = validateCustomSearchEngine(engine);
+    const engines = await getCustomSearchEngines();
+    if (engines.length >= MAX_CUSTOM_ENGINES) {
+        errors.push(`at most ${MAX_CUSTOM_ENGINES} search engines can be added`);
+    } else if (engine && typeof engine.name === 'string' &&
+        engines.some(existing => existing.name.toLowerCase() === engine.name.trim().toLowerCase())) {
+        errors.push(`a search engine named "${engine.name.trim()}" already exists`);
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const stored = await getStoredEngines();
+    stored.push(toStoredEngine(`custom-${Date.now()}`, engine));
+    await chrome.storage.local.set({ [storageKeyCustomEngines]: stored });
+    return [];
+}
+
+async function removeCustomSearchEngine(id) {
+    if (id === LEGACY_ENGINE_ID) {
+        await chrome.storage.local.remove(storageKeyLegacySearchUrl);
+    }
+    const stored = await getStoredEngines();
+    await chrome.storage.local.set({
+        [storageKeyCustomEngines]: stored.filter(engine => engine.id !== id)
+    });
+}
+
+export {
+    getCustomSearchEngines,
+    addCustomSearchEngine,
+    removeCustomSearchEngine
+};
@@ -0,0 +1,182 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Detection Overrides recorded from "Not a 404" feedback
+const storageKeyDetectionOverrides = 'detectionOverrides';
+
+/**
+ * Override types
+ * - suppress: Never treat pages matching a URL pattern as errors
+ * - threshold: Raise the detection thresholds for a whole site
+ */
+const OVERRIDE_TYPES = {
+    SUPPRESS: 'suppress',
+    THRESHOLD: 'threshold'
+};
+
+/**
+ * What a suppress override covers
+ * - page: Only the reported URL (the default)
+ * - section: Every page next to it, chosen explicitly ("Also ignore similar pages")
+ */
+const OVERRIDE_SCOPES = {
+    PAGE: 'page',
+    SECTION: 'section'
+};
+
+// Each report raises a site's thresholds by this much, up to the maximum
+const THRESHOLD_BOOST_STEP = 10;
+const MAX_THRESHOLD_BOOST = 30;
+
+/**
+ * Build the URL pattern for a misdetected page
+ * The page scope keeps the exact path: example.com/blog/my-post
+ * The section scope treats the last path segment as the variable part (slug,
+ * id...) and replaces it by a wildcard: example.com/blog/my-post → example.com/blog/*
+ * Top-level pages keep their exact path either way: example.com/about
+ *
+ * @param {string} url - The misdetected page URL
+ * @param {string} scope - One of OVERRIDE_SCOPES
+ * @returns {string} URL pattern (hostname + path, "*" matches anything)
+ */
+function getUrlPattern(url, scope = OVERRIDE_SCOPES.PAGE) {
+    const { hostname, pathname } = new URL(url);
+    const segments = pathname.split('/').filter(segment => segment.length > 0);
+
+    if (scope !== OVERRIDE_SCOPES.SECTION) {
+        return `${hostname}/${segments.join('/')}`;
+    }
+    if (segments.length < 2) {
+        return hostname + (segments.length ? '/' + segments[0] : '/');
+    }
+
+    return `${hostname}/${segments.slice(0, -1).join('/')}/*`;
+}
+
+/**
+ * Check if a URL matches a URL pattern
+ *
+ * @param {string} pattern - Pattern from getUrlPattern() (hostname + path with "*" wildcards)
+ * @param {string} url - URL to test
+ * @returns {boolean} True if the URL's hostname and path match
+ */
+function matchesUrlPattern(pattern, url) {
+    try {
+        const { hostname, pathname } = new URL(url);
+        // Trailing slashes are ignored on both sides
+        const escaped = pattern.replace(/\/+$/, '').split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+        const regex = new RegExp(`^${escaped.join('.*')}/?$`, 'i');
+        return regex.test(hostname + pathname.replace(/\/+$/, ''));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Get all overrides (suppressed patterns and site threshold boosts)
+function getDetectionOverrides() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyDetectionOverrides], (result) => {
+            resolve(result[storageKeyDetectionOverrides] || []);
+        });
+    });
+}
+
+function saveDetectionOverrides(overrides) {
+    return chrome.storage.local.set({ [storageKeyDetectionOverrides]: overrides });
+}
+
+/**
+ * Record "Not a 404" feedback for a page
+ * Suppresses the page (or its section, when chosen) and raises the thresholds
+ * for its site, so similar pages on the same site need stronger evidence from then on.
+ * A suppressed page's HTTP error status still counts (see runDetection in content.js).
+ *
+ * @param {string} url - The misdetected page URL
+ * @param {string} scope - One of OVERRIDE_SCOPES
+ * @returns {Promise<Object>} { pattern, hostname, boost } - What was recorded
+ */
+async function addFalsePositive(url, scope = OVERRIDE_SCOPES.PAGE) {
+    const pattern = getUrlPattern(url, scope);
+    const { hostname } = new URL(url);
+    const overrides = await getDetectionOverrides();
+
+    if (!overrides.some(override => override.type === OVERRIDE_TYPES.SUPPRESS && override.pattern === pattern)) {
+        overrides.push({
+            id: `override_${Date.now()}`,
+            type: OVERRIDE_TYPES.SUPPRESS,
+            pattern,
+            exampleUrl: url,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    let siteOverride = overrides.find(override => override.type === OVERRIDE_TYPES.THRESHOLD && override.hostname === hostname);
+    if (!siteOverride) {
+        siteOverride = {
+            id: `override_${Date.now()}_site`,
+            type: OVERRIDE_TYPES.THRESHOLD,
+            hostname,
+            boost: 0,
+            createdAt: new Date().toISOString()
+        };
+        overrides.push(siteOverride);
+    }
+    siteOverride.boost = Math.min(siteOverride.boost + THRESHOLD_BOOST_STEP, MAX_THRESHOLD_BOOST);
+
+    await saveDetectionOverrides(overrides);
+    return { pattern, hostname, boost: siteOverride.boost };
+}
+
+// Remove an override by id
+async function removeDetectionOverride(id) {
+    const overrides = await getDetectionOverrides();
+    await saveDetectionOverrides(overrides.filter(override => override.id !== id));
+}
+
+/**
+ * Get the overrides that apply to a page
+ *
+ * @param {string} url - The page URL
+ * @returns {Promise<Object>} { suppressed, thresholdBoost }
+ */
+async function getOverridesForUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        return { suppressed: false, thresholdBoost: 0 };
+    }
+
+    const overrides = await getDetectionOverrides();
+    const siteOverride = overrides.find(override => override.type === OVERRIDE_TYPES.THRESHOLD && override.hostname === hostname);
+
+    return {
+        suppressed: overrides.some(override => override.type === OVERRIDE_TYPES.SUPPRESS && matchesUrlPattern(override.pattern, url)),
+        thresholdBoost: siteOverride ? siteOverride.boost : 0
+    };
+}
+
+export {
+    OVERRIDE_TYPES,
+    OVERRIDE_SCOPES,
+    getUrlPattern,
+    matchesUrlPattern,
+    getDetectionOverrides,
+    addFalsePositive,
+    removeDetectionOverride,
+    getOverridesForUrl
+};
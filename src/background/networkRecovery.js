@@ -0,0 +1,115 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Network Recovery for pages that failed to load (DNS, connection and offline errors)
+const storageKeyOfflineQueue = 'offlineRetryQueue';
+
+// Oldest queued URLs are dropped beyond this many
+const MAX_OFFLINE_QUEUE = 50;
+
+/**
+ * Network error categories
+ * Each category has:
+ * - label: Short description shown in the popup
+ * - hint: What the user can do about it
+ * - errors: webNavigation.onErrorOccurred error strings in the category
+ *
+ * Errors outside these lists (net::ERR_ABORTED, net::ERR_BLOCKED_BY_CLIENT...)
+ * are user or extension initiated and aren't recovered.
+ */
+const NETWORK_ERROR_CATEGORIES = {
+    dns: {
+        label: 'Domain not found',
+        hint: 'The domain may have expired. Try an archived copy or search for the content.',
+        errors: ['net::ERR_NAME_NOT_RESOLVED', 'net::ERR_NAME_RESOLUTION_FAILED']
+    },
+    connection: {
+        label: 'Site not responding',
+        hint: 'The server refused or dropped the connection. Try an archived copy or search for the content.',
+        errors: [
+            'net::ERR_CONNECTION_REFUSED',
+            'net::ERR_CONNECTION_RESET',
+            'net::ERR_CONNECTION_CLOSED',
+            'net::ERR_CONNECTION_TIMED_OUT',
+            'net::ERR_TIMED_OUT',
+            'net::ERR_ADDRESS_UNREACHABLE',
+            'net::ERR_EMPTY_RESPONSE'
+        ]
+    },
+    offline: {
+        label: 'You are offline',
+        hint: 'The page will be retried when your connection returns.',
+        errors: ['net::ERR_INTERNET_DISCONNECTED']
+    }
+};
+
+// Find the category of a navigation error (null if it isn't recoverable)
+function classifyNetworkError(error) {
+    const category = Object.keys(NETWORK_ERROR_CATEGORIES)
+        .find(key => NETWORK_ERROR_CATEGORIES[key].errors.includes(error));
+    return category || null;
+}
+
+// Get the URLs waiting for the connection to return
+function getOfflineQueue() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyOfflineQueue], (result) => {
+            resolve(result[storageKeyOfflineQueue] || []);
+        });
+    });
+}
+
+/**
+ * Queue a URL to be retried once the browser is back online
+ * A URL is queued once per tab; queueing it again refreshes its timestamp.
+ *
+ * @param {string} url - The URL that failed to load
+ * @param {number} tabId - The tab it failed in
+ */
+async function queueOfflineRetry(url, tabId) {
+    const queue = (await getOfflineQueue())
+        .filter(entry => !(entry.url === url && entry.tabId === tabId));
+    queue.push({ url, tabId, timestamp: Date.now() });
+
+    await chrome.storage.local.set({ [storageKeyOfflineQueue]: queue.slice(-MAX_OFFLINE_QUEUE) });
+}
+
+// Remove a queued URL (e.g. it was retried manually)
+async function removeOfflineRetry(url, tabId) {
+    const queue = await getOfflineQueue();
+    await chrome.storage.local.set({
+        [storageKeyOfflineQueue]: queue.filter(entry => !(entry.url === url && entry.tabId === tabId))
+    });
+}
+
+// Get and clear all queued URLs
+async function takeOfflineQueue() {
+    const queue = await getOfflineQueue();
+    if (queue.length > 0) {
+        await chrome.storage.local.set({ [storageKeyOfflineQueue]: [] });
+    }
+    return queue;
+}
+
+export {
+    NETWORK_ERROR_CATEGORIES,
+    classifyNetworkError,
+    getOfflineQueue,
+    queueOfflineRetry,
+    removeOfflineRetry,
+    takeOfflineQueue
+};
@@ -0,0 +1,207 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Platform Rules for site-specific soft 404 detection
+const storageKeyUserRulePacks = 'platformRulePacks';
+const storageKeyDisabledRulePacks = 'disabledRulePacks';
+
+const PATTERN_CONTEXTS = ['title', 'any'];
+
+/**
+ * Rule pack format
+ * Rule packs are plain JSON so they can be stored, imported and exported:
+ * - id: Unique identifier
+ * - name: Display name
+ * - domains: Domains the pack applies to (subdomains match too)
+ * - heavyChrome: Site has heavy navigation/footers, so skip the minimal structure check
+ * - thresholds.platform: Confidence needed when a pack pattern matched (default 45)
+ * - thresholds.confidence: Optional override of the word-count based threshold
+ * - patterns: { pattern, flags, weight, context } where pattern is a RegExp source
+ *   and context is 'title' (title only) or 'any' (title, plus body at half weight)
+ */
+const BUILT_IN_RULE_PACKS = [
+    {
+        id: 'github',
+        name: 'GitHub',
+        domains: ['github.com'],
+        heavyChrome: true,
+        thresholds: { platform: 45 },
+        patterns: [
+            { pattern: 'Page\\s+not\\s+found', flags: 'i', weight: 40, context: 'title' },
+            { pattern: '"404".*not.*the.*page.*you.*are.*looking.*for', flags: 'i', weight: 50, context: 'any' },
+            { pattern: 'This\\s+is\\s+not\\s+the\\s+(web\\s+)?page\\s+you.*looking\\s+for', flags: 'i', weight: 40, context: 'any' }
+        ]
+    },
+    {
+        id: 'facebook',
+        name: 'Facebook',
+        domains: ['facebook.com'],
+        heavyChrome: true,
+        // Facebook loads tons of nav/footer even on 404s
+        thresholds: { platform: 35 },
+        patterns: [
+            { pattern: "This\\s+content\\s+isn[''']?t\\s+available", flags: 'i', weight: 40, context: 'any' },
+            { pattern: "it[''']?s\\s+been\\s+deleted", flags: 'i', weight: 30, context: 'any' },
+            { pattern: 'owner\\s+only\\s+shared\\s+it\\s+with\\s+a\\s+small\\s+group', flags: 'i', weight: 25, context: 'any' }
+        ]
+    },
+    {
+        id: 'twitter',
+        name: 'Twitter/X',
+        domains: ['twitter.com', 'x.com'],
+        heavyChrome: true,
+        thresholds: { platform: 45 },
+        patterns: [
+            { pattern: "This\\s+account\\s+doesn'?t\\s+exist", flags: 'i', weight: 50, context: 'any' },
+            { pattern: 'Try\\s+searching\\s+for\\s+another', flags: 'i', weight: 20, context: 'any' }
+        ]
+    }
+];
+
+// Check if a hostname is one of the pack's domains or a subdomain of one
+function matchesDomain(hostname, pack) {
+    const host = hostname.toLowerCase();
+    return pack.domains.some(domain => {
+        const normalized = domain.toLowerCase().replace(/^\*\./, '');
+        return host === normalized || host.endsWith('.' + normalized);
+    });
+}
+
+/**
+ * Validate a rule pack
+ *
+ * @param {Object} pack - Rule pack to validate
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRulePack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object') {
+        return ['Rule pack must be an object'];
+    }
+    if (typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(pack.id)) {
+        errors.push('id must contain only letters, numbers, "-" and "_"');
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        errors.push('name is required');
+    }
+    if (!Array.isArray(pack.domains) || pack.domains.length === 0 ||
+        !pack.domains.every(domain => typeof domain === 'string' && domain.trim())) {
+        errors.push('domains must be a non-empty list of domain names');
+    }
+    if (pack.thresholds !== undefined) {
+        const { platform, confidence } = pack.thresholds || {};
+        if (platform !== undefined && typeof platform !== 'number') {
+            errors.push('thresholds.platform must be a number');
+        }
+        if (confidence !== undefined && typeof confidence !== 'number') {
+            errors.push('thresholds.confidence must be a number');
+        }
+    }
+    if (!Array.isArray(pack.patterns) || pack.patterns.length === 0) {
+        errors.push('patterns must be a non-empty list');
+    } else {
+        pack.patterns.forEach((rule, index) => {
+            try {
+                new RegExp(rule.pattern, rule.flags || '');
+            } catch (error) {
+                errors.push(`patterns[${index}]: invalid regular expression (${error.message})`);
+            }
+            if (typeof rule.weight !== 'number') {
+                errors.push(`patterns[${index}]: weight must be a number`);
+            }
+            if (!PATTERN_CONTEXTS.includes(rule.context)) {
+                errors.push(`patterns[${index}]: context must be one of ${PATTERN_CONTEXTS.join(', ')}`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Get the user-defined rule packs
+function getUserRulePacks() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyUserRulePacks], (result) => {
+            resolve(result[storageKeyUserRulePacks] || []);
+        });
+    });
+}
+
+// Save the user-defined rule packs (replaces the stored list)
+function saveUserRulePacks(packs) {
+    return chrome.storage.local.set({ [storageKeyUserRulePacks]: packs });
+}
+
+// Get the ids of disabled rule packs (built-in or user-defined)
+function getDisabledRulePackIds() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyDisabledRulePacks], (result) => {
+            resolve(result[storageKeyDisabledRulePacks] || []);
+        });
+    });
+}
+
+// Enable or disable a rule pack by id
+async function setRulePackEnabled(id, isEnabled) {
+    const disabled = await getDisabledRulePackIds();
+    const updated = isEnabled ? disabled.filter(packId => packId !== id) : [...new Set([...disabled, id])];
+    await chrome.storage.local.set({ [storageKeyDisabledRulePacks]: updated });
+}
+
+/**
+ * Get every rule pack with its source and enabled state
+ * A user pack with the same id as a built-in pack replaces it.
+ *
+ * @returns {Promise<Array<Object>>} Rule packs with builtIn and enabled flags
+ */
+async function getAllRulePacks() {
+    const [userPacks, disabled] = await Promise.all([getUserRulePacks(), getDisabledRulePackIds()]);
+    const userIds = new Set(userPacks.map(pack => pack.id));
+
+    return [
+        ...BUILT_IN_RULE_PACKS
+            .filter(pack => !userIds.has(pack.id))
+            .map(pack => ({ ...pack, builtIn: true })),
+        ...userPacks.map(pack => ({ ...pack, builtIn: false }))
+    ].map(pack => ({ ...pack, enabled: !disabled.includes(pack.id) }));
+}
+
+/**
+ * Get the enabled, valid rule packs that apply to a hostname
+ *
+ * @param {string} hostname - The page's hostname
+ * @returns {Promise<Array<Object>>} Matching rule packs
+ */
+async function getRulePacksForDomain(hostname) {
+    if (!hostname) {
+        return [];
+    }
+
+    const packs = await getAllRulePacks();
+    return packs.filter(pack => pack.enabled && validateRulePack(pack).length === 0 && matchesDomain(hostname, pack));
+}
+
+export {
+    BUILT_IN_RULE_PACKS,
+    validateRulePack,
+    getUserRulePacks,
+    saveUserRulePacks,
+    setRulePackEnabled,
+    getAllRulePacks,
+    getRulePacksForDomain
+};
@@ -0,0 +1,97 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Recovery Open Mode decides where search results open when auto-search triggers
+const storageKeyOpenMode = 'recoveryOpenMode';
+const storageKeyDomainOpenModes = 'domainOpenModes';
+
+/**
+ * Open modes
+ * - replace: Navigate the broken page's tab to the results (Back returns to it)
+ * - foreground_tab: Open the results in a new tab next to the broken page and switch to it
+ * - background_tab: Open the results in a new tab without leaving the broken page
+ * - suggest: Don't open anything, only show a search link on the page
+ */
+const OPEN_MODES = {
+    REPLACE: 'replace',
+    FOREGROUND_TAB: 'foreground_tab',
+    BACKGROUND_TAB: 'background_tab',
+    SUGGEST: 'suggest'
+};
+
+const DEFAULT_OPEN_MODE = OPEN_MODES.REPLACE;
+
+function isValidOpenMode(mode) {
+    return Object.values(OPEN_MODES).includes(mode);
+}
+
+// Get the per-domain open modes ({ domain: mode })
+function getDomainOpenModes() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyDomainOpenModes], (result) => {
+            resolve(result[storageKeyDomainOpenModes] || {});
+        });
+    });
+}
+
+// Set the open mode for a domain (applies to its subdomains too)
+async function setDomainOpenMode(domain, mode) {
+    if (!isValidOpenMode(mode)) {
+        throw new Error(`Unknown open mode: ${mode}`);
+    }
+
+    const modes = await getDomainOpenModes();
+    modes[domain.toLowerCase()] = mode;
+    await chrome.storage.local.set({ [storageKeyDomainOpenModes]: modes });
+}
+
+// Remove a domain's open mode so the global mode applies again
+async function removeDomainOpenMode(domain) {
+    const modes = await getDomainOpenModes();
+    delete modes[domain.toLowerCase()];
+    await chrome.storage.local.set({ [storageKeyDomainOpenModes]: modes });
+}
+
+/**
+ * Get the open mode for a hostname
+ * The most specific domain entry wins (docs.example.com over example.com),
+ * falling back to the global mode.
+ *
+ * @param {string} hostname - The broken page's hostname
+ * @returns {Promise<string>} One of OPEN_MODES
+ */
+async function getOpenMode(hostname) {
+    const result = await chrome.storage.local.get([storageKeyOpenMode, storageKeyDomainOpenModes]);
+    const domainModes = result[storageKeyDomainOpenModes] || {};
+    const host = (hostname || '').toLowerCase();
+
+    const matchingDomain = Object.keys(domainModes)
+        .filter(domain => host === domain || host.endsWith('.' + domain))
+        .sort((a, b) => b.length - a.length)[0];
+
+    const mode = matchingDomain ? domainModes[matchingDomain] : result[storageKeyOpenMode];
+    return isValidOpenMode(mode) ? mode : DEFAULT_OPEN_MODE;
+}
+
+export {
+    OPEN_MODES,
+    DEFAULT_OPEN_MODE,
+    getDomainOpenModes,
+    setDomainOpenMode,
+    removeDomainOpenMode,
+    getOpenMode
+};
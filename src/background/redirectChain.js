@@ -0,0 +1,134 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Redirect Chain analysis for dead links that redirect instead of returning 404
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+// Longest chain kept per navigation (redirect loops are cut off by the browser anyway)
+const MAX_REDIRECT_HOPS = 20;
+
+// Confidence for each redirect detection type
+const REDIRECT_CONFIDENCE = {
+    redirect_to_error: 95,
+    redirect_to_home: 80
+};
+
+// Homepage paths: "/", "/index.html", "/home", and locale roots like "/en/" or "/en-us/"
+const HOME_PATH_PATTERN = /^\/?(?:[a-z]{2}(?:[-_][a-z]{2})?\/?)?(?:(?:index|default|home)(?:\.[a-z]+)?)?\/?$/i;
+
+// Generic error pages: "/404.html", "/errors/404", "/not-found", "/page-not-found/"...
+const ERROR_PATH_PATTERN = /(?:^|\/)(?:404|410|not[-_]?found|page[-_]?not[-_]?found|errors?(?:[-_]?404)?)(?:\.[a-z]+)?\/?$/i;
+const ERROR_QUERY_PATTERN = /[?&](?:error|status|code)=(?:404|410)\b/i;
+
+// Paths that are expected to send the user to the homepage
+const EXPECTED_HOME_REDIRECT_PATTERN = /^\/(?:log-?out|sign-?out|log-?in|sign-?in|auth)\b/i;
+
+/**
+ * Educational: Following redirects with webRequest
+ *
+ * A redirect keeps the same requestId for every hop, so the background can
+ * collect the chain with webRequest.onBeforeRedirect (url → redirectUrl for
+ * each 3xx response) and analyze it once the final response arrives in
+ * onHeadersReceived. The page itself only ever sees the final URL.
+ */
+
+// Check if a status code is a redirect that will be followed by onBeforeRedirect
+function isRedirectStatus(statusCode) {
+    return REDIRECT_STATUS_CODES.includes(statusCode);
+}
+
+// Check if two hostnames belong to the same site (ignoring www. and subdomains)
+function isSameSite(hostA, hostB) {
+    const a = hostA.toLowerCase().replace(/^www\./, '');
+    const b = hostB.toLowerCase().replace(/^www\./, '');
+    return a === b || a.endsWith('.' + b) || b.endsWith('.' + a);
+}
+
+function isHomePath(pathname) {
+    return HOME_PATH_PATTERN.test(pathname);
+}
+
+function isErrorPage(url) {
+    return ERROR_PATH_PATTERN.test(url.pathname) || ERROR_QUERY_PATTERN.test(url.search);
+}
+
+/**
+ * Analyze a main frame redirect chain for dead links that were redirected
+ * to the site's homepage or to a generic error page
+ *
+ * Only same-site chains are considered, so link shorteners and sign-in
+ * redirects to other domains are never flagged.
+ *
+ * @param {Array<{url: string, statusCode: number, redirectUrl: string}>} hops - Redirects in order
+ * @param {string} finalUrl - The URL that was finally loaded
+ * @returns {Object|null} { statusClass, confidence, originalUrl, finalUrl, hops } or null
+ */
+function analyzeRedirectChain(hops, finalUrl) {
+    if (!Array.isArray(hops) || hops.length === 0) {
+        return null;
+    }
+
+    let original;
+    let final;
+    try {
+        original = new URL(hops[0].url);
+        final = new URL(finalUrl);
+    } catch (error) {
+        return null;
+    }
+
+    if (!['http:', 'https:'].includes(original.protocol) || !isSameSite(original.hostname, final.hostname)) {
+        return null;
+    }
+
+    // http → https and trailing slash redirects keep the same path
+    const normalizePath = (pathname) => pathname.replace(/\/+$/, '').toLowerCase();
+    if (normalizePath(original.pathname) === normalizePath(final.pathname)) {
+        return null;
+    }
+
+    let statusClass = null;
+    if (isErrorPage(final) && !isErrorPage(original)) {
+        statusClass = 'redirect_to_error';
+    } else if (isHomePath(final.pathname) && !isHomePath(original.pathname) &&
+               !EXPECTED_HOME_REDIRECT_PATTERN.test(original.pathname)) {
+        statusClass = 'redirect_to_home';
+    }
+
+    if (!statusClass) {
+        return null;
+    }
+
+    return {
+        statusClass,
+        confidence: REDIRECT_CONFIDENCE[statusClass],
+        originalUrl: original.href,
+        finalUrl: final.href,
+        hops: hops.slice(0, MAX_REDIRECT_HOPS).map(hop => ({
+            url: hop.url,
+            statusCode: hop.statusCode,
+            redirectUrl: hop.redirectUrl
+        }))
+    };
+}
+
+export {
+    MAX_REDIRECT_HOPS,
+    isRedirectStatus,
+    isSameSite,
+    analyzeRedirectChain
+};
@@ -0,0 +1,137 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Redirect Guard keeps auto-search from trapping the user in redirect loops
+const storageKeyRedirectHistory = 'autoRedirectHistory';
+const storageKeyRedirectTimes = 'autoRedirectTimes';
+
+/**
+ * Educational: Why session storage?
+ * Pressing Back after an auto-redirect loads the broken page again, and the
+ * content script can't tell that apart from a first visit. The background
+ * remembers which URLs were already redirected in each tab. The service
+ * worker's memory is lost whenever Chrome suspends it, so the bookkeeping
+ * lives in chrome.storage.session: it survives suspension but is cleared
+ * when the browser closes, and is never written to disk.
+ */
+
+// Minutes during which a URL isn't auto-redirected again in the same tab
+const DEFAULT_REDIRECT_WINDOW_MINUTES = 30;
+
+// Automatic redirects allowed per minute across all tabs
+const DEFAULT_MAX_REDIRECTS_PER_MINUTE = 5;
+
+const RATE_LIMIT_PERIOD_MS = 60 * 1000;
+
+// The fragment doesn't change the page, so it isn't part of the key
+function getHistoryKey(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return url;
+    }
+}
+
+async function getRedirectState() {
+    const result = await chrome.storage.session.get([storageKeyRedirectHistory, storageKeyRedirectTimes]);
+    return {
+        history: result[storageKeyRedirectHistory] || {},
+        times: result[storageKeyRedirectTimes] || []
+    };
+}
+
+/**
+ * Check whether a page may be auto-redirected
+ *
+ * @param {number} tabId - The tab showing the page
+ * @param {string} url - The page URL
+ * @param {Object} settings - { autoRedirectWindowMinutes, maxAutoRedirectsPerMinute }
+ * @returns {Promise<Object>} { allowed, reason } - reason is 'recently_redirected' or 'redirect_rate_limited' when blocked
+ */
+async function checkRedirectAllowed(tabId, url, settings = {}) {
+    const windowMinutes = settings.autoRedirectWindowMinutes ?? DEFAULT_REDIRECT_WINDOW_MINUTES;
+    const maxPerMinute = settings.maxAutoRedirectsPerMinute ?? DEFAULT_MAX_REDIRECTS_PER_MINUTE;
+    const { history, times } = await getRedirectState();
+    const now = Date.now();
+
+    const redirectedAt = history[tabId]?.[getHistoryKey(url)];
+    if (redirectedAt && now - redirectedAt < windowMinutes * 60 * 1000) {
+        return { allowed: false, reason: 'recently_redirected' };
+    }
+
+    // 0 turns the rate limit off
+    if (maxPerMinute > 0 && times.filter(time => now - time < RATE_LIMIT_PERIOD_MS).length >= maxPerMinute) {
+        return { allowed: false, reason: 'redirect_rate_limited' };
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Record a redirect away from a page
+ * Every redirect is remembered for the Back button; only automatic ones
+ * (the countdown ran out) count toward the per-minute rate limit.
+ * Entries older than the longest window are pruned on the way.
+ *
+ * @param {number} tabId - The tab that was redirected
+ * @param {string} url - The page it was redirected away from
+ * @param {number} windowMinutes - The configured repeat-visit window
+ * @param {Object} options - { automatic } - false for "Search now" and clicked links
+ */
+async function recordAutoRedirect(tabId, url, windowMinutes = DEFAULT_REDIRECT_WINDOW_MINUTES, { automatic = false } = {}) {
+    const { history, times } = await getRedirectState();
+    const now = Date.now();
+    const maxAge = Math.max(windowMinutes * 60 * 1000, RATE_LIMIT_PERIOD_MS);
+
+    for (const [tab, urls] of Object.entries(history)) {
+        for (const [key, time] of Object.entries(urls)) {
+            if (now - time >= maxAge) {
+                delete urls[key];
+            }
+        }
+        if (Object.keys(urls).length === 0) {
+            delete history[tab];
+        }
+    }
+
+    history[tabId] = { ...(history[tabId] || {}), [getHistoryKey(url)]: now };
+
+    const recentTimes = times.filter(time => now - time < RATE_LIMIT_PERIOD_MS);
+    await chrome.storage.session.set({
+        [storageKeyRedirectHistory]: history,
+        [storageKeyRedirectTimes]: automatic ? [...recentTimes, now] : recentTimes
+    });
+}
+
+// Forget a tab's redirects (e.g. the tab was closed and its id may be reused)
+async function clearTabRedirects(tabId) {
+    const { history } = await getRedirectState();
+    if (history[tabId]) {
+        delete history[tabId];
+        await chrome.storage.session.set({ [storageKeyRedirectHistory]: history });
+    }
+}
+
+export {
+    DEFAULT_REDIRECT_WINDOW_MINUTES,
+    DEFAULT_MAX_REDIRECTS_PER_MINUTE,
+    checkRedirectAllowed,
+    recordAutoRedirect,
+    clearTabRedirects
+};
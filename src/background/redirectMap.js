@@ -0,0 +1,488 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { isSameSite } from './redirectChain.js';
+
+// Redirect Map remembers where broken URLs moved ("old URL → new URL") and redirects to them
+const storageKeyRedirectMap = 'redirectMap';
+const storageKeyRedirectLearning = 'redirectLearning';
+const storageKeyMappedRedirects = 'mappedRedirects';
+
+/**
+ * Where an entry came from
+ * - auto: Learned when the user clicked from search results to a page on the broken page's site.
+ *   Learned entries are pending (they don't redirect) until the user confirms them.
+ * - manual: Added from the popup or options page
+ */
+const REDIRECT_SOURCES = {
+    AUTO: 'auto',
+    MANUAL: 'manual'
+};
+
+// Oldest entries are dropped beyond this many
+const MAX_REDIRECTS = 1000;
+
+// A search opened for a broken page can teach a redirect for this long
+const LEARNING_WINDOW_MS = 30 * 60 * 1000;
+
+// Learned entries that are never confirmed are dropped after this long
+const PENDING_REDIRECT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Educational: declarativeNetRequest
+ * Dynamic rules are evaluated by the browser itself, before the request is
+ * sent, so a known dead URL never loads and detection never has to run. Each
+ * entry becomes a main_frame redirect rule whose urlFilter matches the old URL
+ * exactly ("|" anchors both ends). urlFilter gives "*", "^" and "|" special
+ * meanings, so URLs containing them are redirected from webNavigation instead
+ * (see findFallbackRedirect).
+ */
+
+// Normalize a URL for the map (http(s) only, fragment removed)
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return null;
+        }
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The urlFilter matching exactly this URL, or null if it can't be expressed as one
+function toUrlFilter(url) {
+    return /[*^|]/.test(url) ? null : `|${url}|`;
+}
+
+// Unconfirmed learned entries expire (see PENDING_REDIRECT_MAX_AGE_MS)
+function isExpired(entry, now) {
+    return !!entry.pending && now - entry.createdAt > PENDING_REDIRECT_MAX_AGE_MS;
+}
+
+function getRedirectMap() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyRedirectMap], (result) => {
+            const now = Date.now();
+            resolve((result[storageKeyRedirectMap] || []).filter(entry => !isExpired(entry, now)));
+        });
+    });
+}
+
+function saveRedirectMap(redirects) {
+    return chrome.storage.local.set({ [storageKeyRedirectMap]: redirects.slice(-MAX_REDIRECTS) });
+}
+
+/**
+ * Validate a redirect against the map it's added to
+ *
+ * @param {string} from - Old URL (normalized)
+ * @param {string} to - New URL (normalized)
+ * @param {Array<Object>} redirects - Existing entries
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRedirect(from, to, redirects) {
+    if (!from) {
+        return ['the old URL must be an http(s) URL'];
+    }
+    if (!to) {
+        return ['the new URL must be an http(s) URL'];
+    }
+    if (from === to) {
+        return ['the old and new URL are the same'];
+    }
+
+    // Follow the chain from the new URL - ending up at the old URL would loop forever
+    const targets = new Map(redirects.filter(entry => entry.from !== from).map(entry => [entry.from, entry.to]));
+    const seen = new Set();
+    let current = to;
+    while (targets.has(current) && !seen.has(current)) {
+        seen.add(current);
+        current = targets.get(current);
+        if (current === from) {
+            return ['the new URL redirects back to the old URL'];
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Add (or replace) a redirect
+ * Learned (auto) entries are added as pending - see confirmRedirect.
+ *
+ * @param {string} from - Old (broken) URL
+ * @param {string} to - New URL
+ * @param {string} source - One of REDIRECT_SOURCES
+ * @returns {Promise<Array<string>>} Validation errors (empty if it was added)
+ */
+async function addRedirect(from, to, source = REDIRECT_SOURCES.MANUAL) {
+    const normalizedFrom = normalizeUrl(from);
+    const normalizedTo = normalizeUrl(to);
+    const redirects = await getRedirectMap();
+
+    const errors = validateRedirect(normalizedFrom, normalizedTo, redirects);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const updated = redirects.filter(entry => entry.from !== normalizedFrom);
+    updated.push({
+        from: normalizedFrom,
+        to: normalizedTo,
+        source,
+        pending: source === REDIRECT_SOURCES.AUTO,
+        createdAt: Date.now()
+    });
+    await saveRedirectMap(updated);
+    return [];
+}
+
+/**
+ * Confirm a pending (learned) redirect so it starts redirecting
+ *
+ * @param {string} from - Old (broken) URL of the entry
+ * @returns {Promise<boolean>} True if a pending entry was confirmed
+ */
+async function confirmRedirect(from) {
+    const redirects = await getRedirectMap();
+    const entry = redirects.find(existing => existing.from === from && existing.pending);
+    if (!entry) {
+        return false;
+    }
+    entry.pending = false;
+    await saveRedirectMap(redirects);
+    return true;
+}
+
+async function removeRedirect(from) {
+    const redirects = await getRedirectMap();
+    await saveRedirectMap(redirects.filter(entry => entry.from !== from));
+}
+
+/**
+ * Forget learned redirects to a URL that turned out to be broken itself
+ *
+ * @param {string} url - URL detected as an error page
+ * @returns {Promise<boolean>} True if any entry was removed
+ */
+async function forgetRedirectTarget(url) {
+    const target = normalizeUrl(url);
+    const redirects = await getRedirectMap();
+    const updated = redirects.filter(entry => !(entry.source === REDIRECT_SOURCES.AUTO && entry.to === target));
+    if (updated.length === redirects.length) {
+        return false;
+    }
+    await saveRedirectMap(updated);
+    return true;
+}
+
+/**
+ * Find the redirect for a URL
+ *
+ * @param {string} url - URL being visited
+ * @returns {Promise<Object|null>} { from, to, source, pending, createdAt } or null
+ */
+async function findRedirect(url) {
+    const normalized = normalizeUrl(url);
+    if (!normalized) {
+        return null;
+    }
+    const redirects = await getRedirectMap();
+    return redirects.find(entry => entry.from === normalized) || null;
+}
+
+/**
+ * Find the pending (learned) redirects that lead to a URL
+ *
+ * @param {string} url - Page the user is on
+ * @returns {Promise<Array<Object>>} Pending entries whose new URL is this page
+ */
+async function findPendingRedirectsTo(url) {
+    const normalized = normalizeUrl(url);
+    if (!normalized) {
+        return [];
+    }
+    const redirects = await getRedirectMap();
+    return redirects.filter(entry => entry.pending && entry.to === normalized);
+}
+
+/**
+ * Find a redirect that the dynamic rules can't perform
+ * Used from webNavigation.onBeforeNavigate for URLs that have no rule.
+ *
+ * @param {string} url - URL being visited
+ * @returns {Promise<Object|null>} The entry, or null if there is none or a rule handles it
+ */
+async function findFallbackRedirect(url) {
+    const entry = await findRedirect(url);
+    if (!entry || entry.pending || (chrome.declarativeNetRequest && toUrlFilter(entry.from))) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Merge imported entries into the map
+ *
+ * @param {Array<Object>} entries - { from, to, source? } entries
+ * @returns {Promise<Object>} { added, errors } - errors name the skipped entries
+ */
+async function importRedirectMap(entries) {
+    if (!Array.isArray(entries)) {
+        return { added: 0, errors: ['the file must contain a list of redirects'] };
+    }
+
+    let redirects = await getRedirectMap();
+    const errors = [];
+    let added = 0;
+
+    entries.forEach((entry, index) => {
+        const from = normalizeUrl(entry && entry.from);
+        const to = normalizeUrl(entry && entry.to);
+        const entryErrors = validateRedirect(from, to, redirects);
+        if (entryErrors.length > 0) {
+            errors.push(`[${index}]: ${entryErrors.join(', ')}`);
+            return;
+        }
+
+        redirects = redirects.filter(existing => existing.from !== from);
+        redirects.push({
+            from,
+            to,
+            source: Object.values(REDIRECT_SOURCES).includes(entry.source) ? entry.source : REDIRECT_SOURCES.MANUAL,
+            pending: entry.pending === true,
+            createdAt: Number(entry.createdAt) || Date.now()
+        });
+        added++;
+    });
+
+    await saveRedirectMap(redirects);
+    return { added, errors };
+}
+
+// Syncs run one at a time so rule ids never collide
+let ruleSync = Promise.resolve();
+
+/**
+ * Replace the extension's dynamic rules with one redirect rule per entry
+ * No rules are kept while the extension is turned off.
+ *
+ * @returns {Promise<void>}
+ */
+function syncRedirectRules() {
+    ruleSync = ruleSync.then(async () => {
+        if (!chrome.declarativeNetRequest) {
+            return;
+        }
+
+        const [{ isExtensionActive }, redirects, existingRules] = await Promise.all([
+            chrome.storage.local.get(['isExtensionActive']),
+            getRedirectMap(),
+            chrome.declarativeNetRequest.getDynamicRules()
+        ]);
+
+        const addRules = isExtensionActive === false ? [] : redirects
+            .filter(entry => !entry.pending && toUrlFilter(entry.from))
+            .map((entry, index) => ({
+                id: index + 1,
+                priority: 1,
+                action: { type: 'redirect', redirect: { url: entry.to } },
+                condition: {
+                    urlFilter: toUrlFilter(entry.from),
+                    isUrlFilterCaseSensitive: true,
+                    resourceTypes: ['main_frame']
+                }
+            }));
+
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: existingRules.map(rule => rule.id),
+            addRules
+        });
+    }).catch(error => {
+        console.error('Error syncing redirect rules:', error);
+    });
+    return ruleSync;
+}
+
+// Redirects made in each tab are remembered so the popup can show which entry moved the tab
+
+/**
+ * Remember the entry that redirects a tab's navigation (or forget the last one)
+ * Called from webNavigation.onBeforeNavigate, which sees the old URL before the
+ * dynamic rule redirects it.
+ *
+ * @param {number} tabId - The navigating tab
+ * @param {string} url - URL being visited
+ */
+async function recordMappedRedirect(tabId, url) {
+    const entry = await findRedirect(url);
+    const { [storageKeyMappedRedirects]: mapped = {} } = await chrome.storage.session.get([storageKeyMappedRedirects]);
+    if (entry && !entry.pending) {
+        mapped[tabId] = { from: entry.from, to: entry.to };
+    } else if (mapped[tabId]) {
+        delete mapped[tabId];
+    } else {
+        return;
+    }
+    await chrome.storage.session.set({ [storageKeyMappedRedirects]: mapped });
+}
+
+/**
+ * Get the entry that redirected a tab to the page it shows
+ *
+ * @param {number} tabId - The tab
+ * @param {string} url - The tab's current URL
+ * @returns {Promise<Object|null>} { from, to } or null if the page wasn't reached by a redirect
+ */
+async function getMappedRedirect(tabId, url) {
+    const { [storageKeyMappedRedirects]: mapped = {} } = await chrome.storage.session.get([storageKeyMappedRedirects]);
+    const entry = mapped[tabId];
+    return entry && entry.to === normalizeUrl(url) ? entry : null;
+}
+
+async function clearMappedRedirect(tabId) {
+    const { [storageKeyMappedRedirects]: mapped = {} } = await chrome.storage.session.get([storageKeyMappedRedirects]);
+    if (mapped[tabId]) {
+        delete mapped[tabId];
+        await chrome.storage.session.set({ [storageKeyMappedRedirects]: mapped });
+    }
+}
+
+// Learning: a search opened for a broken page is followed until the user clicks through
+
+function getRedirectLearning() {
+    return chrome.storage.session.get([storageKeyRedirectLearning])
+        .then(result => result[storageKeyRedirectLearning] || {});
+}
+
+/**
+ * Follow a tab that was sent to search results for a broken page
+ *
+ * @param {number} tabId - The tab showing the search results
+ * @param {string} brokenUrl - The broken URL
+ * @param {string} searchUrl - The search results URL
+ */
+async function startRedirectLearning(tabId, brokenUrl, searchUrl) {
+    const { enableRedirectLearning } = await chrome.storage.local.get(['enableRedirectLearning']);
+    if (enableRedirectLearning === false) {
+        return;
+    }
+
+    const from = normalizeUrl(brokenUrl);
+    const searchHost = normalizeUrl(searchUrl) && new URL(searchUrl).hostname;
+    if (!from || !searchHost || isSameSite(searchHost, new URL(from).hostname)) {
+        return;
+    }
+
+    const learning = await getRedirectLearning();
+    learning[tabId] = { from, searchHost, onSearch: true, startedAt: Date.now() };
+    await chrome.storage.session.set({ [storageKeyRedirectLearning]: learning });
+}
+
+/**
+ * Carry learning over to a tab opened from the search results (middle-click, new window)
+ *
+ * @param {number} sourceTabId - The search results tab
+ * @param {number} tabId - The new tab
+ */
+async function copyRedirectLearning(sourceTabId, tabId) {
+    const learning = await getRedirectLearning();
+    const state = learning[sourceTabId];
+    if (!state || !state.onSearch) {
+        return;
+    }
+    learning[tabId] = { ...state };
+    await chrome.storage.session.set({ [storageKeyRedirectLearning]: learning });
+}
+
+async function clearRedirectLearning(tabId) {
+    const learning = await getRedirectLearning();
+    if (learning[tabId]) {
+        delete learning[tabId];
+        await chrome.storage.session.set({ [storageKeyRedirectLearning]: learning });
+    }
+}
+
+/**
+ * Learn a redirect from a page loaded in a followed tab
+ *
+ * A working page on the broken page's site, opened straight from the search
+ * results, is taken to be where the broken page moved. It's saved as a pending
+ * entry that only redirects once the user confirms it in the popup, and never
+ * replaces an entry the user already relies on. Pages on the search
+ * engine keep the tab followed; anything else in between means the user went
+ * elsewhere, and only a later return to the results re-arms learning.
+ *
+ * @param {number} tabId - The tab that loaded a page
+ * @param {string} url - The page URL
+ * @param {boolean} isErrorPage - True if the page is itself an error page
+ * @returns {Promise<Object|null>} The learned entry, or null
+ */
+async function learnRedirect(tabId, url, isErrorPage) {
+    const learning = await getRedirectLearning();
+    const state = learning[tabId];
+    const to = normalizeUrl(url);
+    if (!state || !to) {
+        return null;
+    }
+
+    const host = new URL(to).hostname;
+    let learned = null;
+    if (Date.now() - state.startedAt > LEARNING_WINDOW_MS) {
+        delete learning[tabId];
+    } else if (isSameSite(host, state.searchHost)) {
+        state.onSearch = true;
+    } else if (state.onSearch && !isErrorPage && to !== state.from && isSameSite(host, new URL(state.from).hostname)) {
+        const existing = await findRedirect(state.from);
+        const errors = existing && !existing.pending
+            ? ['the broken page already redirects']
+            : await addRedirect(state.from, to, REDIRECT_SOURCES.AUTO);
+        learned = errors.length === 0 ? { from: state.from, to, source: REDIRECT_SOURCES.AUTO, pending: true } : null;
+        delete learning[tabId];
+    } else {
+        state.onSearch = false;
+    }
+
+    await chrome.storage.session.set({ [storageKeyRedirectLearning]: learning });
+    return learned;
+}
+
+export {
+    REDIRECT_SOURCES,
+    MAX_REDIRECTS,
+    normalizeUrl,
+    getRedirectMap,
+    addRedirect,
+    confirmRedirect,
+    removeRedirect,
+    forgetRedirectTarget,
+    findRedirect,
+    findPendingRedirectsTo,
+    findFallbackRedirect,
+    importRedirectMap,
+    syncRedirectRules,
+    recordMappedRedirect,
+    getMappedRedirect,
+    clearMappedRedirect,
+    startRedirectLearning,
+    copyRedirectLearning,
+    clearRedirectLearning,
+    learnRedirect
+};
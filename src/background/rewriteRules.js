@@ -0,0 +1,242 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { probeUrl } from './urlRepair.js';
+
+// Rewrite Rules turn broken URLs into their new address with user-defined patterns
+const storageKeyRewriteRules = 'rewriteRules';
+
+/**
+ * Pattern types
+ * - wildcard: Matches the whole URL; each "*" matches any text and is captured as $1, $2...
+ *   "https://github.com/*\/blob/master/*" → "https://github.com/$1/blob/main/$2"
+ * - regex: A regular expression; the matched part is replaced, so "/docs/v2/" → "/docs/v3/"
+ *   works anywhere in the URL. Capture groups are $1, $2... or $<name>.
+ */
+const REWRITE_RULE_TYPES = {
+    WILDCARD: 'wildcard',
+    REGEX: 'regex'
+};
+
+// Rules beyond this many are ignored
+const MAX_REWRITE_RULES = 100;
+
+/**
+ * Compile a rule's pattern
+ *
+ * @param {Object} rule - { type, pattern }
+ * @returns {RegExp} The pattern as a regular expression
+ * @throws {SyntaxError} If a regex pattern is invalid
+ */
+function compileRewritePattern(rule) {
+    if (rule.type === REWRITE_RULE_TYPES.WILDCARD) {
+        const source = rule.pattern
+            .split('*')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('(.*?)');
+        return new RegExp(`^${source}$`);
+    }
+    return new RegExp(rule.pattern);
+}
+
+/**
+ * Validate a rewrite rule
+ *
+ * @param {Object} rule - { type, pattern, replacement, probe }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRewriteRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+        return ['Rewrite rule must be an object'];
+    }
+    if (!Object.values(REWRITE_RULE_TYPES).includes(rule.type)) {
+        errors.push(`type must be one of ${Object.values(REWRITE_RULE_TYPES).join(', ')}`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        errors.push('pattern is required');
+    } else if (rule.type === REWRITE_RULE_TYPES.WILDCARD && !rule.pattern.includes('*')) {
+        errors.push('a wildcard pattern needs at least one "*"');
+    } else {
+        try {
+            compileRewritePattern(rule);
+        } catch (error) {
+            errors.push(`invalid regular expression (${error.message})`);
+        }
+    }
+    if (typeof rule.replacement !== 'string' || !rule.replacement) {
+        errors.push('replacement is required');
+    }
+
+    return errors;
+}
+
+/**
+ * Rewrite a URL with a rule
+ *
+ * @param {Object} rule - A valid rewrite rule
+ * @param {string} url - The broken URL
+ * @returns {string|null} The rewritten URL, or null if the rule doesn't match,
+ *   changes nothing or doesn't produce an http(s) URL
+ */
+function applyRewriteRule(rule, url) {
+    let pattern;
+    try {
+        pattern = compileRewritePattern(rule);
+    } catch (error) {
+        return null;
+    }
+
+    if (!pattern.test(url)) {
+        return null;
+    }
+
+    try {
+        const rewritten = new URL(url.replace(pattern, rule.replacement));
+        if (!['http:', 'https:'].includes(rewritten.protocol) || rewritten.href === new URL(url).href) {
+            return null;
+        }
+        return rewritten.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getRewriteRules() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyRewriteRules], (result) => {
+            resolve(result[storageKeyRewriteRules] || []);
+        });
+    });
+}
+
+function saveRewriteRules(rules) {
+    return chrome.storage.local.set({ [storageKeyRewriteRules]: rules.slice(0, MAX_REWRITE_RULES) });
+}
+
+/**
+ * Add a rewrite rule at the end of the list
+ *
+ * @param {Object} rule - { type, pattern, replacement, probe }
+ * @returns {Promise<Array<string>>} Validation errors (empty if it was added)
+ */
+async function addRewriteRule(rule) {
+    const errors = validateRewriteRule(rule);
+    const rules = await getRewriteRules();
+    if (rules.length >= MAX_REWRITE_RULES) {
+        errors.push(`at most ${MAX_REWRITE_RULES} rules can be added`);
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    rules.push({
+        id: `rule-${Date.now()}`,
+        type: rule.type,
+        pattern: rule.pattern,
+        replacement: rule.replacement,
+        probe: rule.probe === true,
+        enabled: true
+    });
+    await saveRewriteRules(rules);
+    return [];
+}
+
+async function removeRewriteRule(id) {
+    const rules = await getRewriteRules();
+    await saveRewriteRules(rules.filter(rule => rule.id !== id));
+}
+
+async function setRewriteRuleEnabled(id, isEnabled) {
+    const rules = await getRewriteRules();
+    await saveRewriteRules(rules.map(rule => rule.id === id ? { ...rule, enabled: isEnabled } : rule));
+}
+
+// Move a rule one place up (-1) or down (1) - rules are tried in order
+async function moveRewriteRule(id, direction) {
+    const rules = await getRewriteRules();
+    const index = rules.findIndex(rule => rule.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= rules.length) {
+        return;
+    }
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    await saveRewriteRules(rules);
+}
+
+/**
+ * Run rules against a sample URL without probing (the options page's tester)
+ *
+ * @param {Array<Object>} rules - Rules in order
+ * @param {string} url - Sample URL
+ * @returns {Array<Object>} { rule, errors, result } per rule - result is null when the rule doesn't apply
+ */
+function testRewriteRules(rules, url) {
+    return rules.map(rule => {
+        const errors = validateRewriteRule(rule);
+        return { rule, errors, result: errors.length === 0 ? applyRewriteRule(rule, url) : null };
+    });
+}
+
+/**
+ * Find the new address of a broken URL with the enabled rules
+ *
+ * Rules are tried in order. A rule with probing enabled only wins if its
+ * rewritten URL loads (see urlRepair.js probeUrl); otherwise the next rule is
+ * tried.
+ *
+ * @param {string} url - The broken URL
+ * @returns {Promise<Object|null>} { url, rule } - url is where the rewritten URL ended up
+ */
+async function findRewrite(url) {
+    const rules = await getRewriteRules();
+
+    for (const rule of rules) {
+        if (rule.enabled === false || validateRewriteRule(rule).length > 0) {
+            continue;
+        }
+
+        const rewritten = applyRewriteRule(rule, url);
+        if (!rewritten) {
+            continue;
+        }
+        if (!rule.probe) {
+            return { url: rewritten, rule };
+        }
+
+        const liveUrl = await probeUrl(rewritten);
+        if (liveUrl) {
+            return { url: liveUrl, rule };
+        }
+    }
+
+    return null;
+}
+
+export {
+    REWRITE_RULE_TYPES,
+    validateRewriteRule,
+    applyRewriteRule,
+    getRewriteRules,
+    addRewriteRule,
+    removeRewriteRule,
+    setRewriteRuleEnabled,
+    moveRewriteRule,
+    testRewriteRules,
+    findRewrite
+};
@@ -0,0 +1,227 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { SITE_SEARCH_ENGINE_KEY, constructSiteSearchUrl, getSearchEngineRegistry } from '../search/searchEngineConfig.js';
+import { getCustomSearchEngines } from './customSearchEngines.js';
+import { isSameSite } from './redirectChain.js';
+
+// Site Search stores the search templates discovered on each site and the per-domain engine choice
+const storageKeySiteSearchTemplates = 'siteSearchTemplates';
+const storageKeyDomainSearchEngines = 'domainSearchEngines';
+
+// Oldest discovered templates are dropped beyond this many sites
+const MAX_SITE_SEARCH_TEMPLATES = 200;
+
+/**
+ * Template sources
+ * - opensearch: From the site's OpenSearch description document
+ * - form: Built from a search form found on the page
+ */
+const SITE_SEARCH_SOURCES = ['opensearch', 'form'];
+
+// Get the discovered templates ({ hostname: { template, source, name, discoveredAt } })
+function getSiteSearchTemplates() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeySiteSearchTemplates], (result) => {
+            resolve(result[storageKeySiteSearchTemplates] || {});
+        });
+    });
+}
+
+// Get the discovered site search for a hostname (null if none was found)
+async function getSiteSearch(hostname) {
+    const templates = await getSiteSearchTemplates();
+    return templates[(hostname || '').toLowerCase()] || null;
+}
+
+/**
+ * Check a discovered template before it is stored
+ * Templates must be web URLs on the same site as the page they were found on,
+ * with a {searchTerms} placeholder.
+ *
+ * @param {string} template - URL template
+ * @param {string} hostname - Hostname of the page it was found on
+ * @returns {boolean} True if the template can be used
+ */
+function isValidSiteSearchTemplate(template, hostname) {
+    if (typeof template !== 'string' || !template.includes('{searchTerms}')) {
+        return false;
+    }
+
+    try {
+        const url = new URL(constructSiteSearchUrl(template, 'test'));
+        return ['http:', 'https:'].includes(url.protocol) && isSameSite(url.hostname, hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Remember the site search discovered on a page
+ * OpenSearch descriptions are preferred: a form template never replaces one.
+ *
+ * @param {string} hostname - Hostname of the page
+ * @param {Object} siteSearch - { template, source, name } from the content script
+ * @returns {Promise<boolean>} True if the template was stored
+ */
+async function saveSiteSearch(hostname, siteSearch) {
+    const host = (hostname || '').toLowerCase();
+    if (!siteSearch || !SITE_SEARCH_SOURCES.includes(siteSearch.source) ||
+        !isValidSiteSearchTemplate(siteSearch.template, host)) {
+        return false;
+    }
+
+    const templates = await getSiteSearchTemplates();
+    const existing = templates[host];
+    if (existing && existing.source === 'opensearch' && siteSearch.source === 'form') {
+        return false;
+    }
+
+    delete templates[host];
+    templates[host] = {
+        template: siteSearch.template,
+        source: siteSearch.source,
+        name: typeof siteSearch.name === 'string' ? siteSearch.name.slice(0, 100) : '',
+        discoveredAt: new Date().toISOString()
+    };
+
+    // Objects keep insertion order, so the first keys are the oldest
+    const hosts = Object.keys(templates);
+    hosts.slice(0, Math.max(hosts.length - MAX_SITE_SEARCH_TEMPLATES, 0))
+        .forEach(oldHost => delete templates[oldHost]);
+
+    await chrome.storage.local.set({ [storageKeySiteSearchTemplates]: templates });
+    return true;
+}
+
+/**
+ * Check if a URL is a results page of a site search
+ * Used to avoid searching again from a results page with no results.
+ *
+ * @param {string} url - Page URL
+ * @param {Object} siteSearch - Stored site search for the page's hostname
+ * @returns {boolean} True if the URL has the template's origin and path, and the
+ *   query parameter holding the search terms if the template has one
+ */
+function isSiteSearchResultsUrl(url, siteSearch) {
+    if (!siteSearch) {
+        return false;
+    }
+
+    try {
+        const page = new URL(url);
+        // A marker query shows which parameter holds {searchTerms} - "?s=" on a
+        // WordPress site, whose results path "/" is also the homepage
+        const marker = 'error404finderterms';
+        const results = new URL(constructSiteSearchUrl(siteSearch.template, marker));
+        const termsParams = [...results.searchParams].filter(([, value]) => value === marker).map(([name]) => name);
+        return page.origin === results.origin && page.pathname === results.pathname &&
+            termsParams.every(name => page.searchParams.has(name));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Get the per-domain search engines ({ domain: engineKey })
+function getDomainSearchEngines() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyDomainSearchEngines], (result) => {
+            resolve(result[storageKeyDomainSearchEngines] || {});
+        });
+    });
+}
+
+// Set the search engine for a domain (applies to its subdomains too)
+async function setDomainSearchEngine(domain, engineKey) {
+    if (engineKey !== SITE_SEARCH_ENGINE_KEY && !getSearchEngineRegistry(await getCustomSearchEngines())[engineKey]) {
+        throw new Error(`Unknown search engine: ${engineKey}`);
+    }
+
+    const engines = await getDomainSearchEngines();
+    engines[domain.toLowerCase()] = engineKey;
+    await chrome.storage.local.set({ [storageKeyDomainSearchEngines]: engines });
+}
+
+// Remove a domain's search engine so the default engine applies again
+async function removeDomainSearchEngine(domain) {
+    const engines = await getDomainSearchEngines();
+    delete engines[domain.toLowerCase()];
+    await chrome.storage.local.set({ [storageKeyDomainSearchEngines]: engines });
+}
+
+// The engine chosen for a hostname: the most specific domain entry, or the default engine
+async function getConfiguredSearchEngine(host, defaultEngine) {
+    const domainEngines = await getDomainSearchEngines();
+    const matchingDomain = Object.keys(domainEngines)
+        .filter(domain => host === domain || host.endsWith('.' + domain))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return matchingDomain ? domainEngines[matchingDomain] : defaultEngine;
+}
+
+/**
+ * Tell the content script whether to look for the site's own search
+ * Discovery fetches the site's OpenSearch description, so it's skipped once
+ * the search is known, and only waited for where "This site" is the engine.
+ *
+ * @param {string} hostname - The broken page's hostname
+ * @param {string} defaultEngine - The configured default search engine
+ * @returns {Promise<Object>} { known, wanted } - wanted when "This site" is chosen for the hostname
+ */
+async function getSiteSearchStatus(hostname, defaultEngine = 'google') {
+    const host = (hostname || '').toLowerCase();
+    return {
+        known: !!(await getSiteSearch(host)),
+        wanted: (await getConfiguredSearchEngine(host, defaultEngine)) === SITE_SEARCH_ENGINE_KEY
+    };
+}
+
+/**
+ * Get the search engine to use for a hostname
+ *
+ * The most specific domain entry wins, falling back to the default engine.
+ * "This site" is only used when a search was discovered on the site;
+ * otherwise the default engine (or Google) is used instead.
+ *
+ * @param {string} hostname - The broken page's hostname
+ * @param {string} defaultEngine - The configured default search engine
+ * @returns {Promise<string>} Search engine key
+ */
+async function resolveSearchEngine(hostname, defaultEngine = 'google') {
+    const host = (hostname || '').toLowerCase();
+    const engine = await getConfiguredSearchEngine(host, defaultEngine);
+    if (engine !== SITE_SEARCH_ENGINE_KEY) {
+        return engine;
+    }
+
+    if (await getSiteSearch(host)) {
+        return SITE_SEARCH_ENGINE_KEY;
+    }
+    return defaultEngine && defaultEngine !== SITE_SEARCH_ENGINE_KEY ? defaultEngine : 'google';
+}
+
+export {
+    getSiteSearchTemplates,
+    getSiteSearch,
+    saveSiteSearch,
+    isSiteSearchResultsUrl,
+    getDomainSearchEngines,
+    setDomainSearchEngine,
+    removeDomainSearchEngine,
+    resolveSearchEngine,
+    getSiteSearchStatus
+};
@@ -0,0 +1,317 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { tokenizeUrlPath } from '../search/queryBuilder.js';
+
+// Sitemap Suggestions rank a site's sitemap URLs against a broken path ("Did you mean...")
+const storageKeySitemapCache = 'sitemapCache';
+
+// Sitemaps are fetched again after this long
+const SITEMAP_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Limits that keep fetching quick and the cache small enough for storage
+const MAX_CACHED_ORIGINS = 10;
+const MAX_SITEMAP_FILES = 10;
+const MAX_SITEMAP_URLS = 3000;
+const MAX_SITEMAP_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 4000;
+
+// Ranking
+const MAX_SUGGESTIONS = 3;
+const MIN_SUGGESTION_SCORE = 0.45;
+const MAX_SLUG_LENGTH = 100;
+
+/**
+ * Educational: Sitemaps
+ * Sites list their pages for search engines in XML sitemaps, declared with
+ * "Sitemap:" lines in robots.txt or served at /sitemap.xml. Large sites use a
+ * sitemap index (<sitemapindex>) that points to further sitemaps, often
+ * gzipped (.xml.gz). Service workers have no DOMParser, so the <loc> entries
+ * are read with a regular expression - sitemaps are simple enough for that.
+ */
+
+// Loads in progress per origin, so concurrent requests share one fetch
+const pendingLoads = new Map();
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Fetch a sitemap (or robots.txt) as text
+ * Gzipped files are recognized by their magic bytes, since servers label them
+ * inconsistently; files sent with Content-Encoding: gzip are already decoded.
+ *
+ * @param {string} url - File URL
+ * @returns {Promise<string|null>} File contents or null
+ */
+async function fetchText(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, { credentials: 'omit', signal: controller.signal });
+        if (!response.ok) {
+            return null;
+        }
+
+        const buffer = await response.arrayBuffer();
+        if (buffer.byteLength > MAX_SITEMAP_BYTES) {
+            return null;
+        }
+
+        const bytes = new Uint8Array(buffer);
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+            return await new Response(stream).text();
+        }
+        return new TextDecoder().decode(buffer);
+    } catch (error) {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Read the entries of a sitemap
+ *
+ * @param {string} text - Sitemap contents (XML, or a plain text list of URLs)
+ * @returns {Object} { isIndex, locations } - isIndex when it lists further sitemaps
+ */
+function parseSitemap(text) {
+    if (!text.trimStart().startsWith('<')) {
+        // Text sitemaps are one URL per line
+        return {
+            isIndex: false,
+            locations: text.split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line))
+        };
+    }
+
+    const locations = [];
+    const locPattern = /<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/(?:[\w-]+:)?loc>/gi;
+    let match;
+    while ((match = locPattern.exec(text)) !== null) {
+        locations.push(decodeXmlEntities(match[1]));
+    }
+
+    return { isIndex: /<(?:[\w-]+:)?sitemapindex[\s>]/i.test(text), locations };
+}
+
+// Get the sitemap URLs declared in robots.txt
+async function getRobotsSitemaps(origin) {
+    const robots = await fetchText(`${origin}/robots.txt`);
+    if (!robots) {
+        return [];
+    }
+
+    return robots.split(/\r?\n/)
+        .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+/**
+ * Collect the page paths listed in an origin's sitemaps
+ * Sitemap indexes are followed breadth-first, up to MAX_SITEMAP_FILES files.
+ * Only pages on the same origin are kept.
+ *
+ * @param {string} origin - Site origin (e.g. "https://example.com")
+ * @returns {Promise<Array<string>>} Paths with their query strings
+ */
+async function loadSitemapPaths(origin) {
+    const queue = [...new Set([...await getRobotsSitemaps(origin), `${origin}/sitemap.xml`])];
+    const visited = new Set();
+    const paths = new Set();
+
+    while (queue.length > 0 && visited.size < MAX_SITEMAP_FILES && paths.size < MAX_SITEMAP_URLS) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) {
+            continue;
+        }
+        visited.add(sitemapUrl);
+
+        const text = await fetchText(sitemapUrl);
+        if (!text) {
+            continue;
+        }
+
+        const { isIndex, locations } = parseSitemap(text);
+        for (const location of locations) {
+            if (isIndex) {
+                queue.push(location);
+                continue;
+            }
+            try {
+                const url = new URL(location);
+                if (url.origin === origin) {
+                    paths.add(url.pathname + url.search);
+                }
+            } catch (error) {
+                // Invalid entries are skipped
+            }
+            if (paths.size >= MAX_SITEMAP_URLS) {
+                break;
+            }
+        }
+    }
+
+    return [...paths];
+}
+
+// Get the cached sitemaps ({ origin: { paths, fetchedAt } })
+function getSitemapCache() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeySitemapCache], (result) => {
+            resolve(result[storageKeySitemapCache] || {});
+        });
+    });
+}
+
+/**
+ * Get an origin's sitemap paths, from the cache while it's fresh
+ *
+ * @param {string} origin - Site origin
+ * @returns {Promise<Array<string>>} Paths listed in the sitemaps
+ */
+async function getSitemapPaths(origin) {
+    const cache = await getSitemapCache();
+    const cached = cache[origin];
+    if (cached && Date.now() - cached.fetchedAt < SITEMAP_CACHE_TTL_MS) {
+        return cached.paths;
+    }
+
+    if (!pendingLoads.has(origin)) {
+        pendingLoads.set(origin, loadSitemapPaths(origin).finally(() => pendingLoads.delete(origin)));
+    }
+    const paths = await pendingLoads.get(origin);
+
+    // Sites without sitemaps are cached too, so they aren't fetched on every 404
+    const updated = await getSitemapCache();
+    delete updated[origin];
+    updated[origin] = { paths, fetchedAt: Date.now() };
+    const origins = Object.keys(updated);
+    origins.slice(0, Math.max(origins.length - MAX_CACHED_ORIGINS, 0))
+        .forEach(oldOrigin => delete updated[oldOrigin]);
+    await chrome.storage.local.set({ [storageKeySitemapCache]: updated });
+
+    return paths;
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Last path segment without its extension, lowercased
+function getSlug(pathname) {
+    const segments = pathname.split('/').filter(segment => segment.length > 0);
+    const slug = segments.length ? segments[segments.length - 1] : '';
+    return slug.replace(/\.[a-z0-9]{1,5}$/i, '').toLowerCase().slice(0, MAX_SLUG_LENGTH);
+}
+
+// Parent directory of a path ("/blog/post" → "/blog/")
+function getParentPath(pathname) {
+    return pathname.replace(/\/+$/, '').replace(/[^/]*$/, '');
+}
+
+/**
+ * Score how closely a sitemap path matches a broken path (0-1)
+ *
+ * - Token overlap (60%): Jaccard similarity of the paths' word tokens
+ * - Slug similarity (40%): 1 - normalized edit distance of the last segments,
+ *   which catches typos and small renames ("instal-guide" → "install-guide")
+ * - A small bonus when both live in the same directory
+ *
+ * @param {Object} broken - { tokens, slug, parent } of the broken path
+ * @param {string} candidatePath - Path from the sitemap
+ * @returns {number} Score
+ */
+function scorePath(broken, candidatePath) {
+    const pathname = candidatePath.split('?')[0];
+    const tokens = new Set(tokenizeUrlPath(pathname));
+    const shared = [...broken.tokens].filter(token => tokens.has(token)).length;
+    const union = new Set([...broken.tokens, ...tokens]).size;
+    const tokenScore = union ? shared / union : 0;
+
+    const slug = getSlug(pathname);
+    const longest = Math.max(slug.length, broken.slug.length);
+    const slugScore = longest ? 1 - editDistance(slug, broken.slug) / longest : 0;
+
+    const sameParent = getParentPath(pathname) === broken.parent ? 0.1 : 0;
+    return Math.min(tokenScore * 0.6 + slugScore * 0.4 + sameParent, 1);
+}
+
+/**
+ * Get "Did you mean..." suggestions for a broken URL from its site's sitemaps
+ *
+ * @param {string} url - The broken URL
+ * @returns {Promise<Array<{url: string, score: number}>>} Best matches first (at most MAX_SUGGESTIONS)
+ */
+async function getSitemapSuggestions(url) {
+    let brokenUrl;
+    try {
+        brokenUrl = new URL(url);
+    } catch (error) {
+        return [];
+    }
+
+    if (!['http:', 'https:'].includes(brokenUrl.protocol)) {
+        return [];
+    }
+
+    const broken = {
+        tokens: new Set(tokenizeUrlPath(brokenUrl.pathname)),
+        slug: getSlug(brokenUrl.pathname),
+        parent: getParentPath(brokenUrl.pathname)
+    };
+    if (broken.tokens.size === 0) {
+        return [];
+    }
+
+    const paths = await getSitemapPaths(brokenUrl.origin);
+    const brokenPath = brokenUrl.pathname + brokenUrl.search;
+
+    return paths
+        .filter(path => path !== brokenPath && path.split('?')[0] !== '/')
+        .map(path => ({ url: brokenUrl.origin + path, score: scorePath(broken, path) }))
+        .filter(suggestion => suggestion.score >= MIN_SUGGESTION_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(suggestion => ({ url: suggestion.url, score: Math.round(suggestion.score * 100) / 100 }));
+}
+
+export {
+    getSitemapSuggestions
+};
@@ -0,0 +1,161 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Status Policy for classifying HTTP error statuses and deciding how to handle them
+const storageKeyStatusPolicies = 'statusPolicies';
+
+/**
+ * Actions that can be configured for a status class
+ * - ignore: Don't record or act on the error
+ * - log: Record the error in history only
+ * - suggest: Record it and show a search suggestion without redirecting
+ * - auto_search: Record it and redirect to search results (subject to domain settings)
+ */
+const STATUS_POLICY_ACTIONS = {
+    IGNORE: 'ignore',
+    LOG: 'log',
+    SUGGEST: 'suggest',
+    AUTO_SEARCH: 'auto_search'
+};
+
+/**
+ * Status classes shown in the options policy table
+ * Each class has:
+ * - label: Display name
+ * - description: What the status usually means
+ * - hint: Short message shown in the in-page suggestion
+ * - matches: Function deciding if an HTTP status code belongs to the class
+ *
+ * soft_404 has no status code - it covers pages that return 200 but were
+ * flagged by the content script's content analysis. The redirect classes
+ * are assigned from the main frame redirect chain (see redirectChain.js).
+ */
+const STATUS_CLASSES = {
+    not_found: {
+        label: '404 Not Found',
+        description: 'The page does not exist',
+        hint: 'This page could not be found.',
+        matches: (statusCode) => statusCode === 404
+    },
+    soft_404: {
+        label: 'Soft 404',
+        description: 'The page loaded but looks like an error page',
+        hint: 'This page looks like an error page.',
+        matches: () => false
+    },
+    redirect_to_error: {
+        label: 'Redirected to Error Page',
+        description: 'A dead link was redirected to a generic error page such as /404.html',
+        hint: 'The link you followed was redirected to an error page.',
+        matches: () => false
+    },
+    redirect_to_home: {
+        label: 'Redirected to Homepage',
+        description: 'A deep link was redirected to the homepage, usually because it no longer exists',
+        hint: 'The page you requested was redirected to the homepage.',
+        matches: () => false
+    },
+    gone: {
+        label: '410 Gone',
+        description: 'The page was removed permanently',
+        hint: 'This page was removed permanently. An archived copy may still exist.',
+        matches: (statusCode) => statusCode === 410
+    },
+    forbidden: {
+        label: '403 Forbidden',
+        description: 'Access denied, often used for removed or private content',
+        hint: 'Access to this page is forbidden.',
+        matches: (statusCode) => statusCode === 403
+    },
+    legal: {
+        label: '451 Unavailable For Legal Reasons',
+        description: 'The content was blocked for legal reasons',
+        hint: 'This page is unavailable for legal reasons.',
+        matches: (statusCode) => statusCode === 451
+    },
+    unavailable: {
+        label: '503 Service Unavailable',
+        description: 'Temporary outage or maintenance',
+        hint: 'This site is temporarily unavailable. Try again later.',
+        matches: (statusCode) => statusCode === 503
+    },
+    server_error: {
+        label: 'Other 5xx Server Errors',
+        description: 'The server failed to handle the request',
+        hint: 'The server failed to load this page.',
+        matches: (statusCode) => statusCode >= 500 && statusCode <= 599 && statusCode !== 503
+    }
+};
+
+// Plain-language names for the content script's decision branches (shown with
+// soft 404 verdicts in the popup and on the recovery page)
+const DECISION_BRANCH_LABELS = {
+    very_high_confidence: 'Very high confidence',
+    explicit_404: 'Explicit "404" on the page',
+    platform_specific: 'Platform rule pack',
+    sparse_content: 'Sparse page over threshold',
+    multiple_indicators: 'Several indicators near threshold',
+    standard: 'Standard threshold',
+    template_probe: "Matches the site's 404 page",
+    user_override: 'Marked "Not a 404"'
+};
+
+// Default action for each status class
+const DEFAULT_STATUS_POLICIES = {
+    not_found: STATUS_POLICY_ACTIONS.AUTO_SEARCH,
+    soft_404: STATUS_POLICY_ACTIONS.AUTO_SEARCH,
+    redirect_to_error: STATUS_POLICY_ACTIONS.AUTO_SEARCH,
+    // Some sites send every unknown path home on purpose, so only suggest by default
+    redirect_to_home: STATUS_POLICY_ACTIONS.SUGGEST,
+    gone: STATUS_POLICY_ACTIONS.AUTO_SEARCH,
+    forbidden: STATUS_POLICY_ACTIONS.LOG,
+    legal: STATUS_POLICY_ACTIONS.SUGGEST,
+    // Outages pass, so suggest (with a Retry button on the page) rather than search away
+    unavailable: STATUS_POLICY_ACTIONS.SUGGEST,
+    server_error: STATUS_POLICY_ACTIONS.SUGGEST
+};
+
+// Find the status class for an HTTP status code (null if it isn't an error we handle)
+function classifyStatus(statusCode) {
+    const classKey = Object.keys(STATUS_CLASSES).find(key => STATUS_CLASSES[key].matches(statusCode));
+    return classKey || null;
+}
+
+// Get the configured policies merged over the defaults
+function getStatusPolicies() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([storageKeyStatusPolicies], (result) => {
+            resolve({ ...DEFAULT_STATUS_POLICIES, ...(result[storageKeyStatusPolicies] || {}) });
+        });
+    });
+}
+
+// Get the configured action for a single status class
+async function getStatusPolicy(classKey) {
+    const policies = await getStatusPolicies();
+    return policies[classKey] || STATUS_POLICY_ACTIONS.LOG;
+}
+
+export {
+    STATUS_POLICY_ACTIONS,
+    STATUS_CLASSES,
+    DECISION_BRANCH_LABELS,
+    DEFAULT_STATUS_POLICIES,
+    classifyStatus,
+    getStatusPolicies,
+    getStatusPolicy
+};
@@ -0,0 +1,263 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { analyzeRedirectChain } from './redirectChain.js';
+
+// URL Repair looks for a broken page on its own site before searching the web
+
+/**
+ * Repair modes
+ * - auto: Navigate to a found page with the usual countdown (when auto-search would redirect).
+ *   Only exact-page fixes (slash, case, extension, typo, tracking parameters) navigate;
+ *   a parent section (/blog/) exists on nearly every site, so it is only ever linked to.
+ * - suggest: Only offer a link to the found page
+ * - off: Go straight to web search
+ */
+const URL_REPAIR_MODES = {
+    AUTO: 'auto',
+    SUGGEST: 'suggest',
+    OFF: 'off'
+};
+
+const DEFAULT_URL_REPAIR_MODE = URL_REPAIR_MODES.AUTO;
+
+// Probing limits - a repair attempt must never hold up the search for long
+const MAX_REPAIR_CANDIDATES = 20;
+const PROBE_CONCURRENCY = 4;
+const PROBE_TIMEOUT_MS = 3000;
+const REPAIR_TIME_BUDGET_MS = 6000;
+
+// Query parameters that only track where a link was shared
+const TRACKING_PARAM_PATTERN = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl|ref|ref_src)$/i;
+
+// Server-side extensions that are often dropped when a site moves to clean URLs
+const PAGE_EXTENSION_PATTERN = /\.(?:html?|php|aspx?|jsp|cfm)$/i;
+
+// Characters that get glued to a URL when it's copied out of text: "see https://a.com/page)."
+const TRAILING_JUNK_PATTERN = /(?:[.,;:!?)\]}'"*>]|%20|%22|%27|%29|%3E|%5D)+$/i;
+
+/**
+ * Educational: Why probe a control URL first?
+ * Many sites answer every path with 200 and render "not found" client side
+ * (soft 404s). On those sites a successful probe proves nothing, so a random
+ * path that can't exist is requested first. If it comes back 200, the site
+ * can't be probed and repair is skipped.
+ */
+
+// Fixes for the last path segment (typos and copy-paste damage)
+function getSegmentFixes(segment) {
+    const fixes = [];
+
+    const trimmed = segment.replace(TRAILING_JUNK_PATTERN, '');
+    if (trimmed && trimmed !== segment) {
+        fixes.push(trimmed);
+    }
+
+    if (PAGE_EXTENSION_PATTERN.test(segment)) {
+        fixes.push(segment.replace(PAGE_EXTENSION_PATTERN, ''));
+    }
+    if (/\.htm$/i.test(segment)) {
+        fixes.push(segment + 'l');
+    } else if (/\.html$/i.test(segment)) {
+        fixes.push(segment.slice(0, -1));
+    }
+
+    if (segment.includes('_')) {
+        fixes.push(segment.replace(/_/g, '-'));
+    }
+    if (/--+/.test(segment) || /^-|-$/.test(segment)) {
+        fixes.push(segment.replace(/-{2,}/g, '-').replace(/^-+|-+$/g, ''));
+    }
+
+    // Spaces that survived as "+" or "%20" inside a slug
+    if (/%20|\+/.test(segment)) {
+        fixes.push(segment.replace(/%20|\+/g, '-'));
+    }
+
+    // All of the above at once: "My_Post.html)." → "My-Post"
+    fixes.push(segment
+        .replace(TRAILING_JUNK_PATTERN, '')
+        .replace(PAGE_EXTENSION_PATTERN, '')
+        .replace(/_|%20|\+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^-+|-+$/g, ''));
+
+    return [...new Set(fixes)].filter(fix => fix && fix !== segment);
+}
+
+/**
+ * Build same-origin URLs the broken page may actually live at, most likely first
+ *
+ * Tried in order: a cleaned-up URL (double slashes fixed, tracking parameters
+ * removed), the trailing slash toggled, a lowercase path, fixes for the last
+ * segment (extensions, typos, junk from copy-pasting), then parent paths
+ * walking up toward (but not including) the homepage.
+ *
+ * @param {string} url - The broken URL
+ * @returns {Array<string>} Candidate URLs (never the broken URL itself)
+ */
+function generateRepairCandidates(url) {
+    let original;
+    try {
+        original = new URL(url);
+    } catch (error) {
+        return [];
+    }
+
+    if (!['http:', 'https:'].includes(original.protocol)) {
+        return [];
+    }
+    original.hash = '';
+
+    const base = new URL(original.href);
+    base.pathname = base.pathname.replace(/\/{2,}/g, '/');
+    [...base.searchParams.keys()]
+        .filter(key => TRACKING_PARAM_PATTERN.test(key))
+        .forEach(key => base.searchParams.delete(key));
+
+    const candidates = [];
+    const addPath = (pathname, search = base.search) => {
+        const candidate = new URL(base.href);
+        candidate.pathname = pathname;
+        candidate.search = search;
+        candidates.push(candidate.href);
+    };
+
+    const path = base.pathname;
+    addPath(path);
+    addPath(path.endsWith('/') ? path.replace(/\/+$/, '') || '/' : path + '/');
+    addPath(path.toLowerCase());
+
+    const segments = path.split('/').filter(segment => segment.length > 0);
+    if (segments.length > 0) {
+        const parent = segments.slice(0, -1);
+        getSegmentFixes(segments[segments.length - 1]).forEach(fix => {
+            addPath('/' + [...parent, fix].join('/'));
+            addPath(('/' + [...parent, fix].join('/')).toLowerCase());
+        });
+
+        // Parent sections lose the query, it belonged to the missing page
+        for (let depth = segments.length - 1; depth > 0; depth--) {
+            addPath('/' + segments.slice(0, depth).join('/') + '/', '');
+        }
+    }
+
+    return [...new Set(candidates)]
+        .filter(candidate => candidate !== original.href)
+        .slice(0, MAX_REPAIR_CANDIDATES);
+}
+
+/**
+ * Check whether a URL loads a real page
+ * HEAD is tried first; servers that don't allow it get a GET whose body is
+ * never read (the request is aborted once the headers arrive).
+ *
+ * @param {string} url - URL to probe
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<string|null>} The URL that loaded (after redirects) or null
+ */
+async function probeUrl(url, timeoutMs = PROBE_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const options = { redirect: 'follow', credentials: 'include', cache: 'no-store', signal: controller.signal };
+
+    try {
+        let response = await fetch(url, { ...options, method: 'HEAD' });
+        if (response.status === 405 || response.status === 501) {
+            response = await fetch(url, { ...options, method: 'GET' });
+        }
+
+        if (!response.ok) {
+            return null;
+        }
+
+        // A candidate that redirects to the homepage or an error page is dead too
+        if (response.redirected && analyzeRedirectChain([{ url }], response.url)) {
+            return null;
+        }
+
+        return response.url || url;
+    } catch (error) {
+        // Timeouts, network and CORS errors all mean "not found here"
+        return null;
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+}
+
+/**
+ * Check whether a candidate is one of the broken URL's parent sections
+ * (example.com/blog/ for example.com/blog/my-post) rather than a fix of the page itself
+ *
+ * @param {string} candidate - A candidate from generateRepairCandidates()
+ * @param {URL} brokenUrl - The broken URL
+ * @returns {boolean} True for parent sections
+ */
+function isParentCandidate(candidate, brokenUrl) {
+    const { pathname, search } = new URL(candidate);
+    const brokenPath = brokenUrl.pathname.replace(/\/{2,}/g, '/');
+    return !search && pathname.endsWith('/') && brokenPath.startsWith(pathname) &&
+        brokenPath.replace(/\/+$/, '').length > pathname.length;
+}
+
+/**
+ * Find the first live page among a broken URL's repair candidates
+ *
+ * Candidates are probed in small batches (at most PROBE_CONCURRENCY requests
+ * at a time), and the earliest live candidate in priority order wins. No new
+ * batch is started once REPAIR_TIME_BUDGET_MS has passed.
+ *
+ * @param {string} url - The broken URL
+ * @returns {Promise<Object|null>} { url, candidate, isParent } - url is where the candidate ended up;
+ *   isParent is true when only a parent section was found
+ */
+async function findRepairedUrl(url) {
+    const candidates = generateRepairCandidates(url);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const { origin } = new URL(url);
+    const controlUrl = `${origin}/404-finder-${Math.random().toString(36).slice(2, 10)}`;
+    if (await probeUrl(controlUrl)) {
+        return null;
+    }
+
+    const brokenUrl = new URL(url);
+    brokenUrl.hash = '';
+    const deadline = Date.now() + REPAIR_TIME_BUDGET_MS;
+
+    for (let i = 0; i < candidates.length && Date.now() < deadline; i += PROBE_CONCURRENCY) {
+        const batch = candidates.slice(i, i + PROBE_CONCURRENCY);
+        const results = await Promise.all(batch.map(candidate => probeUrl(candidate)));
+        const hit = results.findIndex(result => result && result !== brokenUrl.href);
+        if (hit !== -1) {
+            return { url: results[hit], candidate: batch[hit], isParent: isParentCandidate(batch[hit], brokenUrl) };
+        }
+    }
+
+    return null;
+}
+
+export {
+    URL_REPAIR_MODES,
+    DEFAULT_URL_REPAIR_MODE,
+    generateRepairCandidates,
+    probeUrl,
+    findRepairedUrl
+};
@@ -34,8 +34,13 @@
 const AUTO_SEARCH_CONFIG = {
     // Minimum delay before auto-searching (prevents jarring immediate redirects)
     MIN_DELAY_MS: 3000,
-    // Maximum delay before giving up on auto-search
-    MAX_DELAY_MS: 10000
+    // Delay used until one is configured in the options page
+    DEFAULT_DELAY_MS: 5000,
+    // Maximum delay before auto-searching (longer countdowns are clamped)
+    MAX_DELAY_MS: 10000,
+    // How long the search waits for "Did you mean..." links from the sitemap
+    // (slower ones are added to the toast when they arrive)
+    SUGGESTION_WAIT_MS: 2500
 };
 
 // List of common search engine domains to prevent redirect loops
@@ -54,6 +59,57 @@ const SEARCH_ENGINE_DOMAINS = [
     'search.brave.com', 'neeva.com'
 ];
 
+// Configuration for discovering the site's own search on a broken page
+const SITE_SEARCH_CONFIG = {
+    // Query field names used by common search forms (WordPress "s", most others "q")
+    INPUT_NAMES: ['q', 's', 'query', 'search', 'keyword', 'keywords', 'term', 'k', 'searchterm', 'search_query'],
+    // Give up on fetching the OpenSearch description after this long
+    TIMEOUT_MS: 3000
+};
+
+// Configuration for single-page-app route change detection
+const ROUTE_CHANGE_CONFIG = {
+    // The DOM must stay unchanged this long before a new route is checked
+    QUIET_PERIOD_MS: 750,
+    // Check anyway once this much time has passed since the route changed
+    MAX_SETTLE_MS: 5000
+};
+
+// Configuration for confirming uncertain soft 404s against the site's own 404 page
+const TEMPLATE_PROBE_CONFIG = {
+    // Probe pages scoring within this many points below the confidence threshold
+    UNCERTAIN_MARGIN: 30,
+    // Minimum similarity (0-1) for the page to be considered the site's 404 template
+    STRUCTURE_SIMILARITY: 0.85,
+    TEXT_SIMILARITY: 0.75,
+    // Give up on the probe request after this long
+    TIMEOUT_MS: 5000,
+    // Limits that keep fingerprints small enough to cache in storage
+    MAX_SHINGLES: 1500,
+    MAX_WORDS: 800
+};
+
+// State for route tracking and the pending auto-search flow
+const routeState = {
+    lastCheckedRoute: null,
+    reportedRoutes: new Set(),
+    settleTimer: null,
+    settleDeadline: 0,
+    // Watches the DOM only while a new route settles (see scheduleRouteCheck)
+    settleObserver: null,
+    autoSearchTimer: null,
+    // Removes the countdown's keyboard and interaction listeners
+    autoSearchCleanup: null,
+    // Route the user marked "Not a 404" - its auto-search must not start again
+    dismissedRoute: null,
+    // Latest detection result, for the popup's explanation panel
+    lastResult: null,
+    // "Did you mean..." pages from the site's sitemap ({ routeKey, suggestions })
+    didYouMean: null,
+    // Broken URL whose archived copy the toasts offer ({ routeKey, url })
+    archiveSource: null
+};
+
 /**
  * Main initialization function - Entry point for content script
  * Runs when the page is fully loaded
@@ -69,42 +125,328 @@ async function init() {
         return;
     }
     
+    // Client-side navigations don't reload the content script, so watch for them
+    observeRouteChanges();
+    
+    await runDetection();
+}
+
+/**
+ * Run 404 detection for the current route and start the auto-search flow
+ * Each route is checked once per settled navigation and reported at most once
+ */
+async function runDetection() {
+    const routeKey = getRouteKey(window.location.href);
+    if (routeKey === routeState.lastCheckedRoute) {
+        return;
+    }
+    routeState.lastCheckedRoute = routeKey;
+    const url = window.location.href;
+    
     // Check if this page appears to be a 404
-    const is404 = await checkIf404Page();
+    const detectionSettings = await getDetectionSettings();
+    const verdict = await checkIf404Page(detectionSettings);
+    
+    // HTTP error statuses (404, 410, 5xx...) and dead links redirected to the
+    // homepage or an error page count even if the content looks normal.
+    // "Not a 404" feedback overrides what the page looks like and redirect
+    // guesses, never an error status the server actually sent.
+    const isHttpError = !!detectionSettings.httpStatus && detectionSettings.httpStatus.statusCode >= 400;
+    const httpStatus = detectionSettings.suppressed && !isHttpError ? null : detectionSettings.httpStatus;
+    
+    if (detectionSettings.suppressed) {
+        // Pages the user marked "Not a 404" (or matching their URL pattern) aren't soft 404s
+        verdict.is404 = false;
+        verdict.decisionBranch = 'user_override';
+    } else if (detectionSettings.enableTemplateProbe && isUncertainVerdict(verdict)) {
+        // Optionally confirm borderline pages against the site's real 404 page
+        await applyTemplateProbe(verdict);
+    }
     
-    if (is404) {
+    routeState.lastResult = {
+        url,
+        verdict,
+        httpStatus: httpStatus || null,
+        checkedAt: Date.now()
+    };
+    
+    // The route may have changed again while settings were loading
+    if (routeKey !== getRouteKey(window.location.href)) {
+        return;
+    }
+    
+    if ((verdict.is404 || httpStatus) && !routeState.reportedRoutes.has(routeKey)) {
+        routeState.reportedRoutes.add(routeKey);
         
-        // Notify background script about the 404 detection
-        chrome.runtime.sendMessage({
-            action: 'pageDetected404',
-            url: window.location.href,
-            title: document.title
-        });
+        // Notify background script about the 404 detection, including the full
+        // verdict so the reasons behind it can be audited later.
+        // HTTP errors and redirects were already recorded by the background's webRequest listeners.
+        if (!httpStatus) {
+            chrome.runtime.sendMessage({
+                action: 'pageDetected404',
+                url: window.location.href,
+                title: document.title,
+                verdict
+            });
+        }
         
         // Check if auto-search should be performed
         checkAutoSearchEligibility();
     }
 }
 
+/**
+ * Normalize a URL into a route key used to de-duplicate checks
+ * Hash routers (#/path or #!/path) keep their fragment; plain in-page anchors
+ * (#section) are dropped so scrolling to an anchor isn't treated as a new route.
+ * 
+ * @param {string} href - The URL to normalize
+ * @returns {string} Route key
+ */
+function getRouteKey(href) {
+    try {
+        const url = new URL(href);
+        if (!/^#!?\//.test(url.hash)) {
+            url.hash = '';
+        }
+        return url.href;
+    } catch (error) {
+        return href;
+    }
+}
+
+/**
+ * Watch for client-side route changes in single-page apps
+ * 
+ * Educational: Detecting SPA navigations from a content script
+ * - pushState/replaceState can't be intercepted from the isolated world, so the
+ *   background relays webNavigation.onHistoryStateUpdated as a 'routeChanged' message
+ * - popstate and hashchange events do reach content scripts directly
+ * - After one of those signals, a MutationObserver waits until the new view has
+ *   finished rendering (a "quiet period" debounce). It is disconnected again once
+ *   the route is checked, so pages aren't observed for their whole lifetime.
+ */
+function observeRouteChanges() {
+    window.addEventListener('popstate', scheduleRouteCheck);
+    window.addEventListener('hashchange', scheduleRouteCheck);
+    
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.action === 'getDetectionResult') {
+            // The popup explains why the page was (or wasn't) flagged
+            sendResponse(routeState.lastResult);
+        } else if (request.action === 'rerunDetection') {
+            // Forget the route so it's checked again; it is still reported at most once
+            routeState.lastCheckedRoute = null;
+            runDetection().then(() => sendResponse(routeState.lastResult));
+            return true;
+        } else if (request.action === 'routeChanged') {
+            scheduleRouteCheck();
+        } else if (request.action === 'cancelAutoSearch') {
+            // "Not a 404" was reported from the popup
+            routeState.dismissedRoute = getRouteKey(window.location.href);
+            cancelPendingAutoSearch();
+        }
+    });
+    
+    // DOM is still changing after a route change - restart the quiet period
+    routeState.settleObserver = new MutationObserver(() => resetSettleTimer());
+}
+
+/**
+ * Schedule detection for a new route once the DOM has settled
+ */
+function scheduleRouteCheck() {
+    if (getRouteKey(window.location.href) === routeState.lastCheckedRoute) {
+        return;
+    }
+    
+    // Leaving a route abandons any auto-search that was pending for it
+    cancelPendingAutoSearch();
+    
+    if (!routeState.settleTimer) {
+        routeState.settleDeadline = Date.now() + ROUTE_CHANGE_CONFIG.MAX_SETTLE_MS;
+        routeState.settleObserver?.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    }
+    resetSettleTimer();
+}
+
+/**
+ * (Re)start the quiet-period timer, never waiting past the settle deadline
+ */
+function resetSettleTimer() {
+    clearTimeout(routeState.settleTimer);
+    
+    const remaining = routeState.settleDeadline - Date.now();
+    const delay = Math.max(0, Math.min(ROUTE_CHANGE_CONFIG.QUIET_PERIOD_MS, remaining));
+    
+    routeState.settleTimer = setTimeout(() => {
+        routeState.settleTimer = null;
+        routeState.settleObserver?.disconnect();
+        runDetection();
+    }, delay);
+}
+
+/**
+ * Cancel a pending auto-search and remove its in-page notification
+ */
+function cancelPendingAutoSearch() {
+    clearInterval(routeState.autoSearchTimer);
+    routeState.autoSearchTimer = null;
+    routeState.autoSearchCleanup?.();
+    routeState.autoSearchCleanup = null;
+    document.getElementById('error404-finder-notification')?.remove();
+}
+
+/**
+ * Handle "Not a 404" from the in-page notification
+ * Cancels the redirect and records the false positive so the page is
+ * ignored and the site's thresholds are raised from now on.
+ * (Similar pages can be ignored too from the popup.)
+ */
+function reportFalsePositive() {
+    routeState.dismissedRoute = getRouteKey(window.location.href);
+    cancelPendingAutoSearch();
+    
+    chrome.runtime.sendMessage({ action: 'reportFalsePositive', url: window.location.href })
+        .catch(() => {
+            // Background unavailable - the redirect is cancelled either way
+        });
+}
+
+/**
+ * Request detection settings from the background script
+ * Falls back to defaults if the background is unavailable (e.g. extension reloaded)
+ * 
+ * @returns {Promise<Object>} Detection settings
+ */
+async function getDetectionSettings() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getDetectionSettings' });
+        return response || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Select the phrase packs to apply to the current page
+ * 
+ * English is always applied (when enabled) because many non-English sites still
+ * serve English error pages. Other languages are applied when the document's
+ * lang attribute declares them or when their marker words/characters are
+ * frequent enough in the page text.
+ * 
+ * @param {Array<string>|null} enabledLanguages - Language codes enabled in settings (null = all)
+ * @returns {Array<Object>} Phrase packs with their language code attached
+ */
+function getActivePhrasePacks(enabledLanguages) {
+    const enabled = Array.isArray(enabledLanguages)
+        ? enabledLanguages.filter(code => SOFT_404_PHRASE_PACKS[code])
+        : Object.keys(SOFT_404_PHRASE_PACKS);
+    
+    // Primary subtag of the declared language (e.g. 'pt' from 'pt-BR')
+    const declaredLanguage = (document.documentElement.lang || '').toLowerCase().split('-')[0];
+    
+    // Sample the beginning of the page text for the content heuristic
+    const sample = (document.title + ' ' + (document.body?.textContent || '')).slice(0, 3000);
+    const sampleWordCount = Math.max(sample.split(/\s+/).filter(Boolean).length, 1);
+    
+    return enabled
+        .filter(code => {
+            if (code === 'en' || code === declaredLanguage) {
+                return true;
+            }
+            
+            const markerCount = (sample.match(SOFT_404_PHRASE_PACKS[code].markers) || []).length;
+            // Several marker hits are enough on their own (kana, ideographs);
+            // fewer hits must make up a meaningful share of the sampled words
+            return markerCount >= 5 || (markerCount >= 3 && markerCount / sampleWordCount >= 0.08);
+        })
+        .map(code => ({ code, ...SOFT_404_PHRASE_PACKS[code] }));
+}
+
+/**
+ * Compile rule pack patterns from their JSON form into RegExp objects
+ * Patterns that fail to compile are skipped rather than breaking detection.
+ * 
+ * @param {Array<Object>} rulePacks - Rule packs from the background
+ * @returns {Array<Object>} Rule packs with compiled patterns
+ */
+function compileRulePacks(rulePacks) {
+    if (!Array.isArray(rulePacks)) {
+        return [];
+    }
+    
+    return rulePacks.map(pack => ({
+        ...pack,
+        patterns: (pack.patterns || []).flatMap(rule => {
+            try {
+                return [{ ...rule, pattern: new RegExp(rule.pattern, rule.flags || '') }];
+            } catch (error) {
+                return [];
+            }
+        })
+    }));
+}
+
 /**
  * Check if the current page is a 404 error using a sophisticated scoring system
  * Requires multiple strong indicators to prevent false positives
  * 
- * @returns {Object} Detection result with confidence score and details
+ * The returned verdict is sent to the background with the pageDetected404
+ * message and persisted with the error, so every field must stay JSON-serializable.
+ * 
+ * @param {Object} detectionSettings - Settings from the background (getDetectionSettings)
+ * @param {Array<string>|null} detectionSettings.detectionLanguages - Enabled phrase packs (null = all)
+ * @param {Array<Object>} detectionSettings.platformRules - Rule packs matching this domain
+ * @param {number} detectionSettings.thresholdBoost - Extra confidence required on this site ("Not a 404" feedback)
+ * @returns {Object} Detection verdict:
+ *   - is404: Final decision
+ *   - confidence: Total score (rounded to one decimal)
+ *   - indicators: Array of { label, weight } describing each matched signal
+ *   - strongIndicators / weakIndicators: Indicator counts
+ *   - wordCount: Words counted in the page body
+ *   - languages: Phrase packs that were applied (e.g. ['en', 'de'])
+ *   - thresholds: { confidence, strongIndicators } requirements that were applied
+ *   - decisionBranch: Which rule of the detection logic produced the decision
  */
-function checkIf404Page() {
+function checkIf404Page(detectionSettings = {}) {
     const detectionResult = {
         is404: false,
         confidence: 0,
         indicators: [],
         strongIndicators: 0,
-        weakIndicators: 0
+        weakIndicators: 0,
+        wordCount: 0,
+        languages: [],
+        thresholds: null,
+        decisionBranch: null
     };
     
+    // Record an indicator without touching the score (the caller accounts for it)
+    const recordIndicator = (label, weight = 0) => {
+        detectionResult.indicators.push({ label, weight: Math.round(weight * 10) / 10 });
+    };
+    
+    // Record an indicator and add its weight to the confidence score
+    const addIndicator = (label, weight) => {
+        detectionResult.confidence += weight;
+        recordIndicator(label, weight);
+    };
+    
+    // Platforms whose specific patterns matched this page
+    const matchedPlatforms = new Set();
+    
     // Content analysis - crucial for detecting soft 404s
     const pageContent = document.body?.textContent || '';
-    const words = pageContent.split(/\s+/).filter(word => word.length > 2);
-    const wordCount = words.length;
+    // Japanese and Chinese text has no spaces between words, so approximate
+    // the word count from the number of ideographs and kana (about 2 per word).
+    // CJK runs are left out of the space-separated words so they aren't counted twice.
+    const cjkPattern = /[\u3040-\u30ff\u3400-\u9fff]/g;
+    const words = pageContent.replace(cjkPattern, ' ').split(/\s+/).filter(word => word.length > 2);
+    const cjkCharCount = (pageContent.match(cjkPattern) || []).length;
+    const wordCount = words.length + Math.round(cjkCharCount / 2);
+    detectionResult.wordCount = wordCount;
     const uniqueWords = new Set(words.map(w => w.toLowerCase())).size;
     const sentenceCount = (pageContent.match(/[.!?]+/g) || []).length;
     
@@ -116,30 +458,30 @@ function checkIf404Page() {
     if (wordCount < 20) {
         contentSparsityScore = 35;
         sparsityMultiplier = 2.0; // Double the weight of pattern matches
-        detectionResult.indicators.push(`Extremely sparse content: ${wordCount} words`);
+        recordIndicator(`Extremely sparse content: ${wordCount} words`, 35);
     } else if (wordCount < 50) {
         contentSparsityScore = 25;
         sparsityMultiplier = 1.5;
-        detectionResult.indicators.push(`Very sparse content: ${wordCount} words`);
+        recordIndicator(`Very sparse content: ${wordCount} words`, 25);
     } else if (wordCount < 100) {
         contentSparsityScore = 15;
         sparsityMultiplier = 1.2;
-        detectionResult.indicators.push(`Sparse content: ${wordCount} words`);
+        recordIndicator(`Sparse content: ${wordCount} words`, 15);
     } else if (wordCount < 200) {
         contentSparsityScore = 5;
-        detectionResult.indicators.push(`Limited content: ${wordCount} words`);
+        recordIndicator(`Limited content: ${wordCount} words`, 5);
     } else if (wordCount > 500) {
         // Substantial content reduces 404 likelihood
         contentSparsityScore = -20;
         sparsityMultiplier = 0.7; // Reduce pattern match weights
-        detectionResult.indicators.push('Page has substantial content');
+        recordIndicator('Page has substantial content', -20);
     }
     
     // Low unique word ratio suggests repetitive/templated content
     const uniqueWordRatio = uniqueWords / Math.max(wordCount, 1);
     if (wordCount > 10 && uniqueWordRatio < 0.5) {
         contentSparsityScore += 10;
-        detectionResult.indicators.push('Low vocabulary diversity');
+        recordIndicator('Low vocabulary diversity', 10);
     }
     
     // Check sentence to word ratio (404 pages often have short, simple sentences)
@@ -147,7 +489,7 @@ function checkIf404Page() {
         const wordsPerSentence = wordCount / sentenceCount;
         if (wordsPerSentence < 8) {
             contentSparsityScore += 10;
-            detectionResult.indicators.push('Very short sentences');
+            recordIndicator('Very short sentences', 10);
         }
     }
     
@@ -157,113 +499,54 @@ function checkIf404Page() {
     const titleText = document.title || '';
     const bodyText = document.body?.textContent || '';
     
-    // Platform-specific soft 404 patterns (high confidence for specific domains)
-    const platformSpecific404s = [
-        // GitHub
-        {
-            domain: 'github.com',
-            patterns: [
-                { pattern: /Page\s+not\s+found/i, weight: 40, context: 'title' },
-                { pattern: /"404".*not.*the.*page.*you.*are.*looking.*for/i, weight: 50, context: 'any' },
-                { pattern: /This\s+is\s+not\s+the\s+(web\s+)?page\s+you.*looking\s+for/i, weight: 40, context: 'any' }
-            ]
-        },
-        // Facebook
-        {
-            domain: 'facebook.com',
-            patterns: [
-                { pattern: /This\s+content\s+isn[''']?t\s+available/i, weight: 40, context: 'any' },
-                { pattern: /it[''']?s\s+been\s+deleted/i, weight: 30, context: 'any' },
-                { pattern: /owner\s+only\s+shared\s+it\s+with\s+a\s+small\s+group/i, weight: 25, context: 'any' }
-            ]
-        },
-        // Twitter/X
-        {
-            domain: 'twitter.com',
-            patterns: [
-                { pattern: /This\s+account\s+doesn'?t\s+exist/i, weight: 50, context: 'any' },
-                { pattern: /Try\s+searching\s+for\s+another/i, weight: 20, context: 'any' }
-            ]
-        },
-        {
-            domain: 'x.com',
-            patterns: [
-                { pattern: /This\s+account\s+doesn'?t\s+exist/i, weight: 50, context: 'any' },
-                { pattern: /Try\s+searching\s+for\s+another/i, weight: 20, context: 'any' }
-            ]
-        }
-    ];
+    // Platform rule packs for this domain (built-in and user-defined, see platformRules.js)
+    const platformRules = compileRulePacks(detectionSettings.platformRules);
     
     // Check platform-specific patterns first
-    const currentDomain = window.location.hostname.toLowerCase();
-    for (const platform of platformSpecific404s) {
-        if (currentDomain.includes(platform.domain)) {
-            for (const pattern of platform.patterns) {
-                // Check in title
-                if ((pattern.context === 'title' || pattern.context === 'any') && pattern.pattern.test(titleText)) {
-                    detectionResult.confidence += pattern.weight * sparsityMultiplier;
-                    detectionResult.strongIndicators++;
-                    detectionResult.indicators.push(`Platform-specific (${platform.domain}): ${pattern.pattern.source}`);
-                }
-                
-                // Check in body
-                if (pattern.context === 'any' && pattern.pattern.test(bodyText)) {
-                    detectionResult.confidence += pattern.weight * 0.5 * sparsityMultiplier; // Half weight for body
-                    detectionResult.indicators.push(`Platform-specific body (${platform.domain}): ${pattern.pattern.source}`);
-                }
+    for (const platform of platformRules) {
+        for (const pattern of platform.patterns) {
+            // Check in title
+            if ((pattern.context === 'title' || pattern.context === 'any') && pattern.pattern.test(titleText)) {
+                addIndicator(`Platform-specific (${platform.name}): ${pattern.pattern.source}`, pattern.weight * sparsityMultiplier);
+                detectionResult.strongIndicators++;
+                matchedPlatforms.add(platform.id);
+            }
+            
+            // Check in body
+            if (pattern.context === 'any' && pattern.pattern.test(bodyText)) {
+                // Half weight for body
+                addIndicator(`Platform-specific body (${platform.name}): ${pattern.pattern.source}`, pattern.weight * 0.5 * sparsityMultiplier);
+                matchedPlatforms.add(platform.id);
             }
         }
     }
     
+    // Language-specific indicators from the active phrase packs (see phrasePacks.js)
+    const phrasePacks = getActivePhrasePacks(detectionSettings.detectionLanguages);
+    detectionResult.languages = phrasePacks.map(pack => pack.code);
+    const tagIndicators = (pack, indicators) => indicators.map(indicator => ({ ...indicator, lang: pack.code }));
+    
     // Strong indicators (high confidence)
-    const strongIndicators = [
-        { pattern: /^404\s*[-–—]?\s*(error|not\s+found|page\s+not\s+found)/i, weight: 40, context: 'title' },
-        { pattern: /^error\s+404/i, weight: 40, context: 'title' },
-        { pattern: /Page\s+not\s+found/i, weight: 35, context: 'title' },
-        { pattern: /HTTP\s+(ERROR\s+)?404/i, weight: 35, context: 'any' },
-        { pattern: /404\s+File\s+or\s+directory\s+not\s+found/i, weight: 35, context: 'any' },
-        { pattern: /The\s+requested\s+(URL|resource)\s+.*\s+was\s+not\s+found/i, weight: 30, context: 'any' },
-        // GitHub style with quotes
-        { pattern: /"404".*not.*the.*page.*you.*are.*looking.*for/i, weight: 40, context: 'any' },
-        { pattern: /This\s+is\s+not\s+the\s+(web\s+)?page\s+you.*looking\s+for/i, weight: 35, context: 'any' }
-    ];
+    const strongIndicators = phrasePacks.flatMap(pack => tagIndicators(pack, pack.strong));
     
     // Medium indicators
-    const mediumIndicators = [
-        { pattern: /page\s+(you([''']re|\s+are)\s+looking\s+for\s+)?(cannot\s+be\s+found|doesn[''']?t\s+exist)/i, weight: 20, context: 'any' },
-        { pattern: /sorry[,.]?\s+(this|that)\s+page\s+(doesn[''']?t|does\s+not)\s+exist/i, weight: 20, context: 'any' },
-        { pattern: /we\s+can[''']?t\s+find\s+(the\s+page|what)\s+you([''']?re)?\s+looking\s+for/i, weight: 20, context: 'any' },
-        { pattern: /this\s+content\s+isn[''']?t\s+available/i, weight: 30, context: 'any' }, // Increased weight for Facebook
-        { pattern: /page\s+has\s+been\s+(removed|deleted|moved)/i, weight: 15, context: 'any' },
-        { pattern: /This\s+page\s+isn[''']?t\s+available/i, weight: 20, context: 'any' },
-        // Facebook specific patterns
-        { pattern: /it[''']?s\s+been\s+deleted/i, weight: 25, context: 'any' },
-        { pattern: /owner\s+only\s+shared\s+it\s+with\s+a\s+small\s+group/i, weight: 20, context: 'any' }
-    ];
+    const mediumIndicators = phrasePacks.flatMap(pack => tagIndicators(pack, pack.medium));
     
     // Weak indicators (require multiple occurrences)
-    const weakIndicators = [
-        { pattern: /not\s+found/i, weight: 5, context: 'body' },
-        { pattern: /doesn'?t\s+exist/i, weight: 5, context: 'body' },
-        { pattern: /no\s+longer\s+available/i, weight: 5, context: 'body' },
-        { pattern: /broken\s+link/i, weight: 5, context: 'body' },
-        { pattern: /dead\s+link/i, weight: 5, context: 'body' }
-    ];
+    const weakIndicators = phrasePacks.flatMap(pack => tagIndicators(pack, pack.weak));
     
     // Check strong indicators in title
     for (const indicator of strongIndicators) {
         if ((indicator.context === 'title' || indicator.context === 'any') && indicator.pattern.test(titleText)) {
-            detectionResult.confidence += indicator.weight * sparsityMultiplier;
+            addIndicator(`Title matches [${indicator.lang}]: ${indicator.pattern.source}`, indicator.weight * sparsityMultiplier);
             detectionResult.strongIndicators++;
-            detectionResult.indicators.push(`Title matches: ${indicator.pattern.source}`);
         }
     }
     
     // Check medium indicators in title with sparsity multiplier
     for (const indicator of mediumIndicators) {
         if ((indicator.context === 'title' || indicator.context === 'any') && indicator.pattern.test(titleText)) {
-            detectionResult.confidence += indicator.weight * sparsityMultiplier;
-            detectionResult.indicators.push(`Title matches (medium): ${indicator.pattern.source}`);
+            addIndicator(`Title matches (medium) [${indicator.lang}]: ${indicator.pattern.source}`, indicator.weight * sparsityMultiplier);
         }
     }
     
@@ -277,11 +560,10 @@ function checkIf404Page() {
             for (const indicator of indicators) {
                 if (indicator.context === 'any' && indicator.pattern.test(h1Text)) {
                     const adjustedWeight = indicator.weight * 0.8 * sparsityMultiplier;
-                    detectionResult.confidence += adjustedWeight;
+                    addIndicator(`H1 matches [${indicator.lang}]: ${indicator.pattern.source}`, adjustedWeight);
                     if (indicators === strongIndicators) {
                         detectionResult.strongIndicators++;
                     }
-                    detectionResult.indicators.push(`H1 matches: ${indicator.pattern.source}`);
                 }
             }
         }
@@ -290,17 +572,15 @@ function checkIf404Page() {
     // Check meta tags
     const metaStatusCode = document.querySelector('meta[name="prerender-status-code"]');
     if (metaStatusCode && metaStatusCode.content === '404') {
-        detectionResult.confidence += 50;
+        addIndicator('Meta prerender-status-code is 404', 50);
         detectionResult.strongIndicators++;
-        detectionResult.indicators.push('Meta prerender-status-code is 404');
     }
     
     // Check HTTP status meta tag
     const metaHttpStatus = document.querySelector('meta[http-equiv="status"]');
     if (metaHttpStatus && metaHttpStatus.content === '404') {
-        detectionResult.confidence += 50;
+        addIndicator('Meta http-equiv status is 404', 50);
         detectionResult.strongIndicators++;
-        detectionResult.indicators.push('Meta http-equiv status is 404');
     }
     
     // Check URL patterns
@@ -314,8 +594,7 @@ function checkIf404Page() {
     
     for (const urlPattern of urlPatterns) {
         if (urlPattern.pattern.test(urlLower)) {
-            detectionResult.confidence += urlPattern.weight;
-            detectionResult.indicators.push(`URL matches: ${urlPattern.pattern.source}`);
+            addIndicator(`URL matches: ${urlPattern.pattern.source}`, urlPattern.weight);
         }
     }
     
@@ -331,8 +610,7 @@ function checkIf404Page() {
     
     // Only add confidence from weak indicators if multiple are found
     if (weakIndicatorCount >= 3) {
-        detectionResult.confidence += weakIndicatorCount * 3;
-        detectionResult.indicators.push(`Multiple weak indicators found: ${weakIndicatorCount}`);
+        addIndicator(`Multiple weak indicators found: ${weakIndicatorCount}`, weakIndicatorCount * 3);
     }
     
     // Check for strong patterns in body with adjusted weights
@@ -345,8 +623,7 @@ function checkIf404Page() {
             } else if (wordCount < 200) {
                 bodyWeight = 0.4;
             }
-            detectionResult.confidence += indicator.weight * bodyWeight * sparsityMultiplier;
-            detectionResult.indicators.push(`Body matches: ${indicator.pattern.source}`);
+            addIndicator(`Body matches [${indicator.lang}]: ${indicator.pattern.source}`, indicator.weight * bodyWeight * sparsityMultiplier);
         }
     }
     
@@ -356,17 +633,14 @@ function checkIf404Page() {
     const forms = document.querySelectorAll('form');
     
     // Special handling for known sites with complex navigation
-    const isKnownSite = ['github.com', 'facebook.com', 'twitter.com', 'x.com']
-        .some(domain => currentDomain.includes(domain));
+    const isKnownSite = platformRules.some(platform => platform.heavyChrome);
     
     // 404 pages typically have minimal content (but adjust for sites with nav chrome)
     if (!isKnownSite && images.length <= 2 && links.length <= 10 && forms.length === 0) {
-        detectionResult.confidence += 10;
-        detectionResult.indicators.push('Minimal page structure');
+        addIndicator('Minimal page structure', 10);
     } else if (isKnownSite && wordCount < 100) {
         // For known sites, focus on content sparsity rather than structure
-        detectionResult.confidence += 5;
-        detectionResult.indicators.push('Known site with sparse content');
+        addIndicator('Known site with sparse content', 5);
     }
     
     // Check for common 404 page elements
@@ -376,8 +650,7 @@ function checkIf404Page() {
     );
     
     if (has404Image) {
-        detectionResult.confidence += 20;
-        detectionResult.indicators.push('404 image found');
+        addIndicator('404 image found', 20);
     }
     
     // Final determination - adjust thresholds based on content sparsity
@@ -398,55 +671,262 @@ function checkIf404Page() {
         confidenceThreshold = 58;
     }
     
+    // Rule packs may override the threshold for their domains (lowest override wins)
+    const confidenceOverrides = platformRules
+        .map(platform => platform.thresholds?.confidence)
+        .filter(value => typeof value === 'number');
+    if (confidenceOverrides.length > 0) {
+        confidenceThreshold = Math.min(...confidenceOverrides);
+    }
+    
     // Special handling for pages with strong 404 signals
     const hasExplicit404 = bodyText.includes('404') || titleText.includes('404');
     const hasMultipleIndicators = detectionResult.indicators.length >= 3;
     
     // Check for platform-specific detection
-    let platformDetected = false;
-    for (const platform of platformSpecific404s) {
-        if (currentDomain.includes(platform.domain)) {
-            // Check if we matched any platform-specific patterns
-            const platformIndicators = detectionResult.indicators.filter(ind => 
-                ind.includes(`Platform-specific (${platform.domain})`) || 
-                ind.includes(`Platform-specific body (${platform.domain})`)
-            );
-            if (platformIndicators.length > 0) {
-                platformDetected = true;
-                break;
-            }
-        }
-    }
+    const platformDetected = matchedPlatforms.size > 0;
+    
+    // Platforms with heavy chrome need less confidence once their patterns matched
+    const platformThreshold = Math.min(
+        ...platformRules
+            .filter(platform => matchedPlatforms.has(platform.id))
+            .map(platform => platform.thresholds?.platform ?? 45)
+    );
+    
+    // Sites with "Not a 404" feedback need more confidence on every branch
+    const userBoost = detectionSettings.thresholdBoost || 0;
+    confidenceThreshold += userBoost;
+    
+    detectionResult.thresholds = {
+        confidence: confidenceThreshold,
+        strongIndicators: strongIndicatorRequirement,
+        platform: platformDetected ? platformThreshold + userBoost : null,
+        userBoost
+    };
     
     // Detection logic
-    if (detectionResult.confidence >= 80) {
+    if (detectionResult.confidence >= 80 + userBoost) {
         // Very high confidence always means 404
         detectionResult.is404 = true;
-    } else if (hasExplicit404 && detectionResult.confidence >= 40) {
+        detectionResult.decisionBranch = 'very_high_confidence';
+    } else if (hasExplicit404 && detectionResult.confidence >= 40 + userBoost) {
         // Pages with explicit "404" need lower threshold
         detectionResult.is404 = true;
+        detectionResult.decisionBranch = 'explicit_404';
     } else if (platformDetected) {
+        detectionResult.decisionBranch = 'platform_specific';
         // Special handling for known platforms with heavy chrome
-        if (currentDomain.includes('facebook.com') && detectionResult.confidence >= 35) {
-            // Facebook loads tons of nav/footer even on 404s
-            detectionResult.is404 = true;
-        } else if (detectionResult.confidence >= 45) {
-            // Other platforms need slightly higher confidence
-            detectionResult.is404 = true;
-        }
+        detectionResult.is404 = detectionResult.confidence >= platformThreshold + userBoost;
     } else if (wordCount < 100 && detectionResult.confidence >= confidenceThreshold) {
         // Sparse pages only need to meet confidence threshold
         detectionResult.is404 = true;
+        detectionResult.decisionBranch = 'sparse_content';
     } else if (hasMultipleIndicators && detectionResult.confidence >= confidenceThreshold - 5) {
         // Multiple indicators can slightly lower the threshold
         detectionResult.is404 = true;
+        detectionResult.decisionBranch = 'multiple_indicators';
     } else {
         // Standard detection: require both confidence and strong indicators
         detectionResult.is404 = detectionResult.confidence >= confidenceThreshold && 
                                  detectionResult.strongIndicators >= strongIndicatorRequirement;
+        detectionResult.decisionBranch = 'standard';
+    }
+    
+    detectionResult.confidence = Math.round(detectionResult.confidence * 10) / 10;
+    
+    return detectionResult;
+}
+
+/**
+ * Check if a verdict falls in the uncertain band worth verifying with a probe
+ * 
+ * @param {Object} verdict - Verdict from checkIf404Page()
+ * @returns {boolean} True if the page scored just below the threshold
+ */
+function isUncertainVerdict(verdict) {
+    return !verdict.is404 &&
+        verdict.confidence > 0 &&
+        verdict.confidence >= verdict.thresholds.confidence - TEMPLATE_PROBE_CONFIG.UNCERTAIN_MARGIN;
+}
+
+/**
+ * Confirm a soft 404 by comparing the page with the site's own 404 template
+ * 
+ * Heavy site chrome (navigation, footers) dilutes the text heuristics, but a
+ * soft 404 usually renders the exact same template the site uses for any
+ * unknown path. The template is fetched once per origin from a path that can't
+ * exist, fingerprinted, and cached by the background script.
+ * 
+ * Updates the verdict in place when the page matches the template.
+ * 
+ * @param {Object} verdict - Verdict from checkIf404Page()
+ */
+async function applyTemplateProbe(verdict) {
+    try {
+        const templateFingerprint = await getOriginTemplateFingerprint();
+        if (!templateFingerprint) {
+            return;
+        }
+        
+        const similarity = compareFingerprints(computePageFingerprint(document), templateFingerprint);
+        verdict.probe = similarity;
+        
+        if (similarity.structure >= TEMPLATE_PROBE_CONFIG.STRUCTURE_SIMILARITY &&
+            similarity.text >= TEMPLATE_PROBE_CONFIG.TEXT_SIMILARITY) {
+            verdict.is404 = true;
+            verdict.decisionBranch = 'template_probe';
+            verdict.indicators.push({
+                label: `Matches site 404 template (structure ${Math.round(similarity.structure * 100)}%, text ${Math.round(similarity.text * 100)}%)`,
+                weight: 0
+            });
+        }
+    } catch (error) {
+        // Silent fail - the probe only refines detection
+    }
+}
+
+/**
+ * Get the 404 template fingerprint for the current origin
+ * Uses the background cache, probing a nonexistent path on a cache miss
+ * 
+ * @returns {Promise<Object|null>} Fingerprint, or null if the origin can't be probed
+ */
+async function getOriginTemplateFingerprint() {
+    const origin = window.location.origin;
+    const cached = await chrome.runtime.sendMessage({ action: 'getTemplateFingerprint', origin });
+    if (cached && cached.found) {
+        return cached.fingerprint;
     }
     
-    return detectionResult.is404;
+    // A random path that is guaranteed not to exist on the site
+    const probeUrl = `${origin}/404-finder-probe-${Math.random().toString(36).slice(2, 12)}`;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TEMPLATE_PROBE_CONFIG.TIMEOUT_MS);
+    
+    let fingerprint = null;
+    try {
+        const response = await fetch(probeUrl, { credentials: 'same-origin', signal: controller.signal });
+        const contentType = response.headers.get('content-type') || '';
+        
+        // A redirect (e.g. to the homepage) or non-HTML response has no template to compare
+        if (!response.redirected && contentType.includes('text/html')) {
+            const html = await response.text();
+            const probeDocument = new DOMParser().parseFromString(html, 'text/html');
+            fingerprint = computePageFingerprint(probeDocument);
+        }
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    
+    // Cache unusable origins too, so they aren't probed on every visit
+    chrome.runtime.sendMessage({ action: 'storeTemplateFingerprint', origin, fingerprint });
+    return fingerprint;
+}
+
+/**
+ * Compute a compact structure and text fingerprint of a document
+ * 
+ * - structure: Hashed "grandparent>parent>tag" paths of body elements, numbered
+ *   per occurrence so repeated elements (list items, cards) still count
+ * - words: Distinct lowercase words of the body text
+ * 
+ * Educational: Shingling
+ * Comparing sets of short overlapping sequences ("shingles") is a cheap way to
+ * measure how similar two documents are without aligning them element by element.
+ * 
+ * @param {Document} doc - The document to fingerprint
+ * @returns {Object} { structure: Array<string>, words: Array<string> }
+ */
+function computePageFingerprint(doc) {
+    const structure = new Set();
+    const pathCounts = new Map();
+    const textParts = [];
+    const body = doc.body;
+    
+    // The live page and the probed page (parsed with DOMParser, never rendered) are
+    // walked the same way, so innerText differences can't lower the text score.
+    // Our own notification is not part of the site's template.
+    if (body) {
+        const skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+        const walker = doc.createTreeWalker(body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.nodeType === Node.ELEMENT_NODE &&
+                (skipTags.has(node.tagName) || node.id === 'error404-finder-notification')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        
+        let node = walker.nextNode();
+        while (node) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                textParts.push(node.nodeValue);
+            } else if (structure.size < TEMPLATE_PROBE_CONFIG.MAX_SHINGLES) {
+                const parent = node.parentElement;
+                const grandparent = parent?.parentElement;
+                const path = `${grandparent?.tagName || ''}>${parent?.tagName || ''}>${node.tagName}`;
+                const occurrence = (pathCounts.get(path) || 0) + 1;
+                pathCounts.set(path, occurrence);
+                structure.add(hashString(`${path}:${occurrence}`));
+            }
+            node = walker.nextNode();
+        }
+    }
+    
+    const text = textParts.join(' ');
+    const words = new Set(
+        text.toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 2)
+            .slice(0, TEMPLATE_PROBE_CONFIG.MAX_WORDS * 4)
+    );
+    
+    return {
+        structure: Array.from(structure),
+        words: Array.from(words).slice(0, TEMPLATE_PROBE_CONFIG.MAX_WORDS)
+    };
+}
+
+/**
+ * Compare two fingerprints using Jaccard similarity (shared / total distinct items)
+ * 
+ * @param {Object} a - Fingerprint from computePageFingerprint()
+ * @param {Object} b - Fingerprint from computePageFingerprint()
+ * @returns {Object} { structure, text } similarities between 0 and 1
+ */
+function compareFingerprints(a, b) {
+    const jaccard = (first, second) => {
+        const setA = new Set(first);
+        const setB = new Set(second);
+        if (setA.size === 0 && setB.size === 0) {
+            return 0;
+        }
+        let shared = 0;
+        for (const item of setA) {
+            if (setB.has(item)) {
+                shared++;
+            }
+        }
+        return shared / (setA.size + setB.size - shared);
+    };
+    
+    return {
+        structure: Math.round(jaccard(a.structure, b.structure) * 100) / 100,
+        text: Math.round(jaccard(a.words, b.words) * 100) / 100
+    };
+}
+
+/**
+ * Hash a string to a short base-36 key (32-bit FNV-1a)
+ * 
+ * @param {string} str - The string to hash
+ * @returns {string} Hash key
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
 }
 
 /**
@@ -470,17 +950,68 @@ async function checkAutoSearchEligibility() {
         }
         
         // Request settings and domain status from background script
-        const response = await chrome.runtime.sendMessage({
+        let response = await chrome.runtime.sendMessage({
             action: 'checkAutoSearchEligibility',
             domain: domain,
             url: window.location.href
         });
         
-        if (response && response.shouldAutoSearch) {
-            // Add delay to prevent jarring immediate redirects
-            setTimeout(() => {
-                performAutoSearch(response.searchEngine, response.queryTemplate);
-            }, AUTO_SEARCH_CONFIG.MIN_DELAY_MS);
+        // The site's own search is only looked for while it isn't known: before the
+        // search where "This site" is the engine, otherwise without holding anything up
+        const siteSearchStatus = response && response.siteSearchStatus;
+        if (siteSearchStatus && !siteSearchStatus.known) {
+            if (siteSearchStatus.wanted && (response.suggestOnly || response.shouldAutoSearch)) {
+                const siteSearch = await discoverSiteSearch();
+                if (siteSearch) {
+                    response = await chrome.runtime.sendMessage({
+                        action: 'checkAutoSearchEligibility',
+                        domain: domain,
+                        url: window.location.href,
+                        siteSearch
+                    });
+                }
+            } else {
+                saveDiscoveredSiteSearch();
+            }
+        }
+        
+        // Dead links redirected to the homepage or an error page are searched
+        // by the URL that was originally requested, not the page we ended up on
+        const sourceUrl = (response && response.originalUrl) || window.location.href;
+        
+        if (response && (response.suggestOnly || response.shouldAutoSearch)) {
+            // Close matches from the sitemap are looked up while the site is probed
+            const didYouMean = loadDidYouMean(sourceUrl);
+            const suggestionWait = new Promise(resolve => setTimeout(resolve, AUTO_SEARCH_CONFIG.SUGGESTION_WAIT_MS));
+            routeState.archiveSource = { routeKey: getRouteKey(window.location.href), url: sourceUrl };
+            
+            // A page found on the same site beats a web search
+            if (await offerSiteRepair(response, sourceUrl)) {
+                return;
+            }
+            
+            // "Did you mean..." links are shown before any web search starts
+            await Promise.race([didYouMean, suggestionWait]);
+        }
+        
+        if (response && response.suggestOnly && response.target) {
+            displaySuggestionNotification(response.searchEngine, response.target.url, response.statusHint, response.target.linkText);
+        } else if (response && response.suggestOnly) {
+            // Status policy asks for a suggestion instead of a redirect
+            suggestSearch(response.searchEngine, response.queryTemplate, response.statusHint, sourceUrl);
+        } else if (response && response.target) {
+            // The recovery page or an archived copy is opened instead of search results
+            startAutoSearchCountdown(response.searchEngine, response.target.url, {
+                delayMs: response.delayMs,
+                openMode: response.openMode,
+                destination: response.target.destination
+            });
+        } else if (response && response.shouldAutoSearch) {
+            // The countdown notification delays the redirect and lets the user cancel it
+            performAutoSearch(response.searchEngine, response.queryTemplate, sourceUrl, {
+                delayMs: response.delayMs,
+                openMode: response.openMode
+            });
         }
     } catch (error) {
         // Silent fail - auto-search is not critical
@@ -489,98 +1020,598 @@ async function checkAutoSearchEligibility() {
 
 
 /**
- * Extract query from URL - Simple and direct approach
- * Uses only the last path segment as it typically contains the most relevant identifier
- * Example: site.com/posts/category/invalid-title -> "site invalid title"
+ * Discover the site's own search on the current page
+ * 
+ * An OpenSearch description (<link rel="search">) is preferred; otherwise a
+ * GET search form is turned into a URL template. POST forms can't be linked
+ * to and are skipped.
  * 
- * @returns {string} Simple search query from URL components
+ * @returns {Promise<Object|null>} { template, source, name } - template has a {searchTerms} placeholder
  */
-function extractSimpleQuery() {
+async function discoverSiteSearch() {
+    const link = document.querySelector('link[rel~="search"][type="application/opensearchdescription+xml"][href]');
+    if (link) {
+        const openSearch = await fetchOpenSearchTemplate(link.href);
+        if (openSearch) {
+            return openSearch;
+        }
+    }
+    
+    return findSearchFormTemplate();
+}
+
+/**
+ * Discover the site's own search and store it for later (the recovery page,
+ * and the "This site" engine on this site's next broken page)
+ */
+function saveDiscoveredSiteSearch() {
+    discoverSiteSearch()
+        .then(siteSearch => siteSearch && chrome.runtime.sendMessage({ action: 'saveSiteSearch', siteSearch }))
+        .catch(() => {
+            // The site's search is optional
+        });
+}
+
+/**
+ * Read the HTML search template from an OpenSearch description document
+ * 
+ * @param {string} descriptionUrl - URL of the description document
+ * @returns {Promise<Object|null>} { template, source: 'opensearch', name }
+ */
+async function fetchOpenSearchTemplate(descriptionUrl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SITE_SEARCH_CONFIG.TIMEOUT_MS);
+    
     try {
-        const url = new URL(window.location.href);
+        const response = await fetch(descriptionUrl, { signal: controller.signal });
+        if (!response.ok) {
+            return null;
+        }
         
-        // Extract domain name without TLD (e.g., 'github' from 'github.com')
-        const domainParts = url.hostname.split('.');
-        const domainName = domainParts[domainParts.length - 2] || domainParts[0] || '';
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        const urlElement = Array.from(xml.getElementsByTagNameNS('*', 'Url')).find(element =>
+            (element.getAttribute('type') || '').startsWith('text/html') &&
+            (element.getAttribute('method') || 'get').toLowerCase() === 'get' &&
+            (element.getAttribute('template') || '').includes('{searchTerms}'));
+        if (!urlElement) {
+            return null;
+        }
         
-        // Get only the last segment of the path
-        const pathSegments = url.pathname.split('/').filter(segment => segment.length > 0);
-        const lastSegment = pathSegments.length > 0 ? pathSegments[pathSegments.length - 1] : '';
+        // OpenSearch 1.1 drafts allowed <Param> children instead of a query string
+        const params = Array.from(urlElement.getElementsByTagNameNS('*', 'Param'))
+            .map(param => `${encodeURIComponent(param.getAttribute('name'))}=${param.getAttribute('value')}`);
+        let template = new URL(urlElement.getAttribute('template'), descriptionUrl).href.replace(/%7B/gi, '{').replace(/%7D/gi, '}');
+        if (params.length > 0) {
+            template += (template.includes('?') ? '&' : '?') + params.join('&');
+        }
         
-        // Decode and clean the last segment
-        let pathQuery = decodeURIComponent(lastSegment)
-            .replace(/[-_+]/g, ' ') // Replace separators with spaces
-            .replace(/\.[^.]*$/, '') // Remove file extensions
-            .replace(/\s+/g, ' ') // Collapse multiple spaces
-            .trim();
+        const shortName = xml.getElementsByTagNameNS('*', 'ShortName')[0];
+        return { template, source: 'opensearch', name: shortName ? shortName.textContent.trim() : '' };
+    } catch (error) {
+        // Missing or invalid description - fall back to search forms
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Build a search URL template from a search form on the page
+ * Forms marked as search (role="search" or a type="search" field) win over
+ * forms that only have a conventionally named query field.
+ * 
+ * @returns {Object|null} { template, source: 'form', name }
+ */
+function findSearchFormTemplate() {
+    const candidates = Array.from(document.forms)
+        .filter(form => form.method === 'get')
+        .map(form => {
+            const input = form.querySelector('input[type="search"][name]') ||
+                Array.from(form.querySelectorAll('input[name]')).find(field =>
+                    (field.type === 'text' || field.type === 'search') &&
+                    SITE_SEARCH_CONFIG.INPUT_NAMES.includes(field.name.toLowerCase()));
+            const isSearchForm = form.getAttribute('role') === 'search' || !!form.closest('[role="search"]') ||
+                (input && input.type === 'search');
+            return { form, input, isSearchForm };
+        })
+        .filter(candidate => candidate.input)
+        .sort((a, b) => Number(b.isSearchForm) - Number(a.isSearchForm));
+    
+    if (candidates.length === 0) {
+        return null;
+    }
+    
+    const { form, input } = candidates[0];
+    try {
+        const action = new URL(form.getAttribute('action') || window.location.href, document.baseURI);
+        action.search = '';
+        action.hash = '';
+        
+        // Hidden fields (post type, language...) are part of the search
+        Array.from(form.querySelectorAll('input[type="hidden"][name]'))
+            .forEach(field => action.searchParams.append(field.name, field.value));
         
-        // Combine domain name and last path segment
-        const query = [domainName, pathQuery]
-            .filter(part => part && part.length > 0)
-            .join(' ');
+        const separator = action.search ? '&' : '?';
+        return {
+            template: `${action.href}${separator}${encodeURIComponent(input.name)}={searchTerms}`,
+            source: 'form',
+            name: ''
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Ask the background for pages in the site's sitemap that resemble the broken URL
+ * They are shown as "Did you mean..." links in the current toast, and in any
+ * toast shown later for this route.
+ * 
+ * @param {string} sourceUrl - The broken URL
+ * @returns {Promise<void>} Resolves once the suggestions were added (or none were found)
+ */
+function loadDidYouMean(sourceUrl) {
+    const routeKey = getRouteKey(window.location.href);
+    
+    return chrome.runtime.sendMessage({ action: 'getSitemapSuggestions', url: sourceUrl })
+        .then(response => {
+            if (!response || !response.suggestions || response.suggestions.length === 0 ||
+                getRouteKey(window.location.href) !== routeKey) {
+                return;
+            }
+            
+            addDidYouMean(routeKey, response.suggestions);
+        })
+        .catch(() => {
+            // Suggestions are optional
+        });
+}
+
+/**
+ * Add "Did you mean..." links for a route (sitemap matches, a parent section)
+ * and show them in the current toast
+ * 
+ * @param {string} routeKey - The route the links belong to
+ * @param {Array<Object>} suggestions - { url } entries
+ */
+function addDidYouMean(routeKey, suggestions) {
+    const existing = routeState.didYouMean?.routeKey === routeKey ? routeState.didYouMean.suggestions : [];
+    const urls = new Set(existing.map(suggestion => suggestion.url));
+    routeState.didYouMean = {
+        routeKey,
+        suggestions: [...existing, ...suggestions.filter(suggestion => !urls.has(suggestion.url))]
+    };
+    
+    const notification = document.getElementById('error404-finder-notification');
+    if (notification) {
+        appendDidYouMean(notification);
+    }
+}
+
+/**
+ * Add the route's "Did you mean..." links to a toast
+ * 
+ * @param {HTMLElement} notification - The toast element
+ */
+function appendDidYouMean(notification) {
+    const didYouMean = routeState.didYouMean;
+    if (!didYouMean || didYouMean.routeKey !== getRouteKey(window.location.href)) {
+        return;
+    }
+    
+    const container = document.createElement('div');
+    container.setAttribute('data-did-you-mean', '');
+    container.style.cssText = 'margin-top: 10px; padding-top: 8px; border-top: 1px solid rgba(255, 255, 255, 0.3);';
+    
+    const heading = document.createElement('div');
+    heading.textContent = 'Did you mean:';
+    heading.style.cssText = 'font-size: 12px; opacity: 0.8; margin-bottom: 4px;';
+    container.appendChild(heading);
+    
+    didYouMean.suggestions.forEach(suggestion => {
+        const suggestionUrl = new URL(suggestion.url);
+        const link = document.createElement('a');
+        link.href = suggestion.url;
+        link.textContent = suggestionUrl.pathname + suggestionUrl.search;
+        link.style.cssText = 'display: block; color: #39CCCC; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        container.appendChild(link);
+    });
+    
+    // Links that arrive later replace the list in place
+    const existing = notification.querySelector('[data-did-you-mean]');
+    if (existing) {
+        existing.replaceWith(container);
+    } else {
+        notification.appendChild(container);
+    }
+}
+
+/**
+ * Add an "Archived copy" link to a toast
+ * The background picks the provider (a confirmed Wayback snapshot when the
+ * availability lookup is enabled) and opens it with the recovery open mode.
+ * 
+ * @param {HTMLElement} notification - The toast element
+ */
+function appendArchiveAction(notification) {
+    const archiveSource = routeState.archiveSource;
+    if (!archiveSource || archiveSource.routeKey !== getRouteKey(window.location.href)) {
+        return;
+    }
+    
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = 'Open archived copy';
+    link.style.cssText = 'display: inline-block; margin-top: 8px; color: #39CCCC; font-size: 12px;';
+    link.addEventListener('click', async (event) => {
+        event.preventDefault();
         
-        return query || domainName || 'search';
+        const response = await chrome.runtime.sendMessage({ action: 'openArchivedCopy', url: archiveSource.url })
+            .catch(() => null);
+        if (response && response.success) {
+            // Opened elsewhere (new tab) - the pending search is no longer wanted
+            cancelPendingAutoSearch();
+        } else {
+            link.textContent = response && response.reason === 'no_snapshot'
+                ? 'No archived copy was found'
+                : 'Archived copy unavailable';
+            link.style.pointerEvents = 'none';
+            link.style.opacity = '0.7';
+        }
+    });
+    
+    notification.appendChild(link);
+}
+
+/**
+ * Look for the broken page on its own site and offer it
+ * 
+ * The background probes repaired versions of the URL (trailing slash,
+ * casing, extensions, typos, parent paths). A live page is opened with the
+ * usual countdown when auto-search would redirect and repair is set to
+ * 'auto', and is only linked to otherwise. A parent section only joins the
+ * "Did you mean..." links; the web search still goes ahead.
+ * 
+ * @param {Object} response - The eligibility check response
+ * @param {string} sourceUrl - The broken URL
+ * @returns {Promise<boolean>} True if the page itself was found (the web search is skipped)
+ */
+async function offerSiteRepair(response, sourceUrl) {
+    const routeKey = getRouteKey(window.location.href);
+    
+    let repair;
+    try {
+        repair = await chrome.runtime.sendMessage({ action: 'findSiteRepair', url: sourceUrl });
     } catch (error) {
-        return 'search';
+        return false;
+    }
+    
+    if (!repair || !repair.repairedUrl) {
+        return false;
+    }
+    
+    // The user may have left the route or clicked "Not a 404" while probing
+    if (routeState.dismissedRoute === routeKey || getRouteKey(window.location.href) !== routeKey) {
+        return true;
     }
+    
+    if (repair.isParent) {
+        addDidYouMean(routeKey, [{ url: repair.repairedUrl }]);
+        return false;
+    }
+    
+    // Rewrite rules may point at another host, which is then shown too
+    const repairedUrl = new URL(repair.repairedUrl);
+    const destination = (repairedUrl.host !== window.location.host ? repairedUrl.host : '') +
+        repairedUrl.pathname + repairedUrl.search;
+    
+    if (response.shouldAutoSearch && repair.autoNavigate) {
+        startAutoSearchCountdown(response.searchEngine, repair.repairedUrl, {
+            delayMs: response.delayMs,
+            openMode: response.openMode,
+            destination
+        });
+    } else {
+        const hint = repair.source === 'rewrite'
+            ? 'One of your rewrite rules points to a new address.'
+            : 'This page seems to have moved on the same site.';
+        displaySuggestionNotification(response.searchEngine, repair.repairedUrl, hint, `Open ${destination}`);
+    }
+    return true;
+}
+
+/**
+ * Get the title for the {title} placeholder of query templates
+ * A dead link redirected to the homepage or an error page has that page's title, not its own.
+ * 
+ * @param {string} sourceUrl - The URL the query is built from
+ * @returns {string} Page title, or '' if the page isn't the one searched for
+ */
+function getSourcePageTitle(sourceUrl) {
+    return sourceUrl === window.location.href ? document.title : '';
 }
 
 /**
  * Perform the auto-search redirect
- * Generates search URL and redirects or opens new tab based on settings
+ * Generates the search URL and starts a cancellable countdown before redirecting
  * 
  * @param {string} searchEngine - The search engine to use (e.g., 'google', 'bing')
  * @param {string} queryTemplate - The query template to use (e.g., 'domainAndKeywords')
+ * @param {string} sourceUrl - The URL the query is built from (original URL for redirected dead links)
+ * @param {Object} countdownOptions - Options from the eligibility check
+ * @param {number} countdownOptions.delayMs - Countdown before redirecting (clamped to AUTO_SEARCH_CONFIG limits)
+ * @param {string} countdownOptions.openMode - Where results open: 'replace', 'foreground_tab' or 'background_tab'
  */
-async function performAutoSearch(searchEngine, queryTemplate) {
-    // Display notification before redirect
-    displaySearchNotification(searchEngine);
+async function performAutoSearch(searchEngine, queryTemplate, sourceUrl = window.location.href, countdownOptions = {}) {
+    const routeKey = getRouteKey(window.location.href);
+    if (routeState.dismissedRoute === routeKey) {
+        return;
+    }
     
-    // Use simple query extraction from URL
-    const simpleQuery = extractSimpleQuery();
+    // Request search URL from background script - the query is built from the
+    // URL there (see queryBuilder.js), the same way as everywhere else
+    const response = await chrome.runtime.sendMessage({
+        action: 'generateSearchUrl',
+        url: sourceUrl,
+        title: getSourcePageTitle(sourceUrl),
+        searchEngine: searchEngine,
+        queryTemplate: queryTemplate
+    });
+    
+    // The user may have left the route or clicked "Not a 404" while the search URL was generated
+    if (!response || !response.searchUrl || routeState.dismissedRoute === routeKey ||
+        getRouteKey(window.location.href) !== routeKey) {
+        return;
+    }
+    
+    // Request to show notification before redirect
+    chrome.runtime.sendMessage({
+        action: 'createAutoSearchNotification',
+        url: sourceUrl,
+        searchEngine: searchEngine,
+        searchUrl: response.searchUrl
+    }, (notificationResponse) => {
+        // Silent handling - notifications are non-critical
+    });
+    
+    startAutoSearchCountdown(searchEngine, response.searchUrl, countdownOptions);
+}
+
+/**
+ * Show the countdown notification and redirect when it reaches zero
+ * 
+ * The redirect is abandoned when the user presses Esc, clicks "Stay on this
+ * page" or "Never on this site", or interacts with the page itself (clicks,
+ * keys, scrolling), since that means they are reading it.
+ * 
+ * @param {string} searchEngine - The search engine being used
+ * @param {string} searchUrl - The search results URL (or a page found on the same site)
+ * @param {Object} countdownOptions - { delayMs, openMode } from the eligibility check, and
+ *                                    destination (path of a page found on the same site)
+ */
+function startAutoSearchCountdown(searchEngine, searchUrl, { delayMs, openMode, destination } = {}) {
+    const routeKey = getRouteKey(window.location.href);
+    const clampedDelay = Math.min(
+        Math.max(Number(delayMs) || AUTO_SEARCH_CONFIG.DEFAULT_DELAY_MS, AUTO_SEARCH_CONFIG.MIN_DELAY_MS),
+        AUTO_SEARCH_CONFIG.MAX_DELAY_MS
+    );
+    const deadline = Date.now() + clampedDelay;
+    const opensNewTab = openMode === 'foreground_tab' || openMode === 'background_tab';
+    
+    // automatic is true when the countdown ran out rather than "Search now" being clicked
+    const redirect = ({ automatic = false } = {}) => {
+        cancelPendingAutoSearch();
+        // Don't redirect if a client-side navigation left the broken route
+        if (getRouteKey(window.location.href) === routeKey && routeState.dismissedRoute !== routeKey) {
+            openSearchResults(searchUrl, { automatic });
+        }
+    };
     
-    // Request search URL from background script
+    const { notification, countdown } = displaySearchNotification(searchEngine, {
+        nowLabel: destination ? 'Go now' : 'Search now',
+        onSearchNow: () => redirect(),
+        onStay: cancelPendingAutoSearch,
+        onNeverOnSite: () => {
+            cancelPendingAutoSearch();
+            chrome.runtime.sendMessage({ action: 'blacklistDomain', domain: window.location.hostname })
+                .catch(() => {
+                    // Background unavailable - the redirect is cancelled either way
+                });
+        }
+    });
+    
+    const updateCountdown = () => {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            redirect({ automatic: true });
+            return;
+        }
+        const seconds = Math.ceil(remaining / 1000);
+        if (opensNewTab) {
+            countdown.textContent = `Opening ${destination || `${getEngineLabel(searchEngine)} results`} in a new tab in ${seconds}s`;
+        } else if (destination) {
+            countdown.textContent = `Opening ${destination} in ${seconds}s`;
+        } else {
+            countdown.textContent = `Searching on ${getEngineLabel(searchEngine)} in ${seconds}s`;
+        }
+    };
+    
+    // Esc cancels; any other use of the page abandons the redirect but keeps a search link.
+    // Tab and modifier keys only move focus (e.g. to the notification's buttons), and
+    // keys pressed while the notification has focus operate it.
+    const navigationKeys = ['Tab', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+    const onKeydown = (event) => {
+        if (event.key === 'Escape') {
+            cancelPendingAutoSearch();
+        } else if (!navigationKeys.includes(event.key) && !notification.contains(document.activeElement)) {
+            abandonOnInteraction(event);
+        }
+    };
+    const abandonOnInteraction = (event) => {
+        if (notification.contains(event.target)) {
+            return;
+        }
+        cancelPendingAutoSearch();
+        displaySuggestionNotification(searchEngine, searchUrl, 'Auto-search stopped because you are using this page.',
+            destination ? `Open ${destination}` : undefined);
+    };
+    const interactionEvents = ['pointerdown', 'wheel', 'touchstart'];
+    
+    document.addEventListener('keydown', onKeydown, true);
+    interactionEvents.forEach(type => document.addEventListener(type, abandonOnInteraction, { capture: true, passive: true }));
+    
+    routeState.autoSearchTimer = setInterval(updateCountdown, 250);
+    routeState.autoSearchCleanup = () => {
+        document.removeEventListener('keydown', onKeydown, true);
+        interactionEvents.forEach(type => document.removeEventListener(type, abandonOnInteraction, { capture: true }));
+    };
+    updateCountdown();
+}
+
+/**
+ * Open search results through the background, which applies the recovery
+ * open mode (replace this page, new foreground tab or new background tab)
+ * and records the redirect for the Back button and the rate limit. Without
+ * the background (e.g. the extension was reloaded) nothing is opened, since
+ * the redirect couldn't be recorded.
+ * 
+ * @param {string} searchUrl - The search results URL
+ * @param {Object} options - { clicked, automatic } - clicked: the user clicked a link to the results,
+ *   automatic: the countdown ran out
+ */
+async function openSearchResults(searchUrl, { clicked = false, automatic = false } = {}) {
+    try {
+        await chrome.runtime.sendMessage({ action: 'openSearchResults', searchUrl, clicked, automatic });
+    } catch (error) {
+        // Background unavailable - the page stays as it is
+    }
+}
+
+/**
+ * Show a search suggestion without redirecting
+ * Used when the status policy for the page is 'suggest'
+ * 
+ * @param {string} searchEngine - The search engine to use
+ * @param {string} queryTemplate - The query template to use
+ * @param {string} statusHint - Short description of the error
+ * @param {string} sourceUrl - The URL the query is built from (original URL for redirected dead links)
+ */
+async function suggestSearch(searchEngine, queryTemplate, statusHint, sourceUrl = window.location.href) {
     const response = await chrome.runtime.sendMessage({
         action: 'generateSearchUrl',
-        url: window.location.href,
-        title: simpleQuery, // Use simple query instead of complex extraction
+        url: sourceUrl,
+        title: getSourcePageTitle(sourceUrl),
         searchEngine: searchEngine,
         queryTemplate: queryTemplate
     });
     
     if (response && response.searchUrl) {
-        // Request to show notification before redirect
-        chrome.runtime.sendMessage({
-            action: 'createAutoSearchNotification',
-            url: window.location.href,
-            searchEngine: searchEngine,
-            searchUrl: response.searchUrl
-        }, (notificationResponse) => {
-            // Silent handling - notifications are non-critical
-        });
+        displaySuggestionNotification(searchEngine, response.searchUrl, statusHint);
+    }
+}
 
-        // Small delay to allow user to see the notification
-        setTimeout(() => {
-            window.location.href = response.searchUrl;
-        }, 2000); // Increase delay for better UX
-    } else {
-        // Silent fail - search redirect failed
+/**
+ * Display a dismissible suggestion linking to search results
+ * 
+ * @param {string} searchEngine - The search engine name
+ * @param {string} searchUrl - The search results URL
+ * @param {string} statusHint - Short description of the error
+ * @param {string} linkText - Link label (defaults to "Search on <engine>")
+ */
+function displaySuggestionNotification(searchEngine, searchUrl, statusHint, linkText) {
+    const notification = document.createElement('div');
+    notification.id = 'error404-finder-notification';
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        max-width: 360px;
+        background: #001F3F;
+        color: white;
+        padding: 16px 24px;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 31, 63, 0.15);
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        font-size: 14px;
+        z-index: 999999;
+        border: 2px solid #39CCCC;
+    `;
+    
+    // Build with DOM APIs - the hint and URL must never be parsed as HTML
+    const message = document.createElement('div');
+    message.textContent = statusHint || 'This page could not be loaded.';
+    
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 12px; margin-top: 8px; align-items: center;';
+    
+    const link = document.createElement('a');
+    link.href = searchUrl;
+    link.textContent = linkText || `Search on ${getEngineLabel(searchEngine)}`;
+    link.style.cssText = 'color: #39CCCC; font-weight: 600;';
+    if (!/^https?:/i.test(searchUrl)) {
+        // Pages can't link to the extension's own pages (recovery page, POST search page) - the background opens them
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            openSearchResults(searchUrl, { clicked: true });
+        });
+    }
+    
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.textContent = 'Dismiss';
+    dismiss.style.cssText = 'background: transparent; color: white; border: 1px solid white; border-radius: 4px; padding: 2px 8px; cursor: pointer;';
+    dismiss.addEventListener('click', () => notification.remove());
+    
+    actions.append(link);
+    // A temporary outage (503) may be over by the time the user reads this
+    if (routeState.lastResult?.httpStatus?.statusClass === 'unavailable') {
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.textContent = 'Retry';
+        retry.title = 'Reload this page';
+        retry.style.cssText = dismiss.style.cssText;
+        retry.addEventListener('click', () => window.location.reload());
+        actions.append(retry);
     }
+    actions.append(dismiss);
+    notification.append(message, actions);
+    appendArchiveAction(notification);
+    appendDidYouMean(notification);
+    document.body.appendChild(notification);
+}
+
+/**
+ * Get the name shown for a search engine
+ * The site's own search ("site") is shown as the site's hostname.
+ * 
+ * @param {string} searchEngine - Search engine key
+ * @returns {string} Display name
+ */
+function getEngineLabel(searchEngine) {
+    return searchEngine === 'site' ? window.location.hostname : searchEngine;
 }
 
 /**
- * Display a notification that auto-search is happening
+ * Display the auto-search countdown notification
  * 
  * @param {string} searchEngine - The search engine being used
+ * @param {Object} actions - Button handlers
+ * @param {string} actions.nowLabel - Label of the redirect button (defaults to "Search now")
+ * @param {Function} actions.onSearchNow - Redirect immediately
+ * @param {Function} actions.onStay - Cancel the redirect
+ * @param {Function} actions.onNeverOnSite - Cancel and blacklist the domain
+ * @returns {Object} { notification, countdown } - The notification and its countdown text element
  */
-function displaySearchNotification(searchEngine) {
+function displaySearchNotification(searchEngine, actions) {
     // Create notification element
     const notification = document.createElement('div');
     notification.id = 'error404-finder-notification';
+    notification.setAttribute('role', 'alert');
     notification.style.cssText = `
         position: fixed;
         top: 20px;
         right: 20px;
+        max-width: 360px;
         background: #001F3F;
         color: white;
         padding: 16px 24px;
@@ -596,9 +1627,46 @@ function displaySearchNotification(searchEngine) {
     notification.innerHTML = `
         <div style="display: flex; align-items: center; gap: 12px;">
             <div style="width: 20px; height: 20px; border: 2px solid white; border-radius: 50%; border-top-color: transparent; animation: spin 1s linear infinite;"></div>
-            <span>Searching for this page on ${searchEngine}...</span>
+            <span data-countdown></span>
         </div>
     `;
+    const countdown = notification.querySelector('[data-countdown]');
+    
+    const buttonStyle = 'background: transparent; color: white; border: 1px solid white; border-radius: 4px; padding: 2px 8px; cursor: pointer;';
+    const createButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.style.cssText = buttonStyle;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+    
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;';
+    
+    const searchNow = createButton(actions.nowLabel || 'Search now', 'Go there now', actions.onSearchNow);
+    searchNow.style.cssText = buttonStyle + ' background: #39CCCC; border-color: #39CCCC; color: #001F3F; font-weight: 600;';
+    
+    buttons.append(
+        searchNow,
+        createButton('Stay on this page', 'Cancel the search (Esc)', actions.onStay),
+        createButton('Never on this site', `Blacklist ${window.location.hostname}`, actions.onNeverOnSite)
+    );
+    // Misdetections can be reported without blacklisting the whole domain - but an
+    // error status the server sent is never overridden (see runDetection)
+    if (!(routeState.lastResult?.httpStatus?.statusCode >= 400)) {
+        buttons.appendChild(
+            createButton('Not a 404', 'Cancel the search and stop treating pages like this as errors', reportFalsePositive)
+        );
+    }
+    notification.appendChild(buttons);
+    
+    const shortcutHint = document.createElement('div');
+    shortcutHint.textContent = 'Press Esc to stay on this page';
+    shortcutHint.style.cssText = 'margin-top: 6px; font-size: 12px; opacity: 0.7;';
+    notification.appendChild(shortcutHint);
     
     // Add CSS animations
     const style = document.createElement('style');
@@ -621,7 +1689,10 @@ function displaySearchNotification(searchEngine) {
     `;
     document.head.appendChild(style);
     
+    appendArchiveAction(notification);
+    appendDidYouMean(notification);
     document.body.appendChild(notification);
+    return { notification, countdown };
 }
 
 
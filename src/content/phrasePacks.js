@@ -0,0 +1,208 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Soft 404 Phrase Packs
+ *
+ * Per-language phrase dictionaries used by the content script's scoring system.
+ * This file is injected before content.js (see manifest.json), so the constant
+ * below is shared through the content script's isolated global scope.
+ *
+ * Each pack has:
+ * - name: Display name
+ * - markers: Common words/characters used to guess the page language from its text
+ * - strong: High confidence patterns (usually titles and explicit error messages)
+ * - medium: Generic "page does not exist" phrasing
+ * - weak: Short phrases that only count when several of them appear in the body
+ *
+ * Pattern contexts:
+ * - 'title': Only checked against the document title
+ * - 'any': Checked against the title, H1 headings and body text
+ * - 'body': Only counted in the body text (weak indicators)
+ *
+ * Educational: Regular expressions and non-Latin scripts
+ * - Japanese and Chinese do not separate words with spaces, so their patterns
+ *   match character sequences directly instead of using \s+ between words
+ * - The \b word boundary only understands ASCII letters, so it is avoided
+ *   around accented characters
+ */
+const SOFT_404_PHRASE_PACKS = {
+    en: {
+        name: 'English',
+        markers: /\b(the|and|you|this|that|with|for|are|was|page)\b/gi,
+        strong: [
+            { pattern: /^404\s*[-–—]?\s*(error|not\s+found|page\s+not\s+found)/i, weight: 40, context: 'title' },
+            { pattern: /^error\s+404/i, weight: 40, context: 'title' },
+            { pattern: /Page\s+not\s+found/i, weight: 35, context: 'title' },
+            { pattern: /HTTP\s+(ERROR\s+)?404/i, weight: 35, context: 'any' },
+            { pattern: /404\s+File\s+or\s+directory\s+not\s+found/i, weight: 35, context: 'any' },
+            { pattern: /The\s+requested\s+(URL|resource)\s+.*\s+was\s+not\s+found/i, weight: 30, context: 'any' },
+            // GitHub style with quotes
+            { pattern: /"404".*not.*the.*page.*you.*are.*looking.*for/i, weight: 40, context: 'any' },
+            { pattern: /This\s+is\s+not\s+the\s+(web\s+)?page\s+you.*looking\s+for/i, weight: 35, context: 'any' }
+        ],
+        medium: [
+            { pattern: /page\s+(you([''']re|\s+are)\s+looking\s+for\s+)?(cannot\s+be\s+found|doesn[''']?t\s+exist)/i, weight: 20, context: 'any' },
+            { pattern: /sorry[,.]?\s+(this|that)\s+page\s+(doesn[''']?t|does\s+not)\s+exist/i, weight: 20, context: 'any' },
+            { pattern: /we\s+can[''']?t\s+find\s+(the\s+page|what)\s+you([''']?re)?\s+looking\s+for/i, weight: 20, context: 'any' },
+            { pattern: /this\s+content\s+isn[''']?t\s+available/i, weight: 30, context: 'any' }, // Increased weight for Facebook
+            { pattern: /page\s+has\s+been\s+(removed|deleted|moved)/i, weight: 15, context: 'any' },
+            { pattern: /This\s+page\s+isn[''']?t\s+available/i, weight: 20, context: 'any' },
+            // Facebook specific patterns
+            { pattern: /it[''']?s\s+been\s+deleted/i, weight: 25, context: 'any' },
+            { pattern: /owner\s+only\s+shared\s+it\s+with\s+a\s+small\s+group/i, weight: 20, context: 'any' }
+        ],
+        weak: [
+            { pattern: /not\s+found/i, weight: 5, context: 'body' },
+            { pattern: /doesn'?t\s+exist/i, weight: 5, context: 'body' },
+            { pattern: /no\s+longer\s+available/i, weight: 5, context: 'body' },
+            { pattern: /broken\s+link/i, weight: 5, context: 'body' },
+            { pattern: /dead\s+link/i, weight: 5, context: 'body' }
+        ]
+    },
+    es: {
+        name: 'Español',
+        markers: /(^|\s)(el|los|las|del|una|que|para|pero|como|está|página)(?=\s|$)/gi,
+        strong: [
+            { pattern: /^error\s+404/i, weight: 40, context: 'title' },
+            { pattern: /p[áa]gina\s+no\s+encontrada/i, weight: 35, context: 'title' },
+            { pattern: /error\s+404\s*[-–—:]?\s*p[áa]gina\s+no\s+encontrada/i, weight: 35, context: 'any' }
+        ],
+        medium: [
+            { pattern: /la\s+p[áa]gina\s+(que\s+(buscas|busca|est[áa]s?\s+buscando)\s+|solicitada\s+)?no\s+(existe|se\s+(ha\s+)?(puede|pudo)\s+encontrar|ha\s+sido\s+encontrada)/i, weight: 20, context: 'any' },
+            { pattern: /lo\s+sentimos[,.]?\s+(esta|la)\s+p[áa]gina\s+no\s+existe/i, weight: 20, context: 'any' },
+            { pattern: /no\s+(hemos\s+)?(podemos|pudimos|podido)\s+encontrar\s+(la\s+p[áa]gina|lo\s+que\s+buscas)/i, weight: 20, context: 'any' },
+            { pattern: /la\s+p[áa]gina\s+(ha\s+sido|fue)\s+(eliminada|borrada|movida|trasladada)/i, weight: 15, context: 'any' },
+            { pattern: /este\s+contenido\s+no\s+est[áa]\s+disponible/i, weight: 20, context: 'any' }
+        ],
+        weak: [
+            { pattern: /no\s+encontrad[oa]/i, weight: 5, context: 'body' },
+            { pattern: /no\s+existe/i, weight: 5, context: 'body' },
+            { pattern: /ya\s+no\s+est[áa]\s+disponible/i, weight: 5, context: 'body' },
+            { pattern: /enlace\s+roto/i, weight: 5, context: 'body' }
+        ]
+    },
+    de: {
+        name: 'Deutsch',
+        markers: /(^|\s)(der|die|das|und|ist|nicht|mit|auf|ein|eine|sie|wir)(?=\s|$)/gi,
+        strong: [
+            { pattern: /^fehler\s+404/i, weight: 40, context: 'title' },
+            { pattern: /Seite\s+nicht\s+gefunden/i, weight: 35, context: 'title' },
+            { pattern: /Fehler\s+404\s*[-–—:]?\s*Seite\s+nicht\s+gefunden/i, weight: 35, context: 'any' }
+        ],
+        medium: [
+            { pattern: /(die\s+)?(angeforderte|gesuchte|aufgerufene)\s+Seite\s+(wurde\s+)?(nicht\s+gefunden|existiert\s+nicht|konnte\s+nicht\s+gefunden\s+werden)/i, weight: 20, context: 'any' },
+            { pattern: /diese\s+Seite\s+(existiert\s+nicht|gibt\s+es\s+nicht(\s+mehr)?)/i, weight: 20, context: 'any' },
+            { pattern: /wir\s+konnten\s+die\s+(gesuchte\s+)?Seite\s+nicht\s+finden/i, weight: 20, context: 'any' },
+            { pattern: /Seite\s+wurde\s+(entfernt|gelöscht|verschoben)/i, weight: 15, context: 'any' },
+            { pattern: /dieser\s+Inhalt\s+ist\s+(nicht|nicht\s+mehr)\s+verfügbar/i, weight: 20, context: 'any' }
+        ],
+        weak: [
+            { pattern: /nicht\s+gefunden/i, weight: 5, context: 'body' },
+            { pattern: /existiert\s+nicht/i, weight: 5, context: 'body' },
+            { pattern: /nicht\s+mehr\s+verfügbar/i, weight: 5, context: 'body' },
+            { pattern: /(defekter|toter)\s+Link/i, weight: 5, context: 'body' }
+        ]
+    },
+    fr: {
+        name: 'Français',
+        markers: /(^|\s)(le|les|des|est|une|pour|pas|vous|avec|dans|cette|nous)(?=\s|$)/gi,
+        strong: [
+            { pattern: /^erreur\s+404/i, weight: 40, context: 'title' },
+            { pattern: /page\s+(introuvable|non\s+trouv[ée]e)/i, weight: 35, context: 'title' },
+            { pattern: /erreur\s+404\s*[-–—:]?\s*page\s+(introuvable|non\s+trouv[ée]e)/i, weight: 35, context: 'any' }
+        ],
+        medium: [
+            { pattern: /la\s+page\s+(que\s+vous\s+(recherchez|cherchez|demandez)\s+)?(n[''’]existe\s+pas|est\s+introuvable|n[''’]a\s+pas\s+[ée]t[ée]\s+trouv[ée]e)/i, weight: 20, context: 'any' },
+            { pattern: /d[ée]sol[ée]s?[,.]?\s+(cette|la)\s+page\s+n[''’]existe\s+pas/i, weight: 20, context: 'any' },
+            { pattern: /nous\s+n[''’]avons\s+pas\s+pu\s+trouver\s+(la\s+page|ce\s+que\s+vous\s+cherchez)/i, weight: 20, context: 'any' },
+            { pattern: /la\s+page\s+a\s+[ée]t[ée]\s+(supprim[ée]e|d[ée]plac[ée]e|retir[ée]e)/i, weight: 15, context: 'any' },
+            { pattern: /ce\s+contenu\s+n[''’]est\s+pas\s+disponible/i, weight: 20, context: 'any' }
+        ],
+        weak: [
+            { pattern: /introuvable/i, weight: 5, context: 'body' },
+            { pattern: /n[''’]existe\s+pas/i, weight: 5, context: 'body' },
+            { pattern: /n[''’]est\s+plus\s+disponible/i, weight: 5, context: 'body' },
+            { pattern: /lien\s+(mort|cass[ée]|bris[ée])/i, weight: 5, context: 'body' }
+        ]
+    },
+    pt: {
+        name: 'Português',
+        markers: /(^|\s)(não|uma|para|com|os|das|dos|você|está|mais|página)(?=\s|$)/gi,
+        strong: [
+            { pattern: /^erro\s+404/i, weight: 40, context: 'title' },
+            { pattern: /p[áa]gina\s+n[ãa]o\s+encontrada/i, weight: 35, context: 'title' },
+            { pattern: /erro\s+404\s*[-–—:]?\s*p[áa]gina\s+n[ãa]o\s+encontrada/i, weight: 35, context: 'any' }
+        ],
+        medium: [
+            { pattern: /a\s+p[áa]gina\s+(que\s+voc[êe]\s+(procura|est[áa]\s+procurando)\s+|solicitada\s+)?n[ãa]o\s+(existe|foi\s+encontrada|pode\s+ser\s+encontrada)/i, weight: 20, context: 'any' },
+            { pattern: /desculpe[,.]?\s+(esta|essa|a)\s+p[áa]gina\s+n[ãa]o\s+existe/i, weight: 20, context: 'any' },
+            { pattern: /n[ãa]o\s+(conseguimos|foi\s+poss[íi]vel)\s+encontrar\s+(a\s+p[áa]gina|o\s+que\s+voc[êe]\s+procura)/i, weight: 20, context: 'any' },
+            { pattern: /a\s+p[áa]gina\s+foi\s+(removida|exclu[íi]da|apagada|movida)/i, weight: 15, context: 'any' },
+            { pattern: /este\s+conte[úu]do\s+n[ãa]o\s+est[áa]\s+dispon[íi]vel/i, weight: 20, context: 'any' }
+        ],
+        weak: [
+            { pattern: /n[ãa]o\s+encontrad[oa]/i, weight: 5, context: 'body' },
+            { pattern: /n[ãa]o\s+existe/i, weight: 5, context: 'body' },
+            { pattern: /n[ãa]o\s+est[áa]\s+mais\s+dispon[íi]vel/i, weight: 5, context: 'body' },
+            { pattern: /link\s+quebrado/i, weight: 5, context: 'body' }
+        ]
+    },
+    ja: {
+        name: '日本語',
+        // Hiragana and Katakana are unique to Japanese
+        markers: /[\u3040-\u30ff]/g,
+        strong: [
+            { pattern: /404\s*(エラー|Not\s+Found)/i, weight: 40, context: 'title' },
+            { pattern: /ページが見つかりません/, weight: 35, context: 'title' },
+            { pattern: /お探しのページ(は|が)見つかりませんでした/, weight: 35, context: 'any' }
+        ],
+        medium: [
+            { pattern: /お探しのページ(は|が)(見つかりません|存在しません)/, weight: 20, context: 'any' },
+            { pattern: /指定された(ページ|URL)(は|が)(見つかりません|存在しません)/, weight: 20, context: 'any' },
+            { pattern: /(この|その)ページは(存在しません|表示できません)/, weight: 20, context: 'any' },
+            { pattern: /ページ(は|が)(削除|移動)(された|しました|されました)/, weight: 15, context: 'any' }
+        ],
+        weak: [
+            { pattern: /見つかりません/, weight: 5, context: 'body' },
+            { pattern: /存在しません/, weight: 5, context: 'body' },
+            { pattern: /削除されました/, weight: 5, context: 'body' },
+            { pattern: /リンク切れ/, weight: 5, context: 'body' }
+        ]
+    },
+    zh: {
+        name: '中文',
+        // CJK Unified Ideographs (also present on Japanese pages)
+        markers: /[\u4e00-\u9fff]/g,
+        strong: [
+            { pattern: /404\s*(错误|錯誤|页面|頁面)/, weight: 40, context: 'title' },
+            { pattern: /(页面|頁面|网页|網頁)(未找到|不存在|找不到)/, weight: 35, context: 'title' },
+            { pattern: /(抱歉|对不起|對不起)[，,!！]?\s*(您|你)(访问|訪問|要找|查找)的(页面|頁面|网页|網頁)(不存在|找不到)/, weight: 35, context: 'any' }
+        ],
+        medium: [
+            { pattern: /(您|你)(访问|訪問|要找|查找|请求|請求)的(页面|頁面|网页|網頁)(不存在|找不到|未找到)/, weight: 20, context: 'any' },
+            { pattern: /(页面|頁面|网页|網頁)(已被|已)(删除|刪除|移除|移动|移動)/, weight: 15, context: 'any' },
+            { pattern: /(该|該|此)(内容|內容)(不存在|不可用|已失效)/, weight: 20, context: 'any' }
+        ],
+        weak: [
+            { pattern: /不存在/, weight: 5, context: 'body' },
+            { pattern: /找不到/, weight: 5, context: 'body' },
+            { pattern: /未找到/, weight: 5, context: 'body' },
+            { pattern: /(链接|鏈接|連結)(已)?失效/, weight: 5, context: 'body' }
+        ]
+    }
+};
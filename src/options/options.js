@@ -17,31 +17,153 @@
 
 // JavaScript for 404 Finder: Auto-Search Redirector Options
 
+import { STATUS_CLASSES, STATUS_POLICY_ACTIONS, DEFAULT_STATUS_POLICIES } from '../background/statusPolicy.js';
+import {
+    BUILT_IN_RULE_PACKS,
+    validateRulePack,
+    getUserRulePacks,
+    saveUserRulePacks,
+    setRulePackEnabled,
+    getAllRulePacks
+} from '../background/platformRules.js';
+import { OVERRIDE_TYPES, getDetectionOverrides, removeDetectionOverride } from '../background/detectionOverrides.js';
+import { DEFAULT_OPEN_MODE, getDomainOpenModes, setDomainOpenMode, removeDomainOpenMode } from '../background/recoveryOpenMode.js';
+import { DEFAULT_REDIRECT_WINDOW_MINUTES, DEFAULT_MAX_REDIRECTS_PER_MINUTE } from '../background/redirectGuard.js';
+import { DEFAULT_URL_REPAIR_MODE } from '../background/urlRepair.js';
+import { getDomainSearchEngines, setDomainSearchEngine, removeDomainSearchEngine } from '../background/siteSearch.js';
+import {
+    DEFAULT_AVAILABILITY_ENDPOINT,
+    addArchiveProvider,
+    removeArchiveProvider,
+    setArchiveProviderEnabled,
+    getAllArchiveProviders
+} from '../background/archiveProviders.js';
+import { getRedirectMap, addRedirect, confirmRedirect, removeRedirect, importRedirectMap } from '../background/redirectMap.js';
+import {
+    getRewriteRules,
+    addRewriteRule,
+    removeRewriteRule,
+    setRewriteRuleEnabled,
+    moveRewriteRule,
+    testRewriteRules
+} from '../background/rewriteRules.js';
+import {
+    SEARCH_ENGINES,
+    QUERY_TEMPLATES,
+    ENGINE_SEARCH_PARAMS,
+    SAFE_SEARCH_LEVELS,
+    getDefaultSearchParams,
+    getQueryTemplate,
+    extractUrlInfo,
+    validateQueryTemplate,
+    renderQueryTemplate,
+    translateQueryOperators,
+    getSearchEngineRegistry
+} from '../search/searchEngineConfig.js';
+import {
+    getCustomQueryTemplates,
+    addCustomQueryTemplate,
+    removeCustomQueryTemplate,
+    importCustomQueryTemplates
+} from '../background/customQueryTemplates.js';
+import {
+    getCustomSearchEngines,
+    addCustomSearchEngine,
+    removeCustomSearchEngine
+} from '../background/customSearchEngines.js';
+
+// Phrase packs bundled in src/content/phrasePacks.js
+const DEFAULT_DETECTION_LANGUAGES = ['en', 'es', 'de', 'fr', 'pt', 'ja', 'zh'];
+
+// Display names for status policy actions
+const STATUS_POLICY_LABELS = {
+    [STATUS_POLICY_ACTIONS.IGNORE]: 'Ignore',
+    [STATUS_POLICY_ACTIONS.LOG]: 'Log',
+    [STATUS_POLICY_ACTIONS.SUGGEST]: 'Suggest',
+    [STATUS_POLICY_ACTIONS.AUTO_SEARCH]: 'Auto-search'
+};
+
 /**
  * Load settings from Chrome storage and populate the UI
  */
 function loadSettings() {
     chrome.storage.local.get(null, (settings) => {
         // Search Engine Settings
-        document.getElementById('default-search-engine').value = settings.defaultSearchEngine || 'google';
-        document.getElementById('default-query-template').value = settings.defaultQueryTemplate || 'domainAndKeywords';
+        loadCustomSearchEngines(settings.defaultSearchEngine || 'google');
+        loadQueryTemplates(settings.defaultQueryTemplate || 'domainAndKeywords');
+        renderSearchParams(settings.searchEngineParams || {});
         document.getElementById('enable-all-search-engines').checked = settings.enableAllSearchEngines !== false; // Default true
         
         // Auto-Search Settings
         document.getElementById('enable-auto-search').checked = settings.enableAutoSearch !== false; // Default true
         document.getElementById('show-auto-search-notifications').checked = settings.showAutoSearchNotifications !== false; // Default true
+        document.getElementById('auto-search-delay').value = (settings.autoSearchDelayMs || 5000) / 1000;
+        document.getElementById('auto-redirect-window').value = settings.autoRedirectWindowMinutes ?? DEFAULT_REDIRECT_WINDOW_MINUTES;
+        document.getElementById('max-auto-redirects').value = settings.maxAutoRedirectsPerMinute ?? DEFAULT_MAX_REDIRECTS_PER_MINUTE;
+        document.getElementById('offline-retry-mode').value = settings.offlineRetryMode || 'retry';
+        document.getElementById('enable-sitemap-suggestions').checked = settings.enableSitemapSuggestions !== false; // Default true
+        document.getElementById('url-repair-mode').value = settings.urlRepairMode || DEFAULT_URL_REPAIR_MODE;
+        document.getElementById('auto-search-target').value = settings.autoSearchTarget || 'search';
+        document.getElementById('recovery-open-mode').value = settings.recoveryOpenMode || DEFAULT_OPEN_MODE;
+        loadDomainOpenModes();
+
+        // Archive Providers
+        loadArchiveProviders();
+        document.getElementById('archive-availability-lookup').checked = settings.archiveAvailabilityLookup === true; // Default false
+        document.getElementById('archive-availability-endpoint').value = settings.archiveAvailabilityEndpoint || DEFAULT_AVAILABILITY_ENDPOINT;
+
+        // Redirect Map
+        loadRedirectMap();
+        loadRewriteRules();
+        document.getElementById('enable-redirect-learning').checked = settings.enableRedirectLearning !== false; // Default true
+
+        // Error Status Policies
+        renderStatusPolicies({ ...DEFAULT_STATUS_POLICIES, ...(settings.statusPolicies || {}) });
+
+        // Detection Settings
+        const detectionLanguages = settings.detectionLanguages || DEFAULT_DETECTION_LANGUAGES;
+        document.querySelectorAll('input[name="detection-language"]').forEach(checkbox => {
+            checkbox.checked = detectionLanguages.includes(checkbox.value);
+        });
+        document.getElementById('enable-template-probe').checked = settings.enableTemplateProbe === true; // Default false
+
+        // Platform Rule Packs
+        loadRulePacks();
+
+        // Detection Overrides
+        loadDetectionOverrides();
 
         // Domain Management
         loadDomainLists(settings);
-
-        // Custom Search Settings
-        document.getElementById('custom-search-url').value = settings.customSearchUrl || '';
-        
-        // Show/hide custom URL field based on search engine selection
-        toggleCustomUrlField();
     });
 }
 
+/**
+ * Read the redirect countdown from the UI, clamped to 3-10 seconds
+ *
+ * @returns {number} Countdown in milliseconds
+ */
+function getAutoSearchDelayMs() {
+    const seconds = Number(document.getElementById('auto-search-delay').value) || 5;
+    return Math.min(Math.max(Math.round(seconds), 3), 10) * 1000;
+}
+
+/**
+ * Read a whole, non-negative number input, clamped to its max
+ *
+ * @param {string} id - The input's id
+ * @param {number} fallback - Value used when the input is empty or invalid
+ * @returns {number} The clamped value
+ */
+function getNumberInput(id, fallback) {
+    const input = document.getElementById(id);
+    const value = Math.round(Number(input.value));
+    if (input.value === '' || !Number.isFinite(value)) {
+        return fallback;
+    }
+    return Math.min(Math.max(value, 0), Number(input.max));
+}
+
 /**
  * Save settings from the UI to Chrome storage
  */
@@ -52,7 +174,22 @@ function saveSettings() {
         enableAllSearchEngines: document.getElementById('enable-all-search-engines').checked,
         enableAutoSearch: document.getElementById('enable-auto-search').checked,
         showAutoSearchNotifications: document.getElementById('show-auto-search-notifications').checked,
-        customSearchUrl: document.getElementById('custom-search-url').value
+        autoSearchDelayMs: getAutoSearchDelayMs(),
+        autoRedirectWindowMinutes: getNumberInput('auto-redirect-window', DEFAULT_REDIRECT_WINDOW_MINUTES),
+        maxAutoRedirectsPerMinute: getNumberInput('max-auto-redirects', DEFAULT_MAX_REDIRECTS_PER_MINUTE),
+        offlineRetryMode: document.getElementById('offline-retry-mode').value,
+        enableSitemapSuggestions: document.getElementById('enable-sitemap-suggestions').checked,
+        urlRepairMode: document.getElementById('url-repair-mode').value,
+        autoSearchTarget: document.getElementById('auto-search-target').value,
+        recoveryOpenMode: document.getElementById('recovery-open-mode').value,
+        archiveAvailabilityLookup: document.getElementById('archive-availability-lookup').checked,
+        archiveAvailabilityEndpoint: document.getElementById('archive-availability-endpoint').value.trim() || DEFAULT_AVAILABILITY_ENDPOINT,
+        enableRedirectLearning: document.getElementById('enable-redirect-learning').checked,
+        detectionLanguages: Array.from(document.querySelectorAll('input[name="detection-language"]:checked'))
+            .map(checkbox => checkbox.value),
+        statusPolicies: collectStatusPolicies(),
+        searchEngineParams: collectSearchParams(),
+        enableTemplateProbe: document.getElementById('enable-template-probe').checked
     };
 
     chrome.storage.local.set(settings, () => {
@@ -60,6 +197,133 @@ function saveSettings() {
     });
 }
 
+/**
+ * Render the search parameter table with one row per search engine
+ * Empty inputs show the default taken from the browser's language.
+ *
+ * @param {Object} searchParams - Saved parameters per engine
+ */
+function renderSearchParams(searchParams) {
+    const tableBody = document.getElementById('search-params-table');
+    const defaults = getDefaultSearchParams();
+    tableBody.innerHTML = '';
+
+    Object.entries(SEARCH_ENGINES).forEach(([engineKey, engine]) => {
+        const supported = ENGINE_SEARCH_PARAMS[engineKey] ? ENGINE_SEARCH_PARAMS[engineKey].params : [];
+        const saved = searchParams[engineKey] || {};
+        const row = document.createElement('tr');
+
+        const labelCell = document.createElement('td');
+        labelCell.className = 'policy-label';
+        labelCell.textContent = engine.name;
+        row.appendChild(labelCell);
+
+        ['language', 'region', 'safeSearch', 'resultCount'].forEach(param => {
+            const cell = document.createElement('td');
+            row.appendChild(cell);
+            if (!supported.includes(param)) {
+                cell.textContent = '—';
+                return;
+            }
+
+            let input;
+            if (param === 'safeSearch') {
+                input = document.createElement('select');
+                input.add(new Option('Engine default', ''));
+                SAFE_SEARCH_LEVELS.forEach(level => input.add(new Option(level[0].toUpperCase() + level.slice(1), level)));
+            } else {
+                input = document.createElement('input');
+                input.type = param === 'resultCount' ? 'number' : 'text';
+                if (param === 'resultCount') {
+                    input.min = '1';
+                    input.max = '100';
+                } else {
+                    input.maxLength = 3;
+                }
+                input.placeholder = defaults[param] || 'default';
+            }
+            input.className = 'form-control';
+            input.dataset.engine = engineKey;
+            input.dataset.param = param;
+            input.value = saved[param] || '';
+            cell.appendChild(input);
+        });
+
+        tableBody.appendChild(row);
+    });
+}
+
+/**
+ * Read the search parameters from the table, leaving out empty ones
+ *
+ * @returns {Object} Map of engine key to { language, region, safeSearch, resultCount }
+ */
+function collectSearchParams() {
+    const searchParams = {};
+    document.querySelectorAll('#search-params-table [data-param]').forEach(input => {
+        let value = input.value.trim().toLowerCase();
+        if (input.dataset.param === 'resultCount') {
+            value = value && Math.min(Math.max(parseInt(value, 10) || 0, 1), 100);
+        }
+        if (value) {
+            searchParams[input.dataset.engine] = { ...searchParams[input.dataset.engine], [input.dataset.param]: value };
+        }
+    });
+    return searchParams;
+}
+
+/**
+ * Render the status policy table with one action select per status class
+ *
+ * @param {Object} policies - Map of status class key to policy action
+ */
+function renderStatusPolicies(policies) {
+    const tableBody = document.getElementById('status-policy-table');
+    tableBody.innerHTML = '';
+
+    Object.entries(STATUS_CLASSES).forEach(([classKey, statusClass]) => {
+        const row = document.createElement('tr');
+
+        const labelCell = document.createElement('td');
+        const label = document.createElement('div');
+        label.className = 'policy-label';
+        label.textContent = statusClass.label;
+        const description = document.createElement('div');
+        description.className = 'help-text';
+        description.textContent = statusClass.description;
+        labelCell.append(label, description);
+
+        const actionCell = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'form-control';
+        select.dataset.statusClass = classKey;
+        Object.entries(STATUS_POLICY_LABELS).forEach(([action, actionLabel]) => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = actionLabel;
+            select.appendChild(option);
+        });
+        select.value = policies[classKey];
+        actionCell.appendChild(select);
+
+        row.append(labelCell, actionCell);
+        tableBody.appendChild(row);
+    });
+}
+
+/**
+ * Read the selected status policies from the table
+ *
+ * @returns {Object} Map of status class key to policy action
+ */
+function collectStatusPolicies() {
+    const policies = {};
+    document.querySelectorAll('#status-policy-table select').forEach(select => {
+        policies[select.dataset.statusClass] = select.value;
+    });
+    return policies;
+}
+
 /**
  * Load domain lists (whitelist and blacklist)
  *
@@ -179,27 +443,10 @@ function showStatus(message, isSuccess) {
     setTimeout(() => { statusMessage.textContent = ''; }, 3000);
 }
 
-/**
- * Toggle visibility of custom URL field based on search engine selection
- */
-function toggleCustomUrlField() {
-    const searchEngine = document.getElementById('default-search-engine').value;
-    const customUrlGroup = document.getElementById('settings-container');
-    
-    if (searchEngine === 'custom') {
-        customUrlGroup.style.display = 'block';
-        
-        const customUrlInput = document.getElementById('custom-search-url');
-        customUrlInput.focus();
-    } else {
-        customUrlGroup.style.display = 'none';
-    }
-}
-
 // Event Listeners
 
 document.getElementById('save-settings').addEventListener('click', saveSettings);
-document.getElementById('default-search-engine').addEventListener('change', toggleCustomUrlField);
+document.getElementById('default-search-engine').addEventListener('change', updateQueryTemplatePreview);
 document.getElementById('reset-settings').addEventListener('click', loadSettings);
 document.getElementById('export-settings').addEventListener('click', exportSettings);
 document.getElementById('import-settings').addEventListener('click', importSettings);
@@ -208,6 +455,24 @@ document.addEventListener('DOMContentLoaded', loadSettings);
 
 document.getElementById('add-whitelist').addEventListener('click', () => addDomain('whitelist'));  // Event for adding whitelist domains
 document.getElementById('add-blacklist').addEventListener('click', () => addDomain('blacklist'));  // Event for adding blacklist domains
+document.getElementById('add-domain-open-mode').addEventListener('click', addDomainOpenMode);
+document.getElementById('add-domain-search-engine').addEventListener('click', addDomainSearchEngine);
+document.getElementById('add-archive-provider').addEventListener('click', addCustomArchiveProvider);
+document.getElementById('add-redirect').addEventListener('click', addMapRedirect);
+document.getElementById('export-redirect-map').addEventListener('click', exportRedirectMap);
+document.getElementById('import-redirect-map').addEventListener('click', importRedirects);
+document.getElementById('add-rewrite-rule').addEventListener('click', addNewRewriteRule);
+document.getElementById('add-query-template').addEventListener('click', addQueryTemplate);
+document.getElementById('export-query-templates').addEventListener('click', exportQueryTemplates);
+document.getElementById('import-query-templates').addEventListener('click', importQueryTemplates);
+document.getElementById('add-custom-engine').addEventListener('click', addNewCustomSearchEngine);
+document.getElementById('import-opensearch').addEventListener('click', importOpenSearchDescription);
+['query-template-input', 'query-template-sample-url', 'query-template-sample-title', 'default-query-template'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateQueryTemplatePreview);
+});
+['rewrite-test-url', 'rewrite-rule-type', 'rewrite-rule-pattern', 'rewrite-rule-replacement'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateRewriteTester);
+});
 
 // Bulk Add Modal Management
 let currentBulkListType = null;
@@ -357,6 +622,1042 @@ function addDomain(listType) {
     }
 }
 
+// Custom Query Templates
+
+/**
+ * Populate the default template select (built-in templates, then custom ones)
+ * and the list of custom templates
+ *
+ * @param {string} selectedKey - Template to select (keeps the current choice if omitted)
+ */
+async function loadQueryTemplates(selectedKey) {
+    const select = document.getElementById('default-query-template');
+    const selected = selectedKey || select.value;
+    const customTemplates = await getCustomQueryTemplates();
+
+    select.innerHTML = '';
+    Object.entries(QUERY_TEMPLATES).forEach(([key, template]) => {
+        select.add(new Option(template.name, key));
+    });
+    customTemplates.forEach(template => {
+        select.add(new Option(`${template.name} (custom)`, template.id));
+    });
+    // A removed custom template falls back to the default one
+    select.value = getQueryTemplate(selected, customTemplates) ? selected : 'domainAndKeywords';
+
+    const container = document.getElementById('query-template-list');
+    container.innerHTML = '';
+    container.style.display = customTemplates.length ? '' : 'none';
+
+    customTemplates.forEach(template => {
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry';
+        entry.textContent = `${template.name}: ${template.template}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+            await removeCustomQueryTemplate(template.id);
+            loadQueryTemplates();
+        };
+
+        entry.appendChild(removeBtn);
+        container.appendChild(entry);
+    });
+
+    updateQueryTemplatePreview();
+}
+
+/**
+ * Show the query the template being written (or the selected default template)
+ * builds for the sample URL
+ */
+async function updateQueryTemplatePreview() {
+    const preview = document.getElementById('query-template-preview');
+    const template = document.getElementById('query-template-input').value.trim();
+    const urlInfo = extractUrlInfo(
+        document.getElementById('query-template-sample-url').value.trim(),
+        document.getElementById('query-template-sample-title').value.trim()
+    );
+
+    const selected = getQueryTemplate(document.getElementById('default-query-template').value, await getCustomQueryTemplates());
+    const registry = getSearchEngineRegistry(await getCustomSearchEngines());
+    updateQueryTemplateWarning(selected ? selected.construct(urlInfo) : '', registry);
+
+    preview.classList.remove('is-invalid');
+    if (!template) {
+        preview.textContent = selected ? `Default template: ${selected.construct(urlInfo)}` : '';
+        return;
+    }
+
+    const errors = validateQueryTemplate({ name: 'Preview', template });
+    if (errors.length > 0) {
+        preview.classList.add('is-invalid');
+        preview.textContent = errors.join(', ');
+        return;
+    }
+    const query = renderQueryTemplate(template, urlInfo);
+    const degraded = Object.keys(registry)
+        .map(engineKey => ({ name: registry[engineKey].name, lost: translateQueryOperators(query, engineKey).lost }))
+        .filter(engine => engine.lost.length > 0)
+        .map(engine => `${engine.name} (${engine.lost.join(', ')})`);
+    preview.textContent = `Preview: ${query || '(empty query)'}` +
+        (degraded.length ? ` - simplified on ${degraded.join(', ')}` : '');
+}
+
+/**
+ * Warn when the default search engine lacks operators the default template uses
+ *
+ * @param {string} query - The default template's query for the sample URL
+ * @param {Object} registry - Built-in and custom search engines (see getSearchEngineRegistry)
+ */
+function updateQueryTemplateWarning(query, registry) {
+    const warning = document.getElementById('query-template-warning');
+    const engineKey = document.getElementById('default-search-engine').value;
+    const { query: translated, lost } = translateQueryOperators(query, engineKey);
+
+    warning.hidden = lost.length === 0 || !registry[engineKey];
+    if (!warning.hidden) {
+        warning.textContent = `${registry[engineKey].name} doesn't support ${lost.join(', ')}, ` +
+            `so the query is simplified and may find less relevant pages: ${translated}`;
+    }
+}
+
+/**
+ * Add a custom query template from the name and template inputs
+ */
+async function addQueryTemplate() {
+    const nameInput = document.getElementById('query-template-name');
+    const templateInput = document.getElementById('query-template-input');
+
+    const errors = await addCustomQueryTemplate({ name: nameInput.value, template: templateInput.value });
+    if (errors.length > 0) {
+        showStatus(`Invalid query template: ${errors.join(', ')}`, false);
+        return;
+    }
+
+    nameInput.value = '';
+    templateInput.value = '';
+    loadQueryTemplates();
+}
+
+async function exportQueryTemplates() {
+    const templates = await getCustomQueryTemplates();
+    if (templates.length === 0) {
+        showStatus('No custom query templates to export', false);
+        return;
+    }
+
+    const exported = templates.map(({ name, template }) => ({ name, template }));
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const exportBtn = document.createElement('a');
+    exportBtn.href = url;
+    exportBtn.download = '404-finder-query-templates.json';
+    exportBtn.click();
+    URL.revokeObjectURL(url);
+    showStatus(`Exported ${templates.length} query templates`, true);
+}
+
+/**
+ * Import custom query templates from a JSON file (a list of { name, template })
+ */
+function importQueryTemplates() {
+    const fileInput = document.getElementById('import-query-templates-file');
+    fileInput.onchange = () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            let imported;
+            try {
+                imported = JSON.parse(event.target.result);
+            } catch (error) {
+                showStatus('Failed to import query templates: Invalid JSON format.', false);
+                return;
+            }
+
+            const { added, errors } = await importCustomQueryTemplates(imported);
+            showStatus(`Imported ${added} query templates${errors.length ? `, skipped ${errors.length} invalid` : ''}`, errors.length === 0);
+            loadQueryTemplates();
+        };
+        reader.readAsText(file);
+        fileInput.value = '';
+    };
+    fileInput.click();
+}
+
+// Custom Search Engines
+
+/**
+ * Add the custom search engines to the default search engine select,
+ * then list them and refresh the per-domain search engines
+ *
+ * @param {string} selectedKey - Engine to select (keeps the current choice if omitted)
+ */
+async function loadCustomSearchEngines(selectedKey) {
+    const select = document.getElementById('default-search-engine');
+    const selected = selectedKey || select.value;
+    const customEngines = await getCustomSearchEngines();
+    const registry = getSearchEngineRegistry(customEngines);
+
+    select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+    customEngines.filter(engine => registry[engine.id]).forEach(engine => {
+        const option = new Option(`${engine.name} (custom)`, engine.id);
+        option.dataset.custom = 'true';
+        select.add(option);
+    });
+    // A removed custom engine falls back to Google
+    select.value = selected;
+    if (!select.value) {
+        select.value = 'google';
+    }
+
+    const container = document.getElementById('custom-engine-list');
+    container.innerHTML = '';
+    container.style.display = customEngines.length ? '' : 'none';
+
+    customEngines.forEach(engine => {
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry';
+
+        const label = document.createElement('span');
+        if (engine.iconUrl) {
+            const icon = document.createElement('img');
+            icon.className = 'custom-engine-icon';
+            icon.src = engine.iconUrl;
+            icon.alt = '';
+            label.appendChild(icon);
+        }
+        label.append(`${engine.name}: ${engine.template}${engine.method === 'POST' ? ' (POST)' : ''}`);
+        if (!registry[engine.id]) {
+            label.append(' - invalid, not used');
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+            await removeCustomSearchEngine(engine.id);
+            loadCustomSearchEngines();
+        };
+
+        entry.append(label, removeBtn);
+        container.appendChild(entry);
+    });
+
+    loadDomainSearchEngines();
+}
+
+/**
+ * Add a custom search engine from the inputs
+ * Form fields are entered like a query string ("q={searchTerms}&scope=all").
+ */
+async function addNewCustomSearchEngine() {
+    const nameInput = document.getElementById('custom-engine-name');
+    const templateInput = document.getElementById('custom-engine-template');
+    const paramsInput = document.getElementById('custom-engine-params');
+    const iconInput = document.getElementById('custom-engine-icon');
+
+    const errors = await addCustomSearchEngine({
+        name: nameInput.value,
+        template: templateInput.value,
+        method: document.getElementById('custom-engine-method').value,
+        postParams: Array.from(new URLSearchParams(paramsInput.value.trim()), ([name, value]) => ({ name, value })),
+        iconUrl: iconInput.value.trim()
+    });
+    if (errors.length > 0) {
+        showStatus(`Invalid search engine: ${errors.join(', ')}`, false);
+        return;
+    }
+
+    [nameInput, templateInput, paramsInput, iconInput].forEach(input => { input.value = ''; });
+    loadCustomSearchEngines();
+}
+
+/**
+ * Read a search engine from an OpenSearch description document
+ *
+ * Educational: OpenSearch descriptions
+ * <OpenSearchDescription> has a <ShortName>, <Image> icons and <Url> elements;
+ * the one with type="text/html" is the results page. Its template holds
+ * {searchTerms}, and POST (or Firefox-style GET) URLs list their form fields
+ * as <Param name="q" value="{searchTerms}"/> children.
+ *
+ * @param {string} xml - The description document
+ * @returns {Object} { name, template, method, postParams, iconUrl }
+ * @throws {Error} If the document isn't a usable OpenSearch description
+ */
+function parseOpenSearchDescription(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const root = doc.documentElement;
+    if (doc.querySelector('parsererror') || root.localName !== 'OpenSearchDescription') {
+        throw new Error('not an OpenSearch description');
+    }
+
+    const children = (element, name) => Array.from(element.children).filter(child => child.localName === name);
+    const url = children(root, 'Url').find(element => (element.getAttribute('type') || '').trim().toLowerCase() === 'text/html');
+    if (!url) {
+        throw new Error('it has no search results page URL');
+    }
+
+    const method = (url.getAttribute('method') || 'GET').toUpperCase();
+    const params = [...children(url, 'Param'), ...children(url, 'Parameter')]
+        .map(param => ({ name: param.getAttribute('name') || '', value: param.getAttribute('value') || '' }))
+        .filter(param => param.name);
+    let template = (url.getAttribute('template') || '').trim();
+    if (method === 'GET' && params.length) {
+        template += (template.includes('?') ? '&' : '?') +
+            params.map(param => `${encodeURIComponent(param.name)}=${param.value}`).join('&');
+    }
+
+    const images = children(root, 'Image');
+    const icon = (images.find(image => image.getAttribute('width') === '16') || images[0])?.textContent.trim() || '';
+    let name = children(root, 'ShortName')[0]?.textContent.trim();
+    if (!name) {
+        try {
+            name = new URL(template).hostname;
+        } catch (error) {
+            name = 'OpenSearch';
+        }
+    }
+
+    return {
+        name,
+        template,
+        method,
+        postParams: method === 'POST' ? params : [],
+        // Icons are often .ico files on another scheme; only http(s) and data:image are kept
+        iconUrl: /^(https?:\/\/|data:image\/)/i.test(icon) ? icon : ''
+    };
+}
+
+/**
+ * Import a custom search engine from an OpenSearch description file
+ */
+function importOpenSearchDescription() {
+    const fileInput = document.getElementById('import-opensearch-file');
+    fileInput.onchange = () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            let engine;
+            try {
+                engine = parseOpenSearchDescription(event.target.result);
+            } catch (error) {
+                showStatus(`Failed to import the search engine: ${error.message}.`, false);
+                return;
+            }
+
+            const errors = await addCustomSearchEngine(engine);
+            if (errors.length > 0) {
+                showStatus(`Failed to import the search engine: ${errors.join(', ')}`, false);
+                return;
+            }
+            showStatus(`Added the search engine "${engine.name}"`, true);
+            loadCustomSearchEngines();
+        };
+        reader.readAsText(file);
+        fileInput.value = '';
+    };
+    fileInput.click();
+}
+
+// Per-Domain Search Engines
+
+/**
+ * Load per-domain search engines and populate the list
+ * The engine choices are copied from the default search engine select.
+ */
+async function loadDomainSearchEngines() {
+    const defaultSelect = document.getElementById('default-search-engine');
+    const engineSelect = document.getElementById('domain-search-engine-select');
+    const selectedEngine = engineSelect.value;
+    engineSelect.innerHTML = defaultSelect.innerHTML;
+    engineSelect.value = selectedEngine;
+    if (!engineSelect.value) {
+        engineSelect.value = defaultSelect.options[0].value;
+    }
+
+    const container = document.getElementById('domain-search-engine-list');
+    const domainEngines = await getDomainSearchEngines();
+    const domains = Object.keys(domainEngines).sort();
+
+    container.innerHTML = '';
+    container.style.display = domains.length ? '' : 'none';
+
+    domains.forEach(domain => {
+        const option = Array.from(defaultSelect.options).find(opt => opt.value === domainEngines[domain]);
+
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry';
+        entry.textContent = `${domain} → ${option ? option.textContent : domainEngines[domain]}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+            await removeDomainSearchEngine(domain);
+            loadDomainSearchEngines();
+        };
+
+        entry.appendChild(removeBtn);
+        container.appendChild(entry);
+    });
+}
+
+/**
+ * Add (or replace) the search engine for the entered domain
+ */
+async function addDomainSearchEngine() {
+    const input = document.getElementById('domain-search-engine-input');
+    const domain = input.value.trim().toLowerCase();
+    if (!domain) {
+        return;
+    }
+
+    await setDomainSearchEngine(domain, document.getElementById('domain-search-engine-select').value);
+    input.value = '';
+    loadDomainSearchEngines();
+}
+
+// Per-Domain Open Modes
+
+const OPEN_MODE_LABELS = {
+    replace: 'Same tab',
+    foreground_tab: 'New tab',
+    background_tab: 'Background tab',
+    suggest: 'Suggest only'
+};
+
+/**
+ * Load per-domain open modes and populate the list
+ */
+async function loadDomainOpenModes() {
+    const container = document.getElementById('domain-open-mode-list');
+    const domainModes = await getDomainOpenModes();
+    const domains = Object.keys(domainModes).sort();
+
+    container.innerHTML = '';
+    container.style.display = domains.length ? '' : 'none';
+
+    domains.forEach(domain => {
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry';
+        entry.textContent = `${domain} → ${OPEN_MODE_LABELS[domainModes[domain]] || domainModes[domain]}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+            await removeDomainOpenMode(domain);
+            loadDomainOpenModes();
+        };
+
+        entry.appendChild(removeBtn);
+        container.appendChild(entry);
+    });
+}
+
+/**
+ * Add (or replace) the open mode for the entered domain
+ */
+async function addDomainOpenMode() {
+    const input = document.getElementById('domain-open-mode-input');
+    const domain = input.value.trim().toLowerCase();
+    if (!domain) {
+        return;
+    }
+
+    await setDomainOpenMode(domain, document.getElementById('domain-open-mode-select').value);
+    input.value = '';
+    loadDomainOpenModes();
+}
+
+// Archive Providers
+
+/**
+ * Load the archive providers and populate the list
+ */
+async function loadArchiveProviders() {
+    const container = document.getElementById('archive-provider-list');
+    const providers = await getAllArchiveProviders();
+
+    container.innerHTML = '';
+    providers.forEach(provider => {
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry rule-pack-entry';
+
+        const toggleLabel = document.createElement('label');
+        toggleLabel.className = 'rule-pack-summary';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = provider.enabled;
+        toggle.title = 'Enable or disable this provider';
+        toggle.onchange = async () => {
+            await setArchiveProviderEnabled(provider.id, toggle.checked);
+            showStatus(`${provider.name} ${toggle.checked ? 'enabled' : 'disabled'}`, true);
+        };
+        const name = document.createElement('strong');
+        name.textContent = provider.name;
+        const details = document.createElement('span');
+        details.className = 'rule-pack-details';
+        details.textContent = `${provider.builtIn ? 'Built-in' : 'Custom'} · ${provider.template}`;
+        toggleLabel.append(toggle, name, details);
+        entry.appendChild(toggleLabel);
+
+        // Built-in providers can only be disabled
+        if (!provider.builtIn) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.onclick = async () => {
+                await removeArchiveProvider(provider.id);
+                loadArchiveProviders();
+            };
+            entry.appendChild(removeBtn);
+        }
+
+        container.appendChild(entry);
+    });
+}
+
+/**
+ * Add a custom archive provider from the name and template inputs
+ */
+async function addCustomArchiveProvider() {
+    const nameInput = document.getElementById('archive-provider-name');
+    const templateInput = document.getElementById('archive-provider-template');
+
+    const errors = await addArchiveProvider({ name: nameInput.value, template: templateInput.value });
+    if (errors.length > 0) {
+        showStatus(`Invalid archive provider: ${errors.join(', ')}`, false);
+        return;
+    }
+
+    nameInput.value = '';
+    templateInput.value = '';
+    loadArchiveProviders();
+}
+
+// Redirect Map
+
+/**
+ * Load the redirect map and populate the list (newest first)
+ */
+async function loadRedirectMap() {
+    const container = document.getElementById('redirect-map-list');
+    const redirects = await getRedirectMap();
+
+    container.innerHTML = '';
+    container.style.display = redirects.length ? '' : 'none';
+    document.getElementById('redirect-map-empty').style.display = redirects.length ? 'none' : '';
+
+    [...redirects].reverse().forEach(redirect => {
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry';
+        const label = redirect.pending ? ' (learned, not confirmed)' : redirect.source === 'auto' ? ' (learned)' : '';
+        entry.textContent = `${redirect.from} → ${redirect.to}${label}`;
+        entry.title = `Added ${new Date(redirect.createdAt).toLocaleString()}`;
+
+        // Learned entries don't redirect until they're confirmed
+        if (redirect.pending) {
+            const confirmBtn = document.createElement('button');
+            confirmBtn.className = 'remove-btn';
+            confirmBtn.textContent = 'Confirm';
+            confirmBtn.onclick = async () => {
+                await confirmRedirect(redirect.from);
+                loadRedirectMap();
+            };
+            entry.appendChild(confirmBtn);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+            await removeRedirect(redirect.from);
+            loadRedirectMap();
+        };
+
+        entry.appendChild(removeBtn);
+        container.appendChild(entry);
+    });
+}
+
+/**
+ * Add (or replace) the redirect entered in the old/new URL inputs
+ */
+async function addMapRedirect() {
+    const fromInput = document.getElementById('redirect-from-input');
+    const toInput = document.getElementById('redirect-to-input');
+
+    const errors = await addRedirect(fromInput.value.trim(), toInput.value.trim());
+    if (errors.length > 0) {
+        showStatus(`Invalid redirect: ${errors.join(', ')}`, false);
+        return;
+    }
+
+    fromInput.value = '';
+    toInput.value = '';
+    loadRedirectMap();
+}
+
+async function exportRedirectMap() {
+    const redirects = await getRedirectMap();
+    if (redirects.length === 0) {
+        showStatus('No redirects to export', false);
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(redirects, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const exportBtn = document.createElement('a');
+    exportBtn.href = url;
+    exportBtn.download = '404-finder-redirects.json';
+    exportBtn.click();
+    URL.revokeObjectURL(url);
+    showStatus(`Exported ${redirects.length} redirects`, true);
+}
+
+/**
+ * Import redirects from a JSON file (a list of { from, to } entries)
+ * Entries for an old URL that's already mapped replace it.
+ */
+function importRedirects() {
+    const fileInput = document.getElementById('import-redirect-map-file');
+    fileInput.onchange = () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            let imported;
+            try {
+                imported = JSON.parse(event.target.result);
+            } catch (error) {
+                showStatus('Failed to import redirects: Invalid JSON format.', false);
+                return;
+            }
+
+            const { added, errors } = await importRedirectMap(imported);
+            showStatus(`Imported ${added} redirects${errors.length ? `, skipped ${errors.length} invalid` : ''}`, errors.length === 0);
+            loadRedirectMap();
+        };
+        reader.readAsText(file);
+        fileInput.value = '';
+    };
+    fileInput.click();
+}
+
+// URL Rewrite Rules
+
+/**
+ * Load the rewrite rules and populate the list (in the order they're tried)
+ */
+async function loadRewriteRules() {
+    const container = document.getElementById('rewrite-rule-list');
+    const rules = await getRewriteRules();
+
+    container.innerHTML = '';
+    container.style.display = rules.length ? '' : 'none';
+    document.getElementById('rewrite-rule-empty').style.display = rules.length ? 'none' : '';
+
+    rules.forEach((rule, index) => {
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry rule-pack-entry';
+
+        const toggleLabel = document.createElement('label');
+        toggleLabel.className = 'rule-pack-summary';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled !== false;
+        toggle.title = 'Enable or disable this rule';
+        toggle.onchange = async () => {
+            await setRewriteRuleEnabled(rule.id, toggle.checked);
+            showStatus(`Rewrite rule ${toggle.checked ? 'enabled' : 'disabled'}`, true);
+            updateRewriteTester();
+        };
+        const pattern = document.createElement('strong');
+        pattern.textContent = `${rule.pattern} → ${rule.replacement}`;
+        const details = document.createElement('span');
+        details.className = 'rule-pack-details';
+        details.textContent = `${rule.type === 'regex' ? 'Regex' : 'Wildcard'}${rule.probe ? ' · checked before opening' : ''}`;
+        toggleLabel.append(toggle, pattern, details);
+
+        const actions = document.createElement('div');
+        actions.className = 'rule-pack-actions';
+
+        const upBtn = document.createElement('button');
+        upBtn.className = 'remove-btn edit-btn';
+        upBtn.textContent = '↑';
+        upBtn.title = 'Try this rule earlier';
+        upBtn.disabled = index === 0;
+        upBtn.onclick = async () => {
+            await moveRewriteRule(rule.id, -1);
+            loadRewriteRules();
+        };
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+            await removeRewriteRule(rule.id);
+            loadRewriteRules();
+        };
+
+        actions.append(upBtn, removeBtn);
+        entry.append(toggleLabel, actions);
+        container.appendChild(entry);
+    });
+
+    updateRewriteTester();
+}
+
+// The rule being typed into the add form
+function getDraftRewriteRule() {
+    return {
+        type: document.getElementById('rewrite-rule-type').value,
+        pattern: document.getElementById('rewrite-rule-pattern').value.trim(),
+        replacement: document.getElementById('rewrite-rule-replacement').value.trim(),
+        probe: document.getElementById('rewrite-rule-probe').checked
+    };
+}
+
+/**
+ * Add a rewrite rule from the form
+ */
+async function addNewRewriteRule() {
+    const errors = await addRewriteRule(getDraftRewriteRule());
+    if (errors.length > 0) {
+        showStatus(`Invalid rewrite rule: ${errors.join(', ')}`, false);
+        return;
+    }
+
+    document.getElementById('rewrite-rule-pattern').value = '';
+    document.getElementById('rewrite-rule-replacement').value = '';
+    document.getElementById('rewrite-rule-probe').checked = false;
+    loadRewriteRules();
+}
+
+/**
+ * Show what the enabled rules (and the rule being added) do to the sample URL
+ * The first rule that applies is the one that would be used.
+ */
+async function updateRewriteTester() {
+    const result = document.getElementById('rewrite-test-result');
+    const sampleUrl = document.getElementById('rewrite-test-url').value.trim();
+    result.innerHTML = '';
+    if (!sampleUrl) {
+        return;
+    }
+
+    const rules = (await getRewriteRules()).filter(rule => rule.enabled !== false);
+    const draft = getDraftRewriteRule();
+    if (draft.pattern || draft.replacement) {
+        rules.push({ ...draft, isDraft: true });
+    }
+    if (rules.length === 0) {
+        result.textContent = 'Add a rule to test it.';
+        return;
+    }
+
+    let matched = false;
+    testRewriteRules(rules, sampleUrl).forEach(({ rule, errors, result: rewritten }) => {
+        const item = document.createElement('li');
+        const name = rule.isDraft ? 'New rule' : rule.pattern;
+        if (errors.length > 0) {
+            item.className = 'is-invalid';
+            item.textContent = `${name}: ${errors.join(', ')}`;
+        } else if (rewritten) {
+            item.className = matched ? '' : 'is-match';
+            item.textContent = `${name} → ${rewritten}${matched ? ' (not used, an earlier rule applies)' : ''}`;
+            matched = true;
+        } else {
+            item.textContent = `${name}: no match`;
+        }
+        result.appendChild(item);
+    });
+}
+
+// Rule Pack Management
+
+// Template shown when adding a new rule pack
+const NEW_RULE_PACK_TEMPLATE = {
+    id: 'my-app',
+    name: 'My App',
+    domains: ['app.example.com'],
+    heavyChrome: true,
+    thresholds: { platform: 45 },
+    patterns: [
+        { pattern: 'Page\\s+not\\s+found', flags: 'i', weight: 40, context: 'title' }
+    ]
+};
+
+/**
+ * Load "Not a 404" overrides and populate the override list
+ */
+async function loadDetectionOverrides() {
+    const container = document.getElementById('detection-override-list');
+    const overrides = await getDetectionOverrides();
+
+    container.innerHTML = '';
+    container.style.display = overrides.length ? '' : 'none';
+    document.getElementById('detection-override-empty').style.display = overrides.length ? 'none' : '';
+
+    overrides.forEach(override => {
+        const entry = document.createElement('div');
+        entry.className = 'domain-entry';
+        entry.textContent = override.type === OVERRIDE_TYPES.SUPPRESS
+            ? `Ignore ${override.pattern}`
+            : `Require +${override.boost} confidence on ${override.hostname}`;
+        if (override.exampleUrl) {
+            entry.title = `Reported on ${override.exampleUrl}`;
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = async () => {
+            await removeDetectionOverride(override.id);
+            loadDetectionOverrides();
+        };
+
+        entry.appendChild(removeBtn);
+        container.appendChild(entry);
+    });
+}
+
+// Modal elements
+const ruleModal = document.getElementById('rule-pack-modal');
+const ruleModalTitle = document.getElementById('rule-pack-title');
+const rulePackInput = document.getElementById('rule-pack-input');
+const rulePackErrors = document.getElementById('rule-pack-errors');
+
+// Id of the pack being edited (null when adding a new one)
+let editingRulePackId = null;
+
+document.getElementById('add-rule-pack').addEventListener('click', () => openRulePackModal(null, NEW_RULE_PACK_TEMPLATE));
+document.getElementById('save-rule-pack').addEventListener('click', saveRulePack);
+document.getElementById('cancel-rule-pack').addEventListener('click', closeRulePackModal);
+ruleModal.querySelector('.close').addEventListener('click', closeRulePackModal);
+document.getElementById('export-rule-packs').addEventListener('click', exportRulePacks);
+document.getElementById('import-rule-packs').addEventListener('click', importRulePacks);
+
+// Close modal when clicking outside
+window.addEventListener('click', (event) => {
+    if (event.target === ruleModal) {
+        closeRulePackModal();
+    }
+});
+
+/**
+ * Load all rule packs and populate the list
+ */
+async function loadRulePacks() {
+    const container = document.getElementById('rule-pack-list');
+    const packs = await getAllRulePacks();
+
+    container.innerHTML = '';
+    packs.forEach(pack => addRulePackEntry(container, pack));
+}
+
+/**
+ * Add a rule pack entry to the rule pack list UI
+ *
+ * @param {HTMLElement} container - Container element for the list
+ * @param {Object} pack - Rule pack with builtIn and enabled flags
+ */
+function addRulePackEntry(container, pack) {
+    const entry = document.createElement('div');
+    entry.className = 'domain-entry rule-pack-entry';
+
+    const toggleLabel = document.createElement('label');
+    toggleLabel.className = 'rule-pack-summary';
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = pack.enabled;
+    toggle.title = 'Enable or disable this pack';
+    toggle.onchange = async () => {
+        await setRulePackEnabled(pack.id, toggle.checked);
+        showStatus(`${pack.name} ${toggle.checked ? 'enabled' : 'disabled'}`, true);
+    };
+    const name = document.createElement('strong');
+    name.textContent = pack.name;
+    const details = document.createElement('span');
+    details.className = 'rule-pack-details';
+    const isCustomized = !pack.builtIn && BUILT_IN_RULE_PACKS.some(builtIn => builtIn.id === pack.id);
+    const source = pack.builtIn ? 'Built-in' : (isCustomized ? 'Customized' : 'Custom');
+    details.textContent = `${source} · ${pack.domains.join(', ')} · ${pack.patterns.length} patterns`;
+    toggleLabel.append(toggle, name, details);
+
+    const actions = document.createElement('div');
+    actions.className = 'rule-pack-actions';
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'remove-btn edit-btn';
+    editBtn.textContent = pack.builtIn ? 'Customize' : 'Edit';
+    editBtn.onclick = () => {
+        const { builtIn, enabled, ...packData } = pack;
+        openRulePackModal(pack.id, packData);
+    };
+    actions.appendChild(editBtn);
+
+    // Built-in packs can only be disabled; deleting a customized pack restores the built-in one
+    if (!pack.builtIn) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = isCustomized ? 'Restore' : 'Remove';
+        removeBtn.onclick = async () => {
+            const userPacks = await getUserRulePacks();
+            await saveUserRulePacks(userPacks.filter(userPack => userPack.id !== pack.id));
+            loadRulePacks();
+        };
+        actions.appendChild(removeBtn);
+    }
+
+    entry.append(toggleLabel, actions);
+    container.appendChild(entry);
+}
+
+/**
+ * Open the rule pack editor
+ *
+ * @param {string|null} packId - Id of the pack being edited, or null for a new pack
+ * @param {Object} packData - Rule pack JSON to edit
+ */
+function openRulePackModal(packId, packData) {
+    editingRulePackId = packId;
+    ruleModalTitle.textContent = packId ? `Edit Rule Pack: ${packData.name}` : 'Add Rule Pack';
+    rulePackInput.value = JSON.stringify(packData, null, 2);
+    rulePackErrors.innerHTML = '';
+    ruleModal.style.display = 'block';
+    rulePackInput.focus();
+}
+
+/**
+ * Close the rule pack editor
+ */
+function closeRulePackModal() {
+    ruleModal.style.display = 'none';
+    editingRulePackId = null;
+}
+
+/**
+ * Show validation errors in the rule pack editor
+ *
+ * @param {Array<string>} errors - Error messages
+ */
+function showRulePackErrors(errors) {
+    rulePackErrors.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        rulePackErrors.appendChild(item);
+    });
+}
+
+/**
+ * Validate and save the rule pack in the editor
+ */
+async function saveRulePack() {
+    let pack;
+    try {
+        pack = JSON.parse(rulePackInput.value);
+    } catch (error) {
+        showRulePackErrors([`Invalid JSON: ${error.message}`]);
+        return;
+    }
+
+    const errors = validateRulePack(pack);
+    if (errors.length > 0) {
+        showRulePackErrors(errors);
+        return;
+    }
+
+    const userPacks = await getUserRulePacks();
+    // A renamed id replaces the pack being edited
+    const remaining = userPacks.filter(userPack => userPack.id !== pack.id && userPack.id !== editingRulePackId);
+    await saveUserRulePacks([...remaining, pack]);
+
+    showStatus(`Rule pack "${pack.name}" saved`, true);
+    closeRulePackModal();
+    loadRulePacks();
+}
+
+/**
+ * Export user-defined and customized rule packs to a JSON file
+ */
+async function exportRulePacks() {
+    const userPacks = await getUserRulePacks();
+    if (userPacks.length === 0) {
+        showStatus('No custom rule packs to export', false);
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(userPacks, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const exportBtn = document.createElement('a');
+    exportBtn.href = url;
+    exportBtn.download = '404-finder-rule-packs.json';
+    exportBtn.click();
+    URL.revokeObjectURL(url);
+    showStatus(`Exported ${userPacks.length} rule packs`, true);
+}
+
+/**
+ * Import rule packs from a JSON file (a single pack or a list of packs)
+ * Packs with an existing id replace the stored pack.
+ */
+function importRulePacks() {
+    const fileInput = document.getElementById('import-rule-packs-file');
+    fileInput.onchange = () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            let imported;
+            try {
+                imported = JSON.parse(event.target.result);
+            } catch (error) {
+                showStatus('Failed to import rule packs: Invalid JSON format.', false);
+                return;
+            }
+
+            const packs = Array.isArray(imported) ? imported : [imported];
+            const validPacks = packs.filter(pack => validateRulePack(pack).length === 0);
+            if (validPacks.length === 0) {
+                showStatus('No valid rule packs found in file', false);
+                return;
+            }
+
+            const importedIds = new Set(validPacks.map(pack => pack.id));
+            const userPacks = await getUserRulePacks();
+            await saveUserRulePacks([...userPacks.filter(pack => !importedIds.has(pack.id)), ...validPacks]);
+
+            const skipped = packs.length - validPacks.length;
+            showStatus(`Imported ${validPacks.length} rule packs${skipped ? `, skipped ${skipped} invalid` : ''}`, skipped === 0);
+            loadRulePacks();
+        };
+        reader.readAsText(file);
+        fileInput.value = '';
+    };
+    fileInput.click();
+}
+
 /**
  * Educational: Chrome Storage API Best Practices
  *
@@ -437,7 +1738,33 @@ function resetToDefaults() {
         enableAllSearchEngines: true,  // Enable all search engines by default
         enableAutoSearch: true,  // Enable auto-search by default
         showAutoSearchNotifications: true,
-        customSearchUrl: '',
+        autoSearchDelayMs: 5000,
+        autoRedirectWindowMinutes: DEFAULT_REDIRECT_WINDOW_MINUTES,
+        maxAutoRedirectsPerMinute: DEFAULT_MAX_REDIRECTS_PER_MINUTE,
+        offlineRetryMode: 'retry',
+        enableSitemapSuggestions: true,
+        urlRepairMode: DEFAULT_URL_REPAIR_MODE,
+        autoSearchTarget: 'search',
+        recoveryOpenMode: DEFAULT_OPEN_MODE,
+        domainOpenModes: {},
+        redirectMap: [],
+        enableRedirectLearning: true,
+        rewriteRules: [],
+        customQueryTemplates: [],
+        searchEngineParams: {},
+        customArchiveProviders: [],
+        disabledArchiveProviders: [],
+        archiveAvailabilityLookup: false,
+        archiveAvailabilityEndpoint: DEFAULT_AVAILABILITY_ENDPOINT,
+        domainSearchEngines: {},
+        siteSearchTemplates: {},
+        detectionLanguages: DEFAULT_DETECTION_LANGUAGES,
+        statusPolicies: DEFAULT_STATUS_POLICIES,
+        enableTemplateProbe: false,
+        platformRulePacks: [],
+        disabledRulePacks: [],
+        detectionOverrides: [],
+        customSearchEngines: [],
         whitelistDomains: [],
         blacklistDomains: []  // Empty by default - all domains enabled
     };
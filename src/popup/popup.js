@@ -19,7 +19,20 @@
 
 // Import functions to manage domain whitelisting and blacklisting
 import { addDomain, removeDomain, isDomainListed } from '../background/domainManager.js';
-import { generateSearchUrls, extractUrlInfo } from '../search/searchEngineConfig.js';
+import { constructSearchUrl } from '../search/searchEngineConfig.js';
+import { buildSimpleQuery } from '../search/queryBuilder.js';
+import { getArchivedCopy } from '../background/archiveProviders.js';
+import {
+  addRedirect,
+  confirmRedirect,
+  removeRedirect,
+  findRedirect,
+  findPendingRedirectsTo,
+  getMappedRedirect,
+  normalizeUrl
+} from '../background/redirectMap.js';
+import { OVERRIDE_SCOPES, getUrlPattern } from '../background/detectionOverrides.js';
+import { DECISION_BRANCH_LABELS } from '../background/statusPolicy.js';
 
 // Elements for user interaction within the popup
 const extensionToggle = document.getElementById('extensionToggle');
@@ -29,7 +42,12 @@ const currentDomainDisplay = document.getElementById('currentDomain');
 const whitelistBtn = document.getElementById('whitelistBtn');
 const blacklistBtn = document.getElementById('blacklistBtn');
 const searchBtn = document.getElementById('searchBtn');
+const archiveBtn = document.getElementById('archiveBtn');
 const settingsBtn = document.getElementById('settingsBtn');
+const notA404Btn = document.getElementById('notA404Btn');
+const notA404Scope = document.getElementById('notA404Scope');
+const notA404Similar = document.getElementById('notA404Similar');
+const rerunDetectionBtn = document.getElementById('rerunDetectionBtn');
 
 // Utility function to fetch the current domain from the active tab.
 function getCurrentDomain() {
@@ -64,6 +82,334 @@ function initializePopupState() {
     currentDomainDisplay.textContent = domain;
     checkDomainStatus(domain);
   });
+
+  loadNetworkRecovery();
+  loadDetectionStatus();
+  loadDetectionExplanation();
+  loadDidYouMean();
+  loadRedirectMap();
+  loadRedirectNotice();
+}
+
+// Show why the active tab was (or wasn't) classified as a 404. The content
+// script has the latest verdict; errors recorded by the background cover
+// HTTP errors and pages where the content script isn't running.
+function loadDetectionExplanation() {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    const [result, response] = await Promise.all([
+      chrome.tabs.sendMessage(currentTab.id, { action: 'getDetectionResult' }).catch(() => null),
+      chrome.runtime.sendMessage({ action: 'getTabErrors', tabId: currentTab.id }).catch(() => null)
+    ]);
+
+    const errors = (response?.errors || []).filter(error =>
+      error.url === currentTab.url || error.finalUrl === currentTab.url
+    );
+    renderDetectionExplanation(result, errors.pop(), currentTab);
+  });
+}
+
+// Render a detection result in the Detection section.
+function renderDetectionExplanation(result, recordedError, tab) {
+  const summary = document.getElementById('detectionSummary');
+  const details = document.getElementById('detectionDetails');
+  const indicatorList = document.getElementById('indicatorList');
+  const verdict = result?.verdict || recordedError?.verdict;
+  const statusCode = result?.httpStatus?.statusCode || recordedError?.statusCode;
+  const statusClass = result?.httpStatus?.statusClass || recordedError?.statusClass;
+  const isWebPage = /^https?:/.test(tab.url || '');
+
+  indicatorList.innerHTML = '';
+  summary.classList.remove('is-404');
+
+  if (statusClass === 'redirect_to_home' || statusClass === 'redirect_to_error') {
+    summary.textContent = `Redirected dead link (${statusClass === 'redirect_to_home' ? 'to homepage' : 'to error page'})`;
+    summary.classList.add('is-404');
+  } else if (statusCode) {
+    summary.textContent = `HTTP ${statusCode} error`;
+    summary.classList.add('is-404');
+  } else if (verdict) {
+    summary.textContent = verdict.is404 ? 'Detected as a soft 404' : 'Not detected as a 404';
+    summary.classList.toggle('is-404', verdict.is404);
+  } else if (recordedError?.type === 'navigation_error') {
+    summary.textContent = `Page failed to load (${recordedError.error})`;
+  } else {
+    summary.textContent = isWebPage ? "Detection hasn't run on this page" : "Detection doesn't run on this page";
+  }
+
+  details.hidden = !verdict;
+  rerunDetectionBtn.disabled = !isWebPage;
+  if (!verdict) {
+    return;
+  }
+
+  const thresholds = verdict.thresholds || {};
+  document.getElementById('detectionConfidence').textContent = verdict.confidence;
+  document.getElementById('detectionThreshold').textContent = [
+    `${thresholds.platform ?? thresholds.confidence}`,
+    thresholds.strongIndicators ? `${thresholds.strongIndicators}+ strong indicators` : '',
+    thresholds.userBoost ? `+${thresholds.userBoost} from feedback` : ''
+  ].filter(Boolean).join(', ');
+  document.getElementById('detectionBranch').textContent =
+    DECISION_BRANCH_LABELS[verdict.decisionBranch] || verdict.decisionBranch || 'Unknown';
+
+  (verdict.indicators || []).forEach(indicator => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'indicator-label';
+    label.textContent = indicator.label;
+    label.title = indicator.label;
+    const weight = document.createElement('span');
+    weight.className = 'indicator-weight';
+    weight.classList.toggle('negative', indicator.weight < 0);
+    weight.textContent = `${indicator.weight > 0 ? '+' : ''}${Math.round(indicator.weight * 10) / 10}`;
+    item.append(label, weight);
+    indicatorList.appendChild(item);
+  });
+}
+
+// Show the "Not a 404" action if the active tab's page was detected as an error page.
+// Pages the server answered with an error status can't be overridden, so the
+// button is disabled there and says why.
+function loadDetectionStatus() {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    const response = await chrome.runtime.sendMessage({ action: 'getTabErrors', tabId: currentTab.id })
+      .catch(() => null);
+
+    const errors = (response?.errors || []).filter(error =>
+      error.type !== 'navigation_error' &&
+      !error.falsePositive &&
+      (error.url === currentTab.url || error.finalUrl === currentTab.url)
+    );
+    const detected = errors.length > 0;
+    notA404Btn.hidden = !detected;
+
+    const httpError = errors.find(error => error.statusCode >= 400);
+    if (httpError) {
+      notA404Btn.disabled = true;
+      notA404Btn.textContent = `HTTP ${httpError.statusCode} error`;
+      notA404Btn.title = 'The server reported an error for this page, so it is always treated as one';
+      notA404Scope.hidden = true;
+      return;
+    }
+
+    // Ignoring the page's whole section is an explicit choice
+    const sectionPattern = detected ? getUrlPattern(currentTab.url, OVERRIDE_SCOPES.SECTION) : '';
+    notA404Scope.hidden = !sectionPattern || sectionPattern === getUrlPattern(currentTab.url);
+    document.getElementById('notA404SimilarLabel').textContent = `Also ignore similar pages (${sectionPattern})`;
+  });
+}
+
+// Show pages from the site's sitemap that resemble the active tab's broken URL.
+function loadDidYouMean() {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    const response = await chrome.runtime.sendMessage({ action: 'getTabErrors', tabId: currentTab.id })
+      .catch(() => null);
+
+    const detected = (response?.errors || []).some(error =>
+      error.type !== 'navigation_error' &&
+      !error.falsePositive &&
+      (error.url === currentTab.url || error.finalUrl === currentTab.url)
+    );
+    if (!detected) {
+      return;
+    }
+
+    const url = await getSearchSourceUrl(currentTab);
+    const result = await chrome.runtime.sendMessage({ action: 'getSitemapSuggestions', url }).catch(() => null);
+    if (!result?.suggestions?.length) {
+      return;
+    }
+
+    const list = document.getElementById('didYouMeanList');
+    list.innerHTML = '';
+    result.suggestions.forEach(suggestion => {
+      const suggestionUrl = new URL(suggestion.url);
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.textContent = suggestionUrl.pathname + suggestionUrl.search;
+      button.title = suggestion.url;
+      button.addEventListener('click', () => {
+        chrome.tabs.update(currentTab.id, { url: suggestion.url });
+        window.close();
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+    document.getElementById('didYouMeanSection').hidden = false;
+  });
+}
+
+// Offer to save where the active tab's broken page moved (see redirectMap.js).
+// Shown for detected error pages and for URLs that already have a redirect.
+function loadRedirectMap() {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    const url = normalizeUrl(await getSearchSourceUrl(currentTab));
+    if (!url) {
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'getTabErrors', tabId: currentTab.id })
+      .catch(() => null);
+    const detected = (response?.errors || []).some(error =>
+      !error.falsePositive && (error.url === currentTab.url || error.finalUrl === currentTab.url)
+    );
+    const existing = await findRedirect(url);
+    if (!detected && !existing) {
+      return;
+    }
+
+    const input = document.getElementById('redirectTargetInput');
+    const hint = document.getElementById('redirectMapHint');
+    const saveBtn = document.getElementById('saveRedirectBtn');
+    const removeBtn = document.getElementById('removeRedirectBtn');
+
+    if (existing) {
+      input.value = existing.to;
+      if (existing.pending) {
+        hint.textContent = 'Learned from your searches. Save to always go there instead:';
+      } else {
+        hint.textContent = existing.source === 'auto'
+          ? 'This URL redirects to (learned from your searches):'
+          : 'This URL redirects to:';
+      }
+      removeBtn.hidden = false;
+    }
+
+    saveBtn.addEventListener('click', async () => {
+      const errors = await addRedirect(url, input.value.trim());
+      hint.textContent = errors.length ? `Not saved: ${errors.join(', ')}` : 'Saved. This URL now redirects to:';
+      removeBtn.hidden = errors.length > 0 && !existing;
+    });
+    removeBtn.addEventListener('click', async () => {
+      await removeRedirect(url);
+      input.value = '';
+      hint.textContent = 'Redirect removed. Found where this page moved? Always go there instead:';
+      removeBtn.hidden = true;
+    });
+
+    document.getElementById('redirectMapSection').hidden = false;
+  });
+}
+
+// Say which redirect map entry brought the active tab here, or ask to confirm
+// a redirect learned from clicking through to this page (learned entries
+// don't redirect until they're confirmed, see redirectMap.js).
+function loadRedirectNotice() {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    if (!normalizeUrl(currentTab.url)) {
+      return;
+    }
+
+    const text = document.getElementById('redirectNoticeText');
+    const confirmBtn = document.getElementById('confirmRedirectBtn');
+    const dismissBtn = document.getElementById('dismissRedirectBtn');
+
+    const mapped = await getMappedRedirect(currentTab.id, currentTab.url);
+    const [pending] = mapped ? [] : await findPendingRedirectsTo(currentTab.url);
+    const entry = mapped || pending;
+    if (!entry) {
+      return;
+    }
+
+    if (mapped) {
+      text.textContent = `Redirected here from ${mapped.from} by your redirect map.`;
+    } else {
+      text.textContent = `Did ${pending.from} move here? Remember it to always come here instead.`;
+      confirmBtn.hidden = false;
+      dismissBtn.textContent = 'Dismiss';
+    }
+
+    confirmBtn.addEventListener('click', async () => {
+      await confirmRedirect(entry.from);
+      text.textContent = `Remembered. ${entry.from} now redirects here.`;
+      confirmBtn.hidden = true;
+      dismissBtn.hidden = true;
+    });
+    dismissBtn.addEventListener('click', async () => {
+      await removeRedirect(entry.from);
+      text.textContent = `${entry.from} no longer redirects here.`;
+      confirmBtn.hidden = true;
+      dismissBtn.hidden = true;
+    });
+
+    document.getElementById('redirectNoticeSection').hidden = false;
+  });
+}
+
+// Create a popup button that runs an action when clicked.
+function createRecoveryButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'action-btn';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Show recovery options if the active tab's page failed to load
+// (DNS, connection and offline errors recorded by the background script).
+function loadNetworkRecovery() {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    const recovery = await chrome.runtime.sendMessage({
+      action: 'getNetworkRecovery',
+      tabId: currentTab.id,
+      url: currentTab.url
+    }).catch(() => null);
+
+    if (!recovery || !recovery.category) {
+      return;
+    }
+
+    document.getElementById('recoveryTitle').textContent = recovery.label;
+    const hint = document.getElementById('recoveryHint');
+    const actions = document.getElementById('recoveryActions');
+    actions.innerHTML = '';
+
+    if (recovery.category === 'offline') {
+      hint.textContent = recovery.queued ? recovery.hint : 'Retry the page when your connection returns.';
+
+      actions.appendChild(createRecoveryButton('Retry Now', async () => {
+        await chrome.runtime.sendMessage({ action: 'retryNetworkError', tabId: currentTab.id, url: recovery.url });
+        window.close();
+      }));
+
+      if (recovery.queued) {
+        const cancelBtn = createRecoveryButton('Cancel Retry', async () => {
+          await chrome.runtime.sendMessage({ action: 'cancelOfflineRetry', tabId: currentTab.id, url: recovery.url });
+          hint.textContent = 'Automatic retry cancelled.';
+          cancelBtn.disabled = true;
+        });
+        actions.appendChild(cancelBtn);
+      }
+    } else {
+      hint.textContent = recovery.hint;
+
+      // Dead domains are best recovered from archives or a search elsewhere
+      recovery.archiveLinks.forEach(archive => {
+        actions.appendChild(createRecoveryButton(archive.name, () => {
+          chrome.tabs.create({ url: archive.url });
+        }));
+      });
+
+      if (recovery.searchUrl) {
+        actions.appendChild(createRecoveryButton('Search', () => {
+          chrome.tabs.create({ url: recovery.searchUrl });
+        }));
+      }
+
+      actions.appendChild(createRecoveryButton('Retry', async () => {
+        await chrome.runtime.sendMessage({ action: 'retryNetworkError', tabId: currentTab.id, url: recovery.url });
+        window.close();
+      }));
+    }
+
+    document.getElementById('recoverySection').hidden = false;
+  });
 }
 
 // Determine the status of the current domain and update the UI accordingly.
@@ -144,36 +490,94 @@ blacklistBtn.addEventListener('click', async () => {
   }, 2000);
 });
 
-// Search for the current page on search engines
+// Get the URL to search for - the originally requested URL if the tab's
+// dead link was redirected to the homepage or an error page.
+async function getSearchSourceUrl(tab) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getTabErrors', tabId: tab.id });
+    const redirect = (response?.errors || [])
+      .filter(error => error.type === 'redirect' && error.finalUrl === tab.url)
+      .pop();
+    return redirect ? redirect.url : tab.url;
+  } catch (error) {
+    return tab.url;
+  }
+}
+
+// Open the best archived copy of the current page (see archiveProviders.js)
+archiveBtn.addEventListener('click', () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const url = await getSearchSourceUrl(tabs[0]);
+    const archive = /^https?:/.test(url || '') ? await getArchivedCopy(url) : null;
+    if (!archive) {
+      archiveBtn.textContent = 'No Archived Copy Found';
+      archiveBtn.disabled = true;
+      return;
+    }
+    chrome.tabs.create({ url: archive.url });
+  });
+});
+
+// Search for the current page with the default engine and query template,
+// the same search auto-search would open
 searchBtn.addEventListener('click', async () => {
   chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
     const currentTab = tabs[0];
-    const url = currentTab.url;
-    const title = currentTab.title || '';
-    
-    // Generate search URLs with the custom template
-    const urlInfo = extractUrlInfo(url, title);
+    const url = await getSearchSourceUrl(currentTab);
+    const settings = await chrome.storage.local.get(['defaultSearchEngine', 'defaultQueryTemplate', 'searchEngineParams']);
     
-    // Use domainName which already extracts domain without extension
-    const domainName = urlInfo.domainName;
+    const response = await chrome.runtime.sendMessage({
+      action: 'generateSearchUrl',
+      url,
+      // The landing page's title says nothing about a redirected link
+      title: url === currentTab.url ? (currentTab.title || '') : '',
+      searchEngine: settings.defaultSearchEngine || 'google',
+      queryTemplate: settings.defaultQueryTemplate || 'domainAndKeywords'
+    }).catch(() => null);
     
-    // Extract keywords from path (remove dashes)
-    const pathKeywords = urlInfo.path
-      .split('/')
-      .filter(segment => segment.length > 0)
-      .map(segment => segment.replace(/-/g, ' '))
-      .join(' ')
-      .trim();
-    
-    // Create custom search query: domain keyword
-    const searchQuery = `${domainName} ${pathKeywords}`.trim();
-    
-    // Open search in Google (you can add more search engines if needed)
-    const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(searchQuery)}`;
+    // The site's own search or a custom engine may not be available for this page
+    const searchUrl = (response && response.searchUrl) || constructSearchUrl('google', buildSimpleQuery(url), settings.searchEngineParams);
     chrome.tabs.create({ url: searchUrl });
   });
 });
 
+// Report the current page as misdetected: cancels the redirect and records an
+// override for the page (or its section, if chosen) so it isn't flagged again.
+notA404Btn.addEventListener('click', () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    const response = await chrome.runtime.sendMessage({
+      action: 'reportFalsePositive',
+      tabId: currentTab.id,
+      url: currentTab.url,
+      scope: notA404Similar.checked ? OVERRIDE_SCOPES.SECTION : OVERRIDE_SCOPES.PAGE
+    }).catch(() => null);
+
+    if (response && response.success) {
+      notA404Btn.textContent = `Ignoring ${response.pattern}`;
+      notA404Btn.disabled = true;
+      notA404Scope.hidden = true;
+    }
+  });
+});
+
+// Run detection again on the active tab and show the new result.
+rerunDetectionBtn.addEventListener('click', () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    const currentTab = tabs[0];
+    rerunDetectionBtn.disabled = true;
+    document.getElementById('detectionSummary').textContent = 'Checking this page...';
+
+    const result = await chrome.tabs.sendMessage(currentTab.id, { action: 'rerunDetection' }).catch(() => null);
+    if (result) {
+      renderDetectionExplanation(result, null, currentTab);
+    } else {
+      loadDetectionExplanation();
+    }
+    loadDetectionStatus();
+  });
+});
+
 // Open settings/options page
 settingsBtn.addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
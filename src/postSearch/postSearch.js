@@ -0,0 +1,50 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { getSearchEngineRegistry, buildPostSearchForm } from '../search/searchEngineConfig.js';
+import { getCustomSearchEngines } from '../background/customSearchEngines.js';
+
+// POST Search Page submits a custom engine's search form (a link can only GET)
+async function init() {
+    const params = new URLSearchParams(window.location.search);
+    const query = params.get('q') || '';
+    const engine = getSearchEngineRegistry(await getCustomSearchEngines())[params.get('engine')];
+
+    const title = document.getElementById('post-search-title');
+    document.getElementById('post-search-query').textContent = query;
+    if (!engine || !engine.isCustom || engine.method !== 'POST') {
+        title.textContent = 'This search engine was removed';
+        return;
+    }
+
+    title.textContent = `Searching ${engine.name}...`;
+    document.title = `Searching ${engine.name} - 404 Finder`;
+
+    const { action, fields } = buildPostSearchForm(engine, query);
+    const form = document.getElementById('post-search-form');
+    form.action = action;
+    fields.forEach(field => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = field.name;
+        input.value = field.value;
+        form.appendChild(input);
+    });
+    form.submit();
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,305 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    SITE_SEARCH_ENGINE_KEY,
+    SITE_SEARCH_ENGINE,
+    generateSearchUrls,
+    getSearchEngineRegistry,
+    constructSearchUrl,
+    constructSiteSearchUrl,
+    extractUrlInfo
+} from '../search/searchEngineConfig.js';
+import { buildSimpleQuery } from '../search/queryBuilder.js';
+import { STATUS_CLASSES, DECISION_BRANCH_LABELS } from '../background/statusPolicy.js';
+import { getArchiveLinks } from '../background/archiveProviders.js';
+import { getSiteSearch } from '../background/siteSearch.js';
+import { startRedirectLearning } from '../background/redirectMap.js';
+import { getCustomQueryTemplates } from '../background/customQueryTemplates.js';
+import { getCustomSearchEngines } from '../background/customSearchEngines.js';
+
+// Recovery Page lets the user pick how to recover a broken page instead of a blind redirect
+const storageKeyLastAction = 'recoveryLastAction';
+
+const params = new URLSearchParams(window.location.search);
+const brokenUrl = params.get('url') || '';
+
+// Remember the action the user picked, then follow it
+async function followAction(action, url) {
+    await chrome.storage.local.set({ [storageKeyLastAction]: { ...action, timestamp: Date.now() } });
+
+    // Clicking through search results to the broken page's site teaches the redirect map
+    if (action.type === 'engine') {
+        const tab = await chrome.tabs.getCurrent();
+        if (tab) {
+            await startRedirectLearning(tab.id, brokenUrl, url);
+        }
+    }
+
+    window.location.assign(url);
+}
+
+function isRememberedAction(lastAction, action) {
+    return !!lastAction && lastAction.type === action.type && lastAction.key === action.key;
+}
+
+function createActionButton(label, title, action, lastAction, getUrl) {
+    const button = document.createElement('button');
+    button.className = 'btn';
+    button.textContent = label;
+    button.title = title;
+    if (isRememberedAction(lastAction, action)) {
+        button.classList.add('is-remembered');
+        button.title += ' (picked last time)';
+    }
+    button.addEventListener('click', () => followAction(action, getUrl()));
+    return button;
+}
+
+// Generate the search URLs with the configured query template, falling back to the default one
+function getGeneratedSearchUrls(templateKey, customTemplates, searchParams, customEngines) {
+    try {
+        return generateSearchUrls(brokenUrl, templateKey || 'domainAndKeywords', '', customTemplates, searchParams, customEngines);
+    } catch (error) {
+        return generateSearchUrls(brokenUrl, 'domainAndKeywords', '', [], searchParams, customEngines);
+    }
+}
+
+/**
+ * Render a button for every search engine, custom ones included
+ * The initial URLs come from generateSearchUrls(); once the query is edited
+ * they're rebuilt from the edited query.
+ *
+ * @param {Object} settings - Stored settings
+ * @param {Object} lastAction - The action picked last time
+ */
+async function renderEngineActions(settings, lastAction) {
+    const queryInput = document.getElementById('query-input');
+    const container = document.getElementById('engine-actions');
+    const customEngines = await getCustomSearchEngines();
+    const registry = getSearchEngineRegistry(customEngines);
+    const generatedUrls = getGeneratedSearchUrls(settings.defaultQueryTemplate, await getCustomQueryTemplates(),
+        settings.searchEngineParams, customEngines);
+    const initialQuery = generatedUrls[0]?.query || buildSimpleQuery(brokenUrl);
+    queryInput.value = initialQuery;
+    const getQuery = () => queryInput.value.trim() || initialQuery;
+
+    const buttons = [];
+    Object.keys(registry).forEach(engineKey => {
+        const engine = registry[engineKey];
+        const generated = generatedUrls.find(searchUrl => searchUrl.engineKey === engineKey);
+        const button = createActionButton(engine.name, engine.description, { type: 'engine', key: engineKey }, lastAction,
+            () => getQuery() === generated?.query
+                ? generated.url
+                : constructSearchUrl(engineKey, getQuery(), settings.searchEngineParams, customEngines));
+        if (engine.iconUrl) {
+            const icon = document.createElement('img');
+            icon.className = 'engine-icon';
+            icon.src = engine.iconUrl;
+            icon.alt = '';
+            button.prepend(icon);
+        }
+        buttons.push(button);
+    });
+
+    // The site's own search takes the keywords without the domain name
+    const hostname = new URL(brokenUrl).hostname;
+    const siteSearch = await getSiteSearch(hostname);
+    if (siteSearch) {
+        const { domainName } = extractUrlInfo(brokenUrl);
+        buttons.push(createActionButton(siteSearch.name || hostname, SITE_SEARCH_ENGINE.description,
+            { type: 'engine', key: SITE_SEARCH_ENGINE_KEY }, lastAction,
+            () => constructSiteSearchUrl(siteSearch.template,
+                getQuery().split(' ').filter(word => word !== domainName).join(' ') || getQuery())));
+    }
+
+    // The action picked last time (or the default engine) comes first
+    const preferred = buttons.find(button => button.classList.contains('is-remembered')) ||
+        buttons.find(button => button.textContent === registry[settings.defaultSearchEngine]?.name);
+    if (preferred) {
+        buttons.splice(buttons.indexOf(preferred), 1);
+        buttons.unshift(preferred);
+    }
+    container.append(...buttons);
+
+    // Enter searches with the first engine
+    queryInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && buttons.length) {
+            buttons[0].click();
+        }
+    });
+}
+
+// Format a snapshot timestamp (YYYYMMDDhhmmss) as a date
+function formatSnapshotDate(timestamp) {
+    return `${timestamp.slice(0, 4)}-${timestamp.slice(4, 6)}-${timestamp.slice(6, 8)}`;
+}
+
+/**
+ * Render a button for every enabled archive provider
+ * Providers known to have no copy (availability lookup) are disabled.
+ *
+ * @param {Object} lastAction - The action picked last time
+ */
+async function renderArchiveActions(lastAction) {
+    const container = document.getElementById('archive-actions');
+    const archiveLinks = await getArchiveLinks(brokenUrl);
+
+    archiveLinks.forEach(archive => {
+        const title = archive.timestamp
+            ? `Snapshot from ${formatSnapshotDate(archive.timestamp)}`
+            : `Open ${archive.name} snapshots`;
+        const button = createActionButton(archive.name, title, { type: 'archive', key: archive.id }, lastAction, () => archive.url);
+        if (archive.timestamp) {
+            button.textContent += ` (${formatSnapshotDate(archive.timestamp)})`;
+        }
+        if (archive.available === false) {
+            button.disabled = true;
+            button.title = `${archive.name} has no copy of this page`;
+        }
+        container.appendChild(button);
+    });
+
+    if (archiveLinks.length === 0) {
+        container.textContent = 'All archive providers are turned off in Settings.';
+    }
+}
+
+function addSiteLink(list, url, note, action) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = url;
+    const linkUrl = new URL(url);
+    link.textContent = (linkUrl.hostname !== new URL(brokenUrl).hostname ? linkUrl.host : '') + linkUrl.pathname + linkUrl.search;
+    link.addEventListener('click', (event) => {
+        event.preventDefault();
+        followAction(action, url);
+    });
+
+    const noteElement = document.createElement('span');
+    noteElement.className = 'link-note';
+    noteElement.textContent = note;
+
+    item.append(link, noteElement);
+    list.appendChild(item);
+}
+
+/**
+ * Look for the page on the same site: a repaired URL first, then sitemap matches
+ */
+async function renderSiteSuggestions() {
+    const status = document.getElementById('site-status');
+    const list = document.getElementById('site-suggestions');
+
+    const [repair, sitemap] = await Promise.all([
+        chrome.runtime.sendMessage({ action: 'findSiteRepair', url: brokenUrl }).catch(() => null),
+        chrome.runtime.sendMessage({ action: 'getSitemapSuggestions', url: brokenUrl }).catch(() => null)
+    ]);
+
+    if (repair && repair.repairedUrl) {
+        const note = repair.source === 'rewrite' ? 'From your rewrite rules'
+            : repair.isParent ? 'The section this page was in' : 'This address works';
+        addSiteLink(list, repair.repairedUrl, note,
+            { type: 'site', key: repair.source === 'rewrite' ? 'rewrite' : 'repair' });
+    }
+    (sitemap?.suggestions || [])
+        .filter(suggestion => suggestion.url !== repair?.repairedUrl)
+        .forEach(suggestion => {
+            addSiteLink(list, suggestion.url, `${Math.round(suggestion.score * 100)}% match`, { type: 'site', key: 'sitemap' });
+        });
+
+    status.textContent = list.children.length
+        ? 'These pages on the same site may be what you were looking for:'
+        : 'No similar pages were found on the same site.';
+}
+
+/**
+ * Show what was recorded about the broken page (status code, detection verdict)
+ */
+async function renderDetectionDetails() {
+    const { errors = [] } = await chrome.storage.local.get(['errors']);
+    const recorded = errors.filter(error => error.url === brokenUrl || error.finalUrl === brokenUrl).pop();
+    if (!recorded) {
+        return;
+    }
+
+    const statusClass = STATUS_CLASSES[recorded.statusClass];
+    const summary = document.getElementById('detection-summary');
+    if (recorded.statusCode) {
+        summary.textContent = `The server answered HTTP ${recorded.statusCode}. ${statusClass ? statusClass.description : ''}`.trim();
+    } else if (statusClass) {
+        summary.textContent = `${statusClass.label}: ${statusClass.description.toLowerCase()}.`;
+    }
+    document.getElementById('status-summary').textContent = statusClass ? statusClass.hint : '';
+
+    const verdict = recorded.verdict;
+    if (!verdict) {
+        return;
+    }
+
+    document.getElementById('detection-details').hidden = false;
+    document.getElementById('detection-confidence').textContent = `${verdict.confidence} (threshold ${verdict.thresholds?.platform ?? verdict.thresholds?.confidence})`;
+    document.getElementById('detection-branch').textContent =
+        DECISION_BRANCH_LABELS[verdict.decisionBranch] || verdict.decisionBranch || 'Unknown';
+
+    const indicatorList = document.getElementById('indicator-list');
+    (verdict.indicators || []).forEach(indicator => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = indicator.label;
+        const weight = document.createElement('span');
+        weight.textContent = `${indicator.weight > 0 ? '+' : ''}${Math.round(indicator.weight * 10) / 10}`;
+        item.append(label, weight);
+        indicatorList.appendChild(item);
+    });
+}
+
+async function init() {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(brokenUrl);
+    } catch (error) {
+        parsedUrl = null;
+    }
+
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        document.getElementById('recovery-title').textContent = 'Nothing to recover';
+        document.getElementById('broken-url').textContent = 'This page needs the address of a broken page.';
+        document.querySelectorAll('.recovery-section').forEach(section => { section.hidden = true; });
+        return;
+    }
+
+    document.getElementById('broken-url').textContent = brokenUrl;
+    document.title = `Page Not Found: ${parsedUrl.hostname} - 404 Finder`;
+
+    const settings = await chrome.storage.local.get(['defaultSearchEngine', 'defaultQueryTemplate', 'searchEngineParams', storageKeyLastAction]);
+    const lastAction = settings[storageKeyLastAction] || null;
+
+    await renderEngineActions(settings, lastAction);
+    renderArchiveActions(lastAction);
+    renderDetectionDetails();
+    renderSiteSuggestions();
+}
+
+document.getElementById('retry-page').addEventListener('click', () => {
+    if (brokenUrl) {
+        window.location.assign(brokenUrl);
+    }
+});
+document.getElementById('open-settings').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,339 @@
+/*
+ * 404 Finder: Auto-Search Redirector
+ * Copyright (C) 2025 by John Moremm L. Abuyabor
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as published by
+ * the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Query Builder Module
+ *
+ * Turns a broken URL into search keywords. Every search query (auto-search,
+ * the popup's search button, the recovery page and the site's own search)
+ * is built here, one stage at a time:
+ *
+ * 1. decodeUrlComponent - "%C3%A9t%C3%A9" → "été"
+ * 2. decodeHostname - IDN/punycode: "xn--mnchen-3ya.de" → "münchen.de"
+ * 3. selectSegments - which path segments are used (the last meaningful one by default)
+ * 4. splitWords - "myPost_title-v2.html" → ["my", "post", "title", "v2"]
+ * 5. removeNoise - numeric IDs, UUIDs, hashes and dates
+ * 6. removeStopWords - "how to use the api" → ["use", "api"]
+ * 7. dedupeTokens - ["api", "API", "guide"] → ["api", "guide"]
+ *
+ * Each stage is a plain function of its input, so it can be tried on its own:
+ * buildUrlKeywords("https://blog.example.com/2021/05/how-to-useTheAPI/7f3a9c2e")
+ *   → { domainName: "example", keywords: ["use", "api"] }
+ */
+
+/**
+ * Path segment selection modes
+ * - last: The last segment that still has keywords once noise is removed -
+ *   it usually names the page ("/products/blue-widget/12345" → "blue widget")
+ * - all: Every segment, in path order
+ */
+export const SEGMENT_SELECTION = {
+    LAST: 'last',
+    ALL: 'all'
+};
+
+// Words that don't help find a page: English function words and URL boilerplate
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from',
+    'into', 'about', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that',
+    'these', 'those', 'how', 'what', 'why', 'when', 'where', 'which', 'who', 'do', 'does', 'can',
+    'your', 'you', 'our', 'we', 'my', 'i',
+    'www', 'index', 'default', 'home', 'amp'
+]);
+
+// Second-level labels under country TLDs, e.g. "co" in "bbc.co.uk"
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'org', 'net', 'gov', 'edu', 'ac', 'or', 'ne', 'go']);
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const DATE_PATTERN = /(?<![\p{L}\p{N}])(?:19|20)\d{2}[-_./](?:0?[1-9]|1[0-2])(?:[-_./](?:0?[1-9]|[12]\d|3[01]))?(?![\p{L}\p{N}])/gu;
+
+/**
+ * Stage 1: Decode a percent-encoded URL component
+ * "+" is a space in query strings and slugs alike.
+ *
+ * @param {string} component - Encoded text
+ * @returns {string} Decoded text (the input when it isn't valid percent-encoding)
+ */
+export function decodeUrlComponent(component) {
+    const text = (component || '').replace(/\+/g, ' ');
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Educational: Punycode (RFC 3492)
+ * Hostnames can only contain ASCII, so internationalized domain names are
+ * stored as "xn--" labels: "münchen" → "xn--mnchen-3ya". The ASCII letters
+ * come first, and the rest encodes where each non-ASCII character is inserted
+ * as a variable-length base-36 number. new URL() always gives the encoded form.
+ */
+const PUNYCODE = { base: 36, tMin: 1, tMax: 26, skew: 38, damp: 700, initialBias: 72, initialN: 128 };
+
+function adaptPunycodeBias(delta, numPoints, firstTime) {
+    const { base, tMin, tMax, skew, damp } = PUNYCODE;
+    let k = 0;
+    delta = firstTime ? Math.floor(delta / damp) : Math.floor(delta / 2);
+    delta += Math.floor(delta / numPoints);
+    while (delta > ((base - tMin) * tMax) / 2) {
+        delta = Math.floor(delta / (base - tMin));
+        k += base;
+    }
+    return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+}
+
+function punycodeDigit(charCode) {
+    if (charCode >= 0x30 && charCode <= 0x39) {
+        return charCode - 22; // '0'-'9' are 26-35
+    }
+    if (charCode >= 0x41 && charCode <= 0x5a) {
+        return charCode - 0x41;
+    }
+    if (charCode >= 0x61 && charCode <= 0x7a) {
+        return charCode - 0x61;
+    }
+    return PUNYCODE.base;
+}
+
+/**
+ * Decode one punycode label (without the "xn--" prefix)
+ *
+ * @param {string} label - Encoded label
+ * @returns {string} Unicode label
+ * @throws {RangeError} If the label isn't valid punycode
+ */
+function decodePunycodeLabel(label) {
+    const { base, tMin, tMax } = PUNYCODE;
+    const basicEnd = Math.max(label.lastIndexOf('-'), 0);
+    const output = Array.from(label.slice(0, basicEnd), char => char.charCodeAt(0));
+    let n = PUNYCODE.initialN;
+    let bias = PUNYCODE.initialBias;
+    let i = 0;
+
+    for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < label.length;) {
+        const oldI = i;
+        for (let w = 1, k = base; ; k += base) {
+            if (index >= label.length) {
+                throw new RangeError('Invalid punycode');
+            }
+            const digit = punycodeDigit(label.charCodeAt(index++));
+            if (digit >= base) {
+                throw new RangeError('Invalid punycode');
+            }
+            i += digit * w;
+            const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+            if (digit < t) {
+                break;
+            }
+            w *= base - t;
+        }
+        const length = output.length + 1;
+        bias = adaptPunycodeBias(i - oldI, length, oldI === 0);
+        n += Math.floor(i / length);
+        i %= length;
+        output.splice(i++, 0, n);
+    }
+
+    return String.fromCodePoint(...output);
+}
+
+/**
+ * Stage 2: Decode an internationalized hostname
+ *
+ * @param {string} hostname - Hostname as given by new URL() ("xn--" labels)
+ * @returns {string} Hostname in Unicode; labels that aren't valid punycode are kept
+ */
+export function decodeHostname(hostname) {
+    return (hostname || '')
+        .toLowerCase()
+        .split('.')
+        .map(label => {
+            if (!label.startsWith('xn--')) {
+                return label;
+            }
+            try {
+                return decodePunycodeLabel(label.slice(4));
+            } catch (error) {
+                return label;
+            }
+        })
+        .join('.');
+}
+
+/**
+ * Get the name of a site from its hostname: "docs.github.com" → "github",
+ * "www.bbc.co.uk" → "bbc"
+ *
+ * @param {string} hostname - Hostname (encoded or decoded)
+ * @returns {string} Site name
+ */
+export function getDomainName(hostname) {
+    const labels = decodeHostname(hostname).split('.').filter(label => label.length > 0);
+    if (labels.length < 2) {
+        return labels[0] || '';
+    }
+    const secondLevel = labels[labels.length - 2];
+    const isCountrySecondLevel = labels.length >= 3 && labels[labels.length - 1].length === 2 &&
+        SECOND_LEVEL_LABELS.has(secondLevel);
+    return isCountrySecondLevel ? labels[labels.length - 3] : secondLevel;
+}
+
+/**
+ * Stage 4: Split a path segment into lowercase words
+ * File extensions are dropped, camelCase is split ("useTheAPI" → "use the api")
+ * and everything that isn't a letter or digit separates words (snake_case,
+ * kebab-case, dots).
+ *
+ * @param {string} segment - Decoded path segment
+ * @returns {Array<string>} Words in order
+ */
+export function splitWords(segment) {
+    return (segment || '')
+        .replace(/\.[a-z][a-z0-9]{0,4}$/i, '')
+        .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+        .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Check whether a word is an identifier rather than a keyword: numeric IDs
+ * and years ("12345", "2021"), hex hashes ("7f3a9c2e") and dates ("20210503")
+ *
+ * @param {string} word - Lowercase word
+ * @returns {boolean} True if the word should be dropped
+ */
+export function isNoiseWord(word) {
+    if (/^\d{4,}$/.test(word)) {
+        return true;
+    }
+    return word.length >= 7 && /^[0-9a-f]+$/.test(word) && /\d/.test(word) && /[a-f]/.test(word);
+}
+
+/**
+ * Stage 5: Split a segment into words without IDs, UUIDs, hashes and dates
+ * UUIDs and dates are removed before splitting, since their separators would
+ * otherwise turn them into harmless-looking short numbers.
+ *
+ * @param {string} segment - Decoded path segment
+ * @returns {Array<string>} Remaining words
+ */
+export function removeNoise(segment) {
+    const cleaned = (segment || '').replace(UUID_PATTERN, ' ').replace(DATE_PATTERN, ' ');
+    return splitWords(cleaned).filter(word => !isNoiseWord(word));
+}
+
+/**
+ * Stage 3: Pick the path segments to build keywords from
+ *
+ * @param {Array<string>} segments - Decoded path segments in order
+ * @param {string} mode - SEGMENT_SELECTION value
+ * @returns {Array<string>} Selected segments
+ */
+export function selectSegments(segments, mode = SEGMENT_SELECTION.LAST) {
+    if (mode === SEGMENT_SELECTION.ALL) {
+        return segments;
+    }
+    for (let index = segments.length - 1; index >= 0; index--) {
+        if (removeNoise(segments[index]).length > 0) {
+            return [segments[index]];
+        }
+    }
+    return [];
+}
+
+/**
+ * Stage 6: Remove stop words, unless nothing else would be left
+ *
+ * @param {Array<string>} words - Lowercase words
+ * @returns {Array<string>} Words without stop words
+ */
+export function removeStopWords(words) {
+    const kept = words.filter(word => !STOP_WORDS.has(word));
+    return kept.length > 0 ? kept : words;
+}
+
+/**
+ * Stage 7: Remove repeated words, keeping the first occurrence
+ *
+ * @param {Array<string>} words - Words
+ * @returns {Array<string>} Unique words in order
+ */
+export function dedupeTokens(words) {
+    return [...new Set(words.map(word => word.toLowerCase()))];
+}
+
+/**
+ * Split a URL path into lowercase words, without dropping anything
+ * Used to compare URLs (sitemap suggestions), where every word counts:
+ * "/blog/2021/My_Post-Title.html" → ["blog", "2021", "my", "post", "title"]
+ *
+ * @param {string} pathname - URL path
+ * @returns {Array<string>} Words in path order
+ */
+export function tokenizeUrlPath(pathname) {
+    return (pathname || '')
+        .split('/')
+        .filter(segment => segment.length > 0)
+        .flatMap(segment => splitWords(decodeUrlComponent(segment)));
+}
+
+/**
+ * Build search keywords from a URL (all stages)
+ *
+ * @param {string} url - The broken URL
+ * @param {Object} options - Options
+ * @param {string} options.segments - SEGMENT_SELECTION value
+ * @returns {Object} { domain, domainName, keywords } - domain is the decoded hostname
+ */
+export function buildUrlKeywords(url, { segments = SEGMENT_SELECTION.LAST } = {}) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch (error) {
+        return { domain: '', domainName: '', keywords: [] };
+    }
+
+    const pathSegments = urlObj.pathname
+        .split('/')
+        .filter(segment => segment.length > 0)
+        .map(decodeUrlComponent);
+    // Joined, so dates spread over segments ("/2021/05/03/") are recognized too
+    const words = removeNoise(selectSegments(pathSegments, segments).join('/'));
+
+    return {
+        domain: decodeHostname(urlObj.hostname),
+        domainName: getDomainName(urlObj.hostname),
+        keywords: dedupeTokens(removeStopWords(words))
+    };
+}
+
+/**
+ * Build the plain search query for a URL: site name + keywords
+ * "https://github.com/user/repo/blob/master/README.md" → "github readme"
+ *
+ * @param {string} url - The broken URL
+ * @param {Object} options - See buildUrlKeywords()
+ * @returns {string} Search query ("search" if the URL has nothing to search for)
+ */
+export function buildSimpleQuery(url, options = {}) {
+    const { domainName, keywords } = buildUrlKeywords(url, options);
+    return [domainName, ...keywords.filter(keyword => keyword !== domainName)].join(' ').trim() || 'search';
+}
@@ -28,6 +28,7 @@
  */
 
 import logger from '../utils/debugLogger.js';
+import { buildUrlKeywords, getDomainName, decodeUrlComponent, tokenizeUrlPath } from './queryBuilder.js';
 
 /**
  * Search engine configurations
@@ -111,6 +112,207 @@ export const SEARCH_ENGINES = {
     }
 };
 
+/**
+ * The site's own search ("Search on this site")
+ * Unlike SEARCH_ENGINES it has no fixed URL: the content script discovers the
+ * site's OpenSearch description or search form on the broken page, and the
+ * resulting URL template (with a {searchTerms} placeholder) is stored per site.
+ */
+export const SITE_SEARCH_ENGINE_KEY = 'site';
+
+export const SITE_SEARCH_ENGINE = {
+    name: 'This Site',
+    icon: 'site',
+    description: 'Search with the site\'s own search (when it has one)'
+};
+
+/**
+ * Custom search engines (an internal wiki, Sourcegraph, a company intranet...)
+ * Each user-defined engine has:
+ * - id: Key in the engine registry ("custom-<timestamp>")
+ * - name: Display name
+ * - template: URL template with a {searchTerms} placeholder ({query} also works),
+ *   so OpenSearch templates can be used as they are
+ * - method: 'GET', or 'POST' to send postParams as a form instead
+ * - postParams: [{ name, value }] form fields for POST, values may contain {searchTerms}
+ * - iconUrl: Optional http(s) or data: image shown next to the name
+ * 
+ * Educational: POST searches
+ * A link can only make a GET request, so POST engines get the URL of an
+ * extension page (POST_SEARCH_PAGE) that submits the form for the user.
+ */
+export const CUSTOM_SEARCH_METHODS = ['GET', 'POST'];
+
+export const POST_SEARCH_PAGE = 'src/postSearch/postSearch.html';
+
+const SEARCH_TERMS_PATTERN = /\{(?:searchTerms|query)\}/;
+
+// {query} is the placeholder of the older single custom search URL setting
+function toOpenSearchTemplate(template) {
+    return template.replace(/\{query\}/g, '{searchTerms}');
+}
+
+/**
+ * Validate a custom search engine
+ * 
+ * @param {Object} engine - { name, template, method, postParams, iconUrl }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateCustomSearchEngine(engine) {
+    const errors = [];
+    
+    if (!engine || typeof engine !== 'object') {
+        return ['Search engine must be an object'];
+    }
+    if (typeof engine.name !== 'string' || !engine.name.trim()) {
+        errors.push('name is required');
+    }
+    
+    const method = engine.method || 'GET';
+    if (!CUSTOM_SEARCH_METHODS.includes(method)) {
+        errors.push(`method must be one of ${CUSTOM_SEARCH_METHODS.join(', ')}`);
+    }
+    
+    const postParams = engine.postParams || [];
+    if (!Array.isArray(postParams) || postParams.some(param => !param || typeof param.name !== 'string' ||
+        !param.name || typeof param.value !== 'string')) {
+        errors.push('form fields need a name and a value');
+    }
+    
+    if (typeof engine.template !== 'string' || !engine.template.trim()) {
+        errors.push('URL template is required');
+    } else {
+        const sendsQuery = SEARCH_TERMS_PATTERN.test(engine.template) ||
+            (method === 'POST' && Array.isArray(postParams) && postParams.some(param => SEARCH_TERMS_PATTERN.test(param?.value)));
+        if (!sendsQuery) {
+            errors.push(method === 'POST'
+                ? 'the URL template or a form field needs a {searchTerms} placeholder'
+                : 'URL template needs a {searchTerms} placeholder');
+        }
+        try {
+            const sample = new URL(constructSiteSearchUrl(toOpenSearchTemplate(engine.template.trim()), 'test'));
+            if (!['http:', 'https:'].includes(sample.protocol)) {
+                errors.push('URL template must be an http(s) URL');
+            }
+        } catch (error) {
+            errors.push('URL template is not a valid URL');
+        }
+    }
+    
+    if (engine.iconUrl && !/^(https?:\/\/|data:image\/)/i.test(engine.iconUrl)) {
+        errors.push('icon must be an http(s) or data:image URL');
+    }
+    
+    return errors;
+}
+
+/**
+ * Get every search engine, built-in and custom
+ * Custom engines are keyed by their id; invalid ones are left out.
+ * 
+ * @param {Array<Object>} customEngines - User-defined search engines
+ * @returns {Object} SEARCH_ENGINES plus the custom engines (marked isCustom)
+ */
+export function getSearchEngineRegistry(customEngines = []) {
+    const registry = { ...SEARCH_ENGINES };
+    customEngines
+        .filter(engine => engine && engine.id && !SEARCH_ENGINES[engine.id] && validateCustomSearchEngine(engine).length === 0)
+        .forEach(engine => {
+            registry[engine.id] = {
+                id: engine.id,
+                name: engine.name.trim(),
+                template: engine.template.trim(),
+                method: engine.method || 'GET',
+                postParams: engine.postParams || [],
+                iconUrl: engine.iconUrl || '',
+                description: `Search with ${engine.name.trim()}`,
+                isCustom: true
+            };
+        });
+    return registry;
+}
+
+/**
+ * Construct a search URL for a custom search engine
+ * 
+ * @param {Object} engine - A custom engine from getSearchEngineRegistry()
+ * @param {string} query - The search query
+ * @returns {string} The search URL (the POST search page for POST engines)
+ */
+export function constructCustomSearchUrl(engine, query) {
+    if (engine.method === 'POST') {
+        const params = new URLSearchParams({ engine: engine.id, q: query });
+        return `${chrome.runtime.getURL(POST_SEARCH_PAGE)}?${params}`;
+    }
+    return constructSiteSearchUrl(toOpenSearchTemplate(engine.template), query);
+}
+
+/**
+ * Build the form a POST search engine is searched with (see postSearch.js)
+ * 
+ * @param {Object} engine - A custom engine from getSearchEngineRegistry()
+ * @param {string} query - The search query
+ * @returns {Object} { action, fields } - fields is [{ name, value }]
+ */
+export function buildPostSearchForm(engine, query) {
+    return {
+        action: constructSiteSearchUrl(toOpenSearchTemplate(engine.template), query),
+        fields: engine.postParams.map(param => ({
+            name: param.name,
+            value: toOpenSearchTemplate(param.value).replace(/\{searchTerms\}/g, () => query)
+        }))
+    };
+}
+
+/**
+ * Get the display name of a search engine
+ * 
+ * @param {string} engineKey - Key of the search engine (or 'site' / a custom engine id)
+ * @param {Array<Object>} customEngines - User-defined search engines
+ * @returns {string} Display name
+ */
+export function getSearchEngineName(engineKey, customEngines = []) {
+    if (engineKey === SITE_SEARCH_ENGINE_KEY) {
+        return SITE_SEARCH_ENGINE.name;
+    }
+    const engine = getSearchEngineRegistry(customEngines)[engineKey];
+    return engine ? engine.name : engineKey;
+}
+
+/**
+ * Construct a search URL from an OpenSearch-style URL template
+ * 
+ * Educational: OpenSearch templates
+ * Sites describe their search in an OpenSearch description document, linked from
+ * <link rel="search" type="application/opensearchdescription+xml">. Its <Url> element
+ * has a template like "https://example.com/search?q={searchTerms}&page={startPage?}".
+ * Parameters ending in "?" are optional and are left empty; required ones get
+ * sensible defaults.
+ * 
+ * @param {string} template - URL template containing {searchTerms}
+ * @param {string} query - The search query
+ * @returns {string} The complete search URL
+ */
+export function constructSiteSearchUrl(template, query) {
+    const defaults = {
+        searchTerms: encodeURIComponent(query),
+        count: '20',
+        startIndex: '1',
+        startPage: '1',
+        language: '*',
+        inputEncoding: 'UTF-8',
+        outputEncoding: 'UTF-8'
+    };
+    
+    return template.replace(/\{([\w:]+)(\??)\}/g, (match, name, optional) => {
+        const key = name.replace(/^\w+:/, '');
+        if (key === 'searchTerms') {
+            return defaults.searchTerms;
+        }
+        return optional ? '' : (defaults[key] || '');
+    });
+}
+
 /**
  * Search query templates
  * These templates define how to construct search queries based on the failed URL
@@ -119,7 +321,8 @@ export const SEARCH_ENGINES = {
  * - site: Limits search to a specific domain (e.g., "site:example.com keyword")
  * - intitle: Searches for pages with specific words in the title
  * - inurl: Searches for pages with specific words in the URL
- * - cache: Shows Google's cached version of a page (Google only)
+ * - cache: Used to show Google's cached copy of a page; Google retired it in 2024,
+ *   so archived copies come from the archive providers (archiveProviders.js) instead
  * - related: Finds sites similar to a specified site (Google only)
  */
 export const QUERY_TEMPLATES = {
@@ -148,17 +351,16 @@ export const QUERY_TEMPLATES = {
         isDefault: false
     },
     
-    // Cached version search
+    // Copies of the page - search for the exact URL, which finds mirrors, quotes and archived copies
     cachedVersion: {
         name: 'Cached Version',
-        description: 'Look for cached or archived versions',
-        tooltip: 'Searches for cached or archived versions of the page. May show older content that\'s no longer available.',
+        description: 'Look for copies of the exact page URL',
+        tooltip: 'Searches for the exact URL, finding mirrors, quotes and archived copies of the page. Use "Open archived copy" to go straight to an archive.',
         construct: (urlInfo) => {
-            const { fullUrl, domain } = urlInfo;
-            return `cache:${fullUrl} OR "archive.org" ${domain}`;
+            const { fullUrl } = urlInfo;
+            return `"${fullUrl.replace(/^https?:\/\//, '').replace(/\/$/, '')}"`;
         },
-        isDefault: false,
-        supportedEngines: ['google'] // Some templates work better with specific engines
+        isDefault: false
     },
     
     // Similar pages search
@@ -167,9 +369,8 @@ export const QUERY_TEMPLATES = {
         description: 'Find pages with similar content',
         tooltip: 'Searches for pages with similar topics or content. Helps find alternative resources.',
         construct: (urlInfo) => {
-            const { keywords, title } = urlInfo;
-            const searchTerms = title ? [title, ...keywords] : keywords;
-            return searchTerms.join(' ') + ' -site:' + urlInfo.domain;
+            const { keywords } = urlInfo;
+            return keywords.join(' ') + ' -site:' + urlInfo.domain;
         },
         isDefault: false
     },
@@ -190,37 +391,148 @@ export const QUERY_TEMPLATES = {
 };
 
 /**
- * Clean and decode a URL-encoded string
+ * Placeholders for user-defined query templates
+ * Each one reads a value from extractUrlInfo(); list values (keywords) are
+ * joined with spaces unless a modifier says otherwise.
+ */
+export const QUERY_PLACEHOLDERS = {
+    domain: { description: 'Hostname (docs.example.com)', value: urlInfo => urlInfo.domain },
+    domainName: { description: 'Site name (example)', value: urlInfo => urlInfo.domainName },
+    path: { description: 'Decoded path (/guides/getting-started)', value: urlInfo => decodeUrlComponent(urlInfo.path) },
+    lastSegment: {
+        description: 'Last path segment (getting-started)',
+        value: urlInfo => decodeUrlComponent(urlInfo.path.split('/').filter(segment => segment.length > 0).pop() || '')
+    },
+    keywords: { description: 'Keywords from the URL (getting started)', value: urlInfo => urlInfo.keywords },
+    title: { description: 'Page title, when known', value: urlInfo => urlInfo.title },
+    originalUrl: { description: 'The broken URL as it was requested', value: urlInfo => urlInfo.fullUrl }
+};
+
+/**
+ * Modifiers, applied left to right: {keywords|first:3|quoteEach|join: OR }
+ * Each one takes the value as a list of items and returns a new list.
+ */
+export const QUERY_MODIFIERS = {
+    quote: { description: 'Quote the whole value', apply: items => items.length ? [`"${items.join(' ')}"`] : [] },
+    quoteEach: { description: 'Quote every item', apply: items => items.map(item => `"${item}"`) },
+    join: { description: 'Join items with a separator (join:+, join: OR )', apply: (items, separator) => items.length ? [items.join(separator || ' ')] : [] },
+    first: { description: 'Keep the first N items (first:3)', apply: (items, count) => items.slice(0, Number(count)) },
+    prefix: { description: 'Put text before every item (prefix:intitle:)', apply: (items, text) => items.map(item => `${text}${item}`) },
+    lower: { description: 'Lowercase', apply: items => items.map(item => item.toLowerCase()) }
+};
+
+// {name} or {name|modifier|modifier:argument}
+const PLACEHOLDER_PATTERN = /\{(\w+)((?:\|[^|{}]+)*)\}/g;
+
+function parseModifiers(modifierText) {
+    return modifierText.split('|').slice(1).map(modifier => {
+        const separatorIndex = modifier.indexOf(':');
+        return separatorIndex === -1
+            ? { name: modifier.trim(), argument: '' }
+            : { name: modifier.slice(0, separatorIndex).trim(), argument: modifier.slice(separatorIndex + 1) };
+    });
+}
+
+/**
+ * Build a query from a user-defined template
+ * "site:{domain} {keywords|quoteEach|join: OR }" → 'site:docs.example.com "getting" OR "started"'
  * 
- * @param {string} str - The string to clean
- * @returns {string} Cleaned string
+ * @param {string} template - Template with placeholders
+ * @param {Object} urlInfo - URL information from extractUrlInfo()
+ * @returns {string} Search query
  */
-function cleanUrlString(str) {
-    try {
-        // Decode URL encoding (handles %20, %2C, etc.)
-        let decoded = decodeURIComponent(str);
-        
-        // Replace common URL separators with spaces
-        decoded = decoded.replace(/[\-_+]/g, ' ');
-        
-        // Remove multiple spaces
-        decoded = decoded.replace(/\s+/g, ' ');
-        
-        // Trim whitespace
-        return decoded.trim();
-    } catch (e) {
-        // If decoding fails, return original string cleaned
-        return str.replace(/[\-_+]/g, ' ').replace(/\s+/g, ' ').trim();
+export function renderQueryTemplate(template, urlInfo) {
+    return template
+        .replace(PLACEHOLDER_PATTERN, (match, name, modifierText) => {
+            const placeholder = QUERY_PLACEHOLDERS[name];
+            if (!placeholder) {
+                return '';
+            }
+            
+            const value = placeholder.value(urlInfo);
+            let items = (Array.isArray(value) ? value : [value]).filter(item => item);
+            parseModifiers(modifierText).forEach(({ name: modifierName, argument }) => {
+                const modifier = QUERY_MODIFIERS[modifierName];
+                if (modifier) {
+                    items = modifier.apply(items, argument);
+                }
+            });
+            return items.join(' ');
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Validate a user-defined query template
+ * 
+ * @param {Object} queryTemplate - { name, template }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateQueryTemplate(queryTemplate) {
+    const errors = [];
+    
+    if (!queryTemplate || typeof queryTemplate.name !== 'string' || !queryTemplate.name.trim()) {
+        errors.push('name is required');
+    }
+    
+    const template = queryTemplate && typeof queryTemplate.template === 'string' ? queryTemplate.template : '';
+    const placeholders = [...template.matchAll(PLACEHOLDER_PATTERN)];
+    if (placeholders.length === 0) {
+        errors.push('template must contain a placeholder such as {keywords}');
     }
+    
+    placeholders.forEach(([match, name, modifierText]) => {
+        if (!QUERY_PLACEHOLDERS[name]) {
+            errors.push(`unknown placeholder {${name}}`);
+        }
+        parseModifiers(modifierText).forEach(({ name: modifierName, argument }) => {
+            if (!QUERY_MODIFIERS[modifierName]) {
+                errors.push(`unknown modifier "${modifierName}" in ${match}`);
+            } else if (modifierName === 'first' && !/^[1-9]\d*$/.test(argument)) {
+                errors.push(`"first" needs a number in ${match}`);
+            }
+        });
+    });
+    
+    if (/[{}]/.test(template.replace(PLACEHOLDER_PATTERN, ''))) {
+        errors.push('template has an unmatched { or }');
+    }
+    
+    return errors;
 }
 
+/**
+ * Find a query template by key among the built-in and user-defined ones
+ * 
+ * @param {string} templateKey - Built-in key or the id of a user-defined template
+ * @param {Array<Object>} customTemplates - User-defined templates ({ id, name, template })
+ * @returns {Object|null} Template with a construct() function, or null if unknown
+ */
+export function getQueryTemplate(templateKey, customTemplates = []) {
+    if (QUERY_TEMPLATES[templateKey]) {
+        return QUERY_TEMPLATES[templateKey];
+    }
+    
+    const customTemplate = customTemplates.find(template => template.id === templateKey);
+    if (!customTemplate || validateQueryTemplate(customTemplate).length > 0) {
+        return null;
+    }
+    return {
+        name: customTemplate.name,
+        description: customTemplate.template,
+        construct: (urlInfo) => renderQueryTemplate(customTemplate.template, urlInfo),
+        isDefault: false,
+        isCustom: true
+    };
+}
 
 /**
  * Extract information from a URL for search query construction
- * Simplified approach: just use the URL components directly
+ * Keywords come from the URL itself (see queryBuilder.js)
  * 
  * @param {string} url - The failed URL
- * @param {string} pageTitle - The simple query passed from content script
+ * @param {string} pageTitle - The page's title, when known
  * @returns {Object} URL information for query templates
  */
 export function extractUrlInfo(url, pageTitle = '') {
@@ -230,15 +542,13 @@ export function extractUrlInfo(url, pageTitle = '') {
     try {
         const urlObj = new URL(url);
         
-        // Extract domain info
+        // Extract domain info - operators like site: keep the hostname as is
         const domain = urlObj.hostname;
         const domainParts = domain.split('.');
         const mainDomain = domainParts.slice(-2).join('.');
-        const domainName = domainParts.length >= 2 ? domainParts[domainParts.length - 2] : domainParts[0] || '';
+        const domainName = getDomainName(domain);
         
-        // For the simple approach, pageTitle contains the pre-generated query
-        // Split it to get keywords for templates that need them
-        const keywords = pageTitle ? pageTitle.split(' ').filter(word => word.length > 0) : [];
+        const keywords = buildUrlKeywords(url).keywords;
         
         const result = {
             fullUrl: url,
@@ -246,8 +556,9 @@ export function extractUrlInfo(url, pageTitle = '') {
             mainDomain: mainDomain,
             domainName: domainName,
             path: urlObj.pathname,
+            pathTokens: tokenizeUrlPath(urlObj.pathname),
             keywords: keywords,
-            title: pageTitle // This is now the simple query
+            title: pageTitle
         };
         
         // End performance monitoring with success
@@ -272,73 +583,330 @@ export function extractUrlInfo(url, pageTitle = '') {
             mainDomain: '',
             domainName: '',
             path: '',
+            pathTokens: [],
             keywords: [],
             title: pageTitle
         };
     }
 }
 
+/**
+ * Search operators that query templates can use, written Google-style
+ * 
+ * Educational: Operator support differs between engines
+ * - Yandex and Baidu write OR as "|", and Yandex's intitle: is "title:"
+ * - DuckDuckGo and Qwant have no OR; Qwant ignores -site:
+ * - Searx passes queries on to many engines, so only plain words and quotes
+ *   work everywhere
+ * - cache: was retired by Google in 2024 and never worked elsewhere
+ * 
+ * When an engine lacks an operator it is degraded rather than sent verbatim:
+ * site:/intitle:/inurl:/cache: keep their value as a plain keyword, -site: is
+ * dropped and OR becomes a space (all words instead of any word).
+ */
+export const SEARCH_OPERATORS = {
+    site: { label: 'site:', prefix: 'site:', keepValue: true },
+    excludeSite: { label: '-site:', prefix: '-site:', keepValue: false },
+    intitle: { label: 'intitle:', prefix: 'intitle:', keepValue: true },
+    inurl: { label: 'inurl:', prefix: 'inurl:', keepValue: true },
+    cache: { label: 'cache:', prefix: 'cache:', keepValue: true },
+    or: { label: 'OR' }
+};
+
+/**
+ * Operator support per search engine
+ * true - supported as written, string - the engine's own syntax,
+ * false (or missing) - degraded (see SEARCH_OPERATORS)
+ * Engines without an entry (custom engines) are assumed to support none.
+ */
+export const ENGINE_OPERATOR_SUPPORT = {
+    google: { site: true, excludeSite: true, intitle: true, inurl: true, or: true },
+    bing: { site: true, excludeSite: true, intitle: true, or: true },
+    duckduckgo: { site: true, excludeSite: true, intitle: true, inurl: true },
+    yahoo: { site: true, excludeSite: true, intitle: true, inurl: true, or: true },
+    yandex: { site: true, excludeSite: true, intitle: 'title:', inurl: true, or: '|' },
+    baidu: { site: true, intitle: true, inurl: true, or: '|' },
+    startpage: { site: true, excludeSite: true, or: true },
+    searx: {},
+    qwant: { site: true },
+    ecosia: { site: true, excludeSite: true, intitle: true, or: true }
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite a Google-style query for an engine, degrading what it can't do
+ * "(site:a.com OR site:b.com) intitle:guide" on Searx → "a.com b.com guide"
+ * 
+ * @param {string} query - Query with Google-style operators
+ * @param {string} engineKey - Key of the search engine
+ * @returns {Object} { query, lost } - lost lists the labels of degraded operators
+ */
+export function translateQueryOperators(query, engineKey) {
+    const support = ENGINE_OPERATOR_SUPPORT[engineKey] || {};
+    const lost = [];
+    let translated = query;
+    
+    // Without OR, several site: operators would have to match at once and find nothing
+    const hasOr = support.or === true || typeof support.or === 'string';
+    const siteCount = (query.match(/(^|[\s(])site:(?=\S)/g) || []).length;
+    const effectiveSupport = { ...support, site: hasOr || siteCount < 2 ? support.site : false };
+    
+    Object.entries(SEARCH_OPERATORS).forEach(([key, operator]) => {
+        if (!operator.prefix) {
+            return;
+        }
+        // Operators start a word or follow "(" - "-site:" is not matched as "site:"
+        const pattern = new RegExp(`(^|[\\s(])${escapeRegExp(operator.prefix)}(?=\\S)`, 'g');
+        if (!pattern.test(translated) || effectiveSupport[key] === true) {
+            return;
+        }
+        
+        if (typeof effectiveSupport[key] === 'string') {
+            translated = translated.replace(pattern, `$1${effectiveSupport[key]}`);
+            return;
+        }
+        
+        lost.push(operator.label);
+        translated = operator.keepValue
+            ? translated.replace(pattern, '$1')
+            : translated.replace(new RegExp(`(^|[\\s(])${escapeRegExp(operator.prefix)}[^\\s)]+`, 'g'), '$1');
+    });
+    
+    if (/\sOR\s/.test(translated) && support.or !== true) {
+        if (typeof support.or === 'string') {
+            translated = translated.replace(/\sOR\s/g, ` ${support.or} `);
+        } else {
+            lost.push(SEARCH_OPERATORS.or.label);
+            // Without OR, grouping parentheses mean nothing either
+            translated = translated.replace(/\sOR\s/g, ' ').replace(/[()]/g, ' ');
+        }
+    }
+    
+    return { query: translated.replace(/\s+/g, ' ').trim(), lost };
+}
+
 /**
  * Construct a search URL for a given search engine and query
+ * Operators the engine doesn't understand are translated or degraded first
+ * (see translateQueryOperators)
  * 
- * @param {string} engineKey - Key of the search engine (google, bing, duckduckgo)
+ * @param {string} engineKey - Key of the search engine (google, bing, duckduckgo or a custom engine id)
  * @param {string} query - The search query
+ * @param {Object} searchParams - Saved search parameters per engine (see resolveSearchParams)
+ * @param {Array<Object>} customEngines - User-defined search engines
  * @returns {string} The complete search URL
  */
-export function constructSearchUrl(engineKey, query) {
-    const engine = SEARCH_ENGINES[engineKey];
+export function constructSearchUrl(engineKey, query, searchParams = {}, customEngines = []) {
+    const engine = getSearchEngineRegistry(customEngines)[engineKey];
     if (!engine) {
         throw new Error(`Unknown search engine: ${engineKey}`);
     }
     
+    const translatedQuery = translateQueryOperators(query, engineKey).query;
+    if (engine.isCustom) {
+        return constructCustomSearchUrl(engine, translatedQuery);
+    }
+    
     // URL encode the query
-    const encodedQuery = encodeURIComponent(query);
+    const encodedQuery = encodeURIComponent(translatedQuery);
     
     // Construct the full URL
     const url = `${engine.baseUrl}?${engine.queryParam}=${encodedQuery}`;
     
     // Add any engine-specific parameters
-    const additionalParams = getEngineSpecificParams(engineKey);
+    const additionalParams = getEngineSpecificParams(engineKey, searchParams);
     
     return additionalParams ? `${url}&${additionalParams}` : url;
 }
 
 /**
- * Get engine-specific URL parameters
+ * Search parameters (language, region, safe search, result count)
  * 
  * Educational: Engine-specific parameters
- * - Google: 'hl' for language, 'safe' for safe search, 'num' for results count
- * - Bing: 'cc' for country code, 'setlang' for language
- * - DuckDuckGo: 'kl' for region, 'kp' for safe search
+ * - Google: 'hl' for language, 'gl' for region, 'safe' for safe search, 'num' for results count
+ * - Bing: 'setlang' for language, 'cc' for country code, 'adlt' for safe search, 'count' for results
+ * - DuckDuckGo: 'kl' for its own region codes ("us-en", "uk-en", "wt-wt" for no region), 'kp' for safe search
+ * - Yandex: 'lang', 'family=yes' for strict filtering, 'numdoc' for results
+ * - Searx: 'language' ("de-DE"), 'safesearch' (0-2); Qwant: 'locale' ("de_DE"), 's' (0-2)
+ * An empty language or region is taken from the browser's language (see
+ * getDefaultSearchParams); an empty safe search or result count leaves the
+ * engine's own default.
+ */
+export const SEARCH_PARAM_KEYS = ['language', 'region', 'safeSearch', 'resultCount'];
+
+export const SAFE_SEARCH_LEVELS = ['off', 'moderate', 'strict'];
+
+// DuckDuckGo's region codes ("kl") by ISO 3166 region, preferred one first.
+// They don't always follow the ISO codes: the UK is "uk-en", Slovenia "sl-sl", Japan "jp-jp".
+const DUCKDUCKGO_REGIONS = {
+    ar: ['ar-es'], at: ['at-de'], au: ['au-en'], be: ['be-fr', 'be-nl'], bg: ['bg-bg'],
+    br: ['br-pt'], ca: ['ca-en', 'ca-fr'], ch: ['ch-de', 'ch-fr', 'ch-it'], cl: ['cl-es'],
+    cn: ['cn-zh'], co: ['co-es'], cz: ['cz-cs'], de: ['de-de'], dk: ['dk-da'], ee: ['ee-et'],
+    es: ['es-es', 'ct-ca'], fi: ['fi-fi'], fr: ['fr-fr'], gb: ['uk-en'], gr: ['gr-el'],
+    hk: ['hk-tzh'], hr: ['hr-hr'], hu: ['hu-hu'], id: ['id-id', 'id-en'], ie: ['ie-en'],
+    il: ['il-he'], in: ['in-en'], it: ['it-it'], jp: ['jp-jp'], kr: ['kr-kr'], lt: ['lt-lt'],
+    lv: ['lv-lv'], mx: ['mx-es'], my: ['my-ms', 'my-en'], nl: ['nl-nl'], no: ['no-no'],
+    nz: ['nz-en'], pe: ['pe-es'], ph: ['ph-en', 'ph-tl'], pl: ['pl-pl'], pt: ['pt-pt'],
+    ro: ['ro-ro'], ru: ['ru-ru'], se: ['se-sv'], sg: ['sg-en'], si: ['sl-sl'], sk: ['sk-sk'],
+    th: ['th-th'], tr: ['tr-tr'], tw: ['tw-tzh'], ua: ['ua-uk'], us: ['us-en', 'us-es'],
+    ve: ['ve-es'], vn: ['vn-vi'], za: ['za-en']
+};
+
+// The DuckDuckGo region for a region and language ("wt-wt", no region, if it has none)
+function toDuckDuckGoRegion(region, language) {
+    const codes = DUCKDUCKGO_REGIONS[region];
+    if (!codes) {
+        return 'wt-wt';
+    }
+    return codes.find(code => code.split('-')[1] === language) || codes[0];
+}
+
+/**
+ * Parameters each engine understands
+ * - params: Which of SEARCH_PARAM_KEYS apply
+ * - build: Turns the settings into URL parameters (empty values are left out)
+ */
+export const ENGINE_SEARCH_PARAMS = {
+    google: {
+        params: ['language', 'region', 'safeSearch', 'resultCount'],
+        build: ({ language, region, safeSearch, resultCount }) => ({
+            hl: language,
+            gl: region,
+            safe: { off: 'off', strict: 'active' }[safeSearch],
+            num: resultCount
+        })
+    },
+    bing: {
+        params: ['language', 'region', 'safeSearch', 'resultCount'],
+        build: ({ language, region, safeSearch, resultCount }) => ({
+            setlang: language,
+            cc: region,
+            adlt: safeSearch,
+            count: resultCount
+        })
+    },
+    duckduckgo: {
+        params: ['language', 'region', 'safeSearch'],
+        build: ({ language, region, safeSearch }) => ({
+            kl: region ? toDuckDuckGoRegion(region, language) : (language ? 'wt-wt' : ''),
+            kp: { off: '-2', moderate: '-1', strict: '1' }[safeSearch]
+        })
+    },
+    yahoo: {
+        params: ['safeSearch', 'resultCount'],
+        build: ({ safeSearch, resultCount }) => ({
+            vm: { off: 'p', moderate: 'i', strict: 'r' }[safeSearch],
+            n: resultCount
+        })
+    },
+    yandex: {
+        params: ['language', 'safeSearch', 'resultCount'],
+        build: ({ language, safeSearch, resultCount }) => ({
+            lang: language,
+            family: safeSearch === 'strict' ? 'yes' : '',
+            numdoc: resultCount
+        })
+    },
+    baidu: {
+        params: ['resultCount'],
+        build: ({ resultCount }) => ({ rn: resultCount })
+    },
+    startpage: {
+        params: ['safeSearch'],
+        build: ({ safeSearch }) => ({ qadf: { off: 'none', moderate: 'moderate', strict: 'heavy' }[safeSearch] })
+    },
+    searx: {
+        params: ['language', 'region', 'safeSearch'],
+        build: ({ language, region, safeSearch }) => ({
+            language: language && region ? `${language}-${region.toUpperCase()}` : language,
+            safesearch: { off: '0', moderate: '1', strict: '2' }[safeSearch]
+        })
+    },
+    qwant: {
+        params: ['language', 'region', 'safeSearch'],
+        build: ({ language, region, safeSearch }) => ({
+            locale: language && region ? `${language}_${region.toUpperCase()}` : '',
+            s: { off: '0', moderate: '1', strict: '2' }[safeSearch]
+        })
+    },
+    ecosia: {
+        params: [],
+        build: () => ({})
+    }
+};
+
+/**
+ * Get the default search parameters from the browser's UI language
+ * "en-GB" → { language: "en", region: "gb" }; safe search and the result
+ * count are left to the engine.
+ * 
+ * @param {string} uiLanguage - BCP 47 language tag (defaults to chrome.i18n.getUILanguage())
+ * @returns {Object} { language, region, safeSearch, resultCount }
+ */
+export function getDefaultSearchParams(uiLanguage) {
+    const tag = uiLanguage || (typeof chrome !== 'undefined' && chrome.i18n ? chrome.i18n.getUILanguage() : '') || 'en';
+    // The region is the two-letter subtag, after any script ("zh-Hant-TW")
+    const [language, ...subtags] = tag.toLowerCase().split(/[-_]/);
+    return {
+        language: language || 'en',
+        region: subtags.find(subtag => /^[a-z]{2}$/.test(subtag)) || '',
+        safeSearch: '',
+        resultCount: ''
+    };
+}
+
+/**
+ * Get the search parameters for an engine: its saved settings, with empty ones
+ * taken from the defaults
  * 
  * @param {string} engineKey - Key of the search engine
+ * @param {Object} searchParams - Saved settings per engine ({ google: { language, ... } })
+ * @returns {Object} { language, region, safeSearch, resultCount }
+ */
+export function resolveSearchParams(engineKey, searchParams = {}) {
+    const saved = searchParams[engineKey] || {};
+    const defaults = getDefaultSearchParams();
+    return Object.fromEntries(SEARCH_PARAM_KEYS.map(key => [key, saved[key] || defaults[key]]));
+}
+
+/**
+ * Get engine-specific URL parameters
+ * 
+ * @param {string} engineKey - Key of the search engine
+ * @param {Object} searchParams - Saved settings per engine
  * @returns {string} Additional URL parameters
  */
-function getEngineSpecificParams(engineKey) {
-    switch (engineKey) {
-        case 'google':
-            // Example: hl=en for English, num=20 for 20 results
-            return 'hl=en&num=20';
-        case 'bing':
-            // Example: cc=us for US results
-            return 'cc=us';
-        case 'duckduckgo':
-            // Example: kl=us-en for US English results
-            return 'kl=us-en';
-        default:
-            return '';
+function getEngineSpecificParams(engineKey, searchParams) {
+    const engineParams = ENGINE_SEARCH_PARAMS[engineKey];
+    if (!engineParams) {
+        return '';
     }
+    
+    const settings = resolveSearchParams(engineKey, searchParams);
+    const urlParams = new URLSearchParams();
+    Object.entries(engineParams.build(settings)).forEach(([name, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            urlParams.set(name, String(value));
+        }
+    });
+    return urlParams.toString();
 }
 
 /**
  * Generate search URLs for all configured search engines
  * 
  * @param {string} url - The failed URL
- * @param {string} templateKey - The query template to use
+ * @param {string} templateKey - The query template to use (built-in key or user-defined template id)
  * @param {string} pageTitle - The page title if available
- * @returns {Array} Array of search URL objects
+ * @param {Array<Object>} customTemplates - User-defined query templates
+ * @param {Object} searchParams - Saved search parameters per engine
+ * @param {Array<Object>} customEngines - User-defined search engines (after the built-in ones)
+ * @returns {Array} Array of search URL objects ({ engineKey, engine, url, query, lostOperators })
  */
-export function generateSearchUrls(url, templateKey = 'domainAndKeywords', pageTitle = '') {
+export function generateSearchUrls(url, templateKey = 'domainAndKeywords', pageTitle = '', customTemplates = [], searchParams = {}, customEngines = []) {
     // Start performance monitoring for the entire operation
     logger.startTimer('generateSearchUrls', { 
         url, 
@@ -347,7 +915,7 @@ export function generateSearchUrls(url, templateKey = 'domainAndKeywords', pageT
     });
     
     const urlInfo = extractUrlInfo(url, pageTitle);
-    const template = QUERY_TEMPLATES[templateKey];
+    const template = getQueryTemplate(templateKey, customTemplates);
     
     if (!template) {
         throw new Error(`Unknown query template: ${templateKey}`);
@@ -356,19 +924,18 @@ export function generateSearchUrls(url, templateKey = 'domainAndKeywords', pageT
     const query = template.construct(urlInfo);
     const searchUrls = [];
     
-    // Generate URLs for each search engine
-    Object.keys(SEARCH_ENGINES).forEach(engineKey => {
-        // Check if template is supported by this engine
-        if (template.supportedEngines && !template.supportedEngines.includes(engineKey)) {
-            return;
-        }
-        
+    // Generate URLs for each search engine - operators an engine lacks are
+    // degraded by constructSearchUrl() and listed in lostOperators
+    const registry = getSearchEngineRegistry(customEngines);
+    Object.keys(registry).forEach(engineKey => {
         try {
-            const searchUrl = constructSearchUrl(engineKey, query);
+            const searchUrl = constructSearchUrl(engineKey, query, searchParams, customEngines);
             searchUrls.push({
-                engine: SEARCH_ENGINES[engineKey],
+                engineKey,
+                engine: registry[engineKey],
                 url: searchUrl,
-                query: query
+                query: query,
+                lostOperators: translateQueryOperators(query, engineKey).lost
             });
         } catch (error) {
             logger.error(`Error generating search URL for ${engineKey}:`, { error, engineKey });